@@ -1,43 +1,335 @@
+import { getStorage, setStorage } from './lib/storage.js';
+import { detectLanguage, normalizeCodeText } from './lib/code-language.js';
+import {
+  deleteEmbeddings,
+  getEmbedding,
+  getEmbeddingVersions,
+  getEmbeddingsForIdentity,
+  migrateLegacyEmbeddings,
+  putEmbedding
+} from './lib/embedding-store.js';
+import { getEmbeddingIdentity } from './lib/model-config.js';
+import {
+  EMBEDDING_PRIORITIES,
+  EMBEDDING_PROGRESS_KEY,
+  createEmbeddingQueue,
+  enqueueEmbedding
+} from './lib/embedding-queue.js';
+import {
+  MODEL_BACKEND_KEY,
+  MODEL_SETTINGS_KEY,
+  applyModelBackend,
+  getActiveModel,
+  getMissingModelFiles,
+  getModelEntry,
+  loadModelRegistry,
+  recordModelBackend
+} from './lib/model-registry.js';
+import { BACKEND_SETTINGS_KEY, loadBackendSettings } from './lib/model-backend.js';
+import { getRepairCommand, loadVerifiedFiles, saveVerifiedFiles } from './lib/model-integrity.js';
+import {
+  MAX_LOAD_ATTEMPTS,
+  MODEL_LIFECYCLE_KEY,
+  getLoadRetryDelay,
+  loadLifecycleSettings,
+  saveModelStatus
+} from './lib/model-lifecycle.js';
+import {
+  COLLECTIONS_KEY,
+  collectFacetValues,
+  normalizeCollectionName,
+  normalizeTags
+} from './lib/snippet-facets.js';
+import {
+  SNIPPET_AREAS,
+  ensureSnippetStorage,
+  loadSnippets,
+  updateSnippets,
+  watchSnippetStorage
+} from './lib/snippet-store.js';
+import { loadSearchSettings, rankByKeywords, rankSnippetItems } from './lib/snippet-search.js';
+import { expandTemplate, getTemplateFields } from './lib/snippet-template.js';
+import { TRIGGERS_KEY, buildTriggerRegistry } from './lib/snippet-triggers.js';
+import {
+  attachSource,
+  findNearDuplicates,
+  getSnippetVector,
+  getSourceEntry,
+  mergeSnippets
+} from './lib/snippet-duplicates.js';
+
+const REEMBED_JOB_KEY = 'reembed_job_v1';
+const COLLECTION_MENU_ID = 'save-to-collection';
+const COLLECTION_MENU_PREFIX = 'save-collection:';
+const TAG_MENU_ID = 'save-with-tag';
+const TAG_MENU_PREFIX = 'save-tag:';
+const TAG_MENU_LIMIT = 12;
+const INSERT_MENU_ID = 'insert-snippet';
+const INSERT_MENU_PREFIX = 'insert-snippet:';
+const SUGGEST_MENU_ID = 'suggest-for-field';
+const INSERT_MENU_RECENT_LIMIT = 8;
+const INSERT_MENU_PINNED_LIMIT = 10;
+const MENU_TITLE_CHARS = 48;
+const DUPLICATE_PREVIEW_CHARS = 140;
+const QUICK_SEARCH_COMMAND = 'open-quick-search';
+const QUICK_SEARCH_LIMIT = 8;
+const REEMBED_BATCH_SIZE = 8;
+const MODEL_IDLE_ALARM = 'unload-idle-model';
+
+let reembedJobPromise = null;
+let snippetMenusPromise = Promise.resolve();
+let triggerRegistryPromise = Promise.resolve();
+let embeddingProgressPromise = Promise.resolve();
+let modelLoadState = null;
+let lifecycleSettingsPromise = null;
+const embeddingQueue = createEmbeddingQueue(runEmbeddingBatch, saveEmbeddingProgress);
+
 chrome.runtime.onInstalled.addListener(() => {
   chrome.contextMenus.create({
     title: "Save as Snippet",
     contexts: ["selection", "editable"],
     id: "save-snippet"
   });
-  ensureSnippetsStorage('local');
-  ensureSnippetsStorage('sync');
+  void ensureSnippetStorage('local');
+  void ensureSnippetStorage('sync');
+  void refreshSnippetMenus();
+  void refreshTriggerRegistry();
+  void refreshModelStatus();
+  void migrateStoredEmbeddings().then(() => runReembedJob());
 });
 
-function ensureSnippetsStorage(area) {
-  if (!chrome.storage || !chrome.storage[area]) {
-    throw new Error(`chrome.storage.${area} is not available.`);
+chrome.runtime.onStartup.addListener(() => {
+  void refreshTriggerRegistry();
+  void startModelLifecycle();
+  void runReembedJob();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === MODEL_IDLE_ALARM) {
+    void unloadIdleModel();
   }
-  chrome.storage[area].get(['snippets'], function(result) {
-    if (chrome.runtime.lastError) {
-      throw new Error(`Failed to read snippets: ${chrome.runtime.lastError.message}`);
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[MODEL_SETTINGS_KEY]) {
+    void refreshModelStatus();
+    void runReembedJob();
+  }
+  if (areaName === 'local' && changes[MODEL_BACKEND_KEY]) {
+    void runReembedJob();
+  }
+  if (areaName === 'local' && changes[BACKEND_SETTINGS_KEY]) {
+    void reloadModelBackend();
+  }
+  if (areaName === 'local' && changes[MODEL_LIFECYCLE_KEY]) {
+    lifecycleSettingsPromise = null;
+    void scheduleIdleUnload();
+  }
+  if (areaName === 'local' && changes[COLLECTIONS_KEY]) {
+    void refreshSnippetMenus();
+  }
+});
+
+watchSnippetStorage(() => {
+  void refreshSnippetMenus();
+  void refreshTriggerRegistry();
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === QUICK_SEARCH_COMMAND) {
+    openQuickSearch(tab);
+  }
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const menuItemId = typeof info.menuItemId === 'string' ? info.menuItemId : '';
+  if (menuItemId === "save-snippet") {
+    void handleSaveSnippet(info, tab, {});
+    return;
+  }
+  if (menuItemId.startsWith(COLLECTION_MENU_PREFIX)) {
+    void handleSaveSnippet(info, tab, { collection: menuItemId.slice(COLLECTION_MENU_PREFIX.length) });
+    return;
+  }
+  if (menuItemId.startsWith(TAG_MENU_PREFIX)) {
+    void handleSaveSnippet(info, tab, { tags: [menuItemId.slice(TAG_MENU_PREFIX.length)] });
+    return;
+  }
+  if (menuItemId.startsWith(INSERT_MENU_PREFIX)) {
+    handleInsertSnippet(tab, getFrameId(info), menuItemId.slice(INSERT_MENU_PREFIX.length)).catch((error) => {
+      console.log('Snippet insert failed:', error instanceof Error ? error.message : error);
+    });
+    return;
+  }
+  if (menuItemId === SUGGEST_MENU_ID) {
+    openQuickSearch(tab, { suggest: true, frameId: getFrameId(info) });
+  }
+});
+
+function getFrameId(info) {
+  return Number.isInteger(info.frameId) ? info.frameId : 0;
+}
+
+function refreshSnippetMenus() {
+  snippetMenusPromise = snippetMenusPromise
+    .then(async () => {
+      await rebuildOrganizeMenus();
+      await rebuildInsertMenu();
+    })
+    .catch((error) => {
+      console.log('Context menu refresh failed:', error instanceof Error ? error.message : error);
+    });
+  return snippetMenusPromise;
+}
+
+async function rebuildOrganizeMenus() {
+  await removeContextMenu(COLLECTION_MENU_ID);
+  await removeContextMenu(TAG_MENU_ID);
+  const snippets = await loadAllSnippets();
+  const facets = collectFacetValues(snippets, await loadCollections());
+
+  await createContextMenu({ id: COLLECTION_MENU_ID, title: 'Save to collection', contexts: ['selection'] });
+  if (facets.collections.length === 0) {
+    await createContextMenu({
+      id: `${COLLECTION_MENU_ID}-empty`,
+      parentId: COLLECTION_MENU_ID,
+      title: 'No collections yet',
+      contexts: ['selection'],
+      enabled: false
+    });
+  }
+  for (const { value } of facets.collections) {
+    await createContextMenu({
+      id: `${COLLECTION_MENU_PREFIX}${value}`,
+      parentId: COLLECTION_MENU_ID,
+      title: value,
+      contexts: ['selection']
+    });
+  }
+
+  await createContextMenu({ id: TAG_MENU_ID, title: 'Save with tag', contexts: ['selection'] });
+  if (facets.tags.length === 0) {
+    await createContextMenu({
+      id: `${TAG_MENU_ID}-empty`,
+      parentId: TAG_MENU_ID,
+      title: 'No tags yet',
+      contexts: ['selection'],
+      enabled: false
+    });
+  }
+  for (const { value } of facets.tags.slice(0, TAG_MENU_LIMIT)) {
+    await createContextMenu({
+      id: `${TAG_MENU_PREFIX}${value}`,
+      parentId: TAG_MENU_ID,
+      title: `#${value}`,
+      contexts: ['selection']
+    });
+  }
+}
+
+async function rebuildInsertMenu() {
+  await removeContextMenu(INSERT_MENU_ID);
+  const items = await loadSnippetItems();
+  const pinned = items
+    .filter(({ snippet }) => snippet.pinned)
+    .sort((a, b) => getSnippetTime(b.snippet) - getSnippetTime(a.snippet))
+    .slice(0, INSERT_MENU_PINNED_LIMIT);
+  const recent = items
+    .filter(({ snippet }) => !snippet.pinned)
+    .sort((a, b) => getSnippetTime(b.snippet) - getSnippetTime(a.snippet))
+    .slice(0, INSERT_MENU_RECENT_LIMIT);
+
+  await createContextMenu({ id: INSERT_MENU_ID, title: 'Insert snippet', contexts: ['editable'] });
+  await createContextMenu({
+    id: SUGGEST_MENU_ID,
+    parentId: INSERT_MENU_ID,
+    title: 'Suggest for this field…',
+    contexts: ['editable']
+  });
+  if (pinned.length === 0 && recent.length === 0) {
+    await createContextMenu({
+      id: `${INSERT_MENU_ID}-empty`,
+      parentId: INSERT_MENU_ID,
+      title: 'No snippets yet',
+      contexts: ['editable'],
+      enabled: false
+    });
+    return;
+  }
+  for (const [group, list] of [['pinned', pinned], ['recent', recent]]) {
+    if (list.length === 0) {
+      continue;
     }
-    if (result.snippets === undefined) {
-      chrome.storage[area].set({ snippets: [] }, function() {
-        if (chrome.runtime.lastError) {
-          throw new Error(`Failed to initialize snippets: ${chrome.runtime.lastError.message}`);
-        }
+    await createContextMenu({
+      id: `${INSERT_MENU_ID}-${group}-separator`,
+      parentId: INSERT_MENU_ID,
+      type: 'separator',
+      contexts: ['editable']
+    });
+    for (const { snippet } of list) {
+      await createContextMenu({
+        id: `${INSERT_MENU_PREFIX}${snippet.id}`,
+        parentId: INSERT_MENU_ID,
+        title: formatMenuTitle(snippet.text, group === 'pinned'),
+        contexts: ['editable']
       });
-      return;
-    }
-    if (!Array.isArray(result.snippets)) {
-      throw new Error('Snippets storage must be an array.');
     }
+  }
+}
+
+function formatMenuTitle(text, pinned) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  const title = line.length > MENU_TITLE_CHARS ? `${line.slice(0, MENU_TITLE_CHARS - 1)}…` : line;
+  return `${pinned ? '📌 ' : ''}${title.replace(/&/g, '&&')}`;
+}
+
+function refreshTriggerRegistry() {
+  triggerRegistryPromise = triggerRegistryPromise
+    .then(async () => {
+      const snippetsByArea = {};
+      for (const area of SNIPPET_AREAS) {
+        snippetsByArea[area] = await loadSnippets(area);
+      }
+      await setStorage('local', { [TRIGGERS_KEY]: buildTriggerRegistry(snippetsByArea) });
+    })
+    .catch((error) => {
+      console.log('Trigger registry refresh failed:', error instanceof Error ? error.message : error);
+    });
+  return triggerRegistryPromise;
+}
+
+function createContextMenu(properties) {
+  return new Promise((resolve, reject) => {
+    chrome.contextMenus.create(properties, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(`Context menu create failed: ${chrome.runtime.lastError.message}`));
+        return;
+      }
+      resolve();
+    });
   });
 }
 
-const EMBEDDINGS_KEY = 'snippet_embeddings_v1';
+function removeContextMenu(id) {
+  return new Promise((resolve) => {
+    chrome.contextMenus.remove(id, () => {
+      void chrome.runtime.lastError;
+      resolve();
+    });
+  });
+}
 
-chrome.contextMenus.onClicked.addListener((info, tab) => {
-  if (info.menuItemId !== "save-snippet") {
-    return;
+async function loadCollections() {
+  const result = await getStorage('local', [COLLECTIONS_KEY]);
+  const stored = result[COLLECTIONS_KEY];
+  if (stored === undefined) {
+    return [];
   }
-  void handleSaveSnippet(info, tab);
-});
+  if (!Array.isArray(stored)) {
+    throw new Error('Collections storage must be an array.');
+  }
+  return stored;
+}
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!message || typeof message !== 'object') {
@@ -51,30 +343,150 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     void handleEnsureEmbeddings(message, sendResponse);
     return true;
   }
-});
-
-async function handleSaveSnippet(info, tab) {
-  let selectedText = typeof info.selectionText === 'string' ? info.selectionText : '';
-  if (typeof selectedText !== 'string' || selectedText.trim().length === 0) {
-    if (typeof tab.id !== 'number') {
-      throw new Error('Tab ID is required to read selection.');
+  if (message.action === 'refreshSnippetEmbedding') {
+    void handleRefreshSnippetEmbedding(message, sendResponse);
+    return true;
+  }
+  if (message.action === 'quickSearch') {
+    void handleQuickSearch(message, sender, sendResponse);
+    return true;
+  }
+  if (message.action === 'resolveDuplicate') {
+    void handleResolveDuplicate(message, sendResponse);
+    return true;
+  }
+  if (message.action === 'expandTemplate') {
+    try {
+      sendResponse({ ok: true, text: expandTemplate(message.text, message.values) });
+    } catch (error) {
+      sendResponse({ ok: false, error: error instanceof Error ? error.message : 'Template expansion failed.' });
     }
-    selectedText = await requestSelectedText(tab.id);
+    return;
   }
-  if (typeof selectedText !== 'string' || selectedText.trim().length === 0) {
-    throw new Error('Selected text is required to save a snippet.');
+  if (message.action === 'loadModel') {
+    void handleLoadModel(message, sendResponse);
+    return true;
+  }
+  if (message.action === 'unloadModel') {
+    void handleUnloadModel(sendResponse);
+    return true;
+  }
+  if (message.action === 'resumeReembedJob') {
+    void runReembedJob();
+    sendResponse({ ok: true });
   }
+});
+
+async function handleSaveSnippet(info, tab, organize) {
   if (!tab || typeof tab.url !== 'string') {
     throw new Error('Tab URL is required to save a snippet.');
   }
   if (typeof tab.id !== 'number') {
     throw new Error('Tab ID is required to save a snippet.');
   }
+  const fallbackText = typeof info.selectionText === 'string' ? info.selectionText : '';
+  const frameId = getFrameId(info);
+  let context = null;
+  try {
+    context = await requestSelectionContext(tab.id, frameId);
+  } catch (error) {
+    if (fallbackText.trim().length === 0) {
+      throw error;
+    }
+    console.log('Selection context unavailable:', error instanceof Error ? error.message : error);
+  }
+  const codeText = context && context.code ? normalizeCodeText(context.code.text) : '';
+  const selectedText = codeText || (context ? context.text : fallbackText);
+  if (typeof selectedText !== 'string' || selectedText.trim().length === 0) {
+    throw new Error('Selected text is required to save a snippet.');
+  }
+  const code = codeText ? { language: detectLanguage(codeText, context.code.languageHint) } : null;
+  let html = '';
+  if (!code && context && context.html) {
+    try {
+      html = await sanitizeSnippetHtml(context.html);
+    } catch (error) {
+      console.log('Rich selection unavailable:', error instanceof Error ? error.message : error);
+    }
+  }
   const id = generateSnippetId();
-  const vector = await embedText(selectedText);
-  await saveSnippet({ id, text: selectedText, url: tab.url });
-  await saveEmbedding(id, vector);
-  sendAnimateMessage(tab.id, selectedText);
+  const model = await getEmbeddingModel();
+  const chunks = await embedSnippetChunks(selectedText, model);
+  await saveSnippet({
+    id,
+    text: selectedText,
+    url: tab.url,
+    source: context ? context.source : null,
+    html,
+    code,
+    tags: normalizeTags(organize.tags || []),
+    collection: normalizeCollectionName(organize.collection)
+  });
+  const identity = getEmbeddingIdentity(model);
+  await putEmbedding(identity, id, chunks);
+  sendAnimateMessage(tab.id, frameId, selectedText);
+  try {
+    const items = await loadSnippetItems();
+    const embeddings = await getEmbeddingsForIdentity(identity);
+    const [match] = findNearDuplicates({ id, text: selectedText }, getSnippetVector(chunks), items, embeddings);
+    if (match) {
+      sendDuplicateToast(tab.id, frameId, id, match);
+    }
+  } catch (error) {
+    console.log('Duplicate check failed:', error instanceof Error ? error.message : error);
+  }
+}
+
+function sendDuplicateToast(tabId, frameId, snippetId, match) {
+  const text = match.snippet.text.replace(/\s+/g, ' ').trim();
+  chrome.tabs.sendMessage(tabId, {
+    action: 'showDuplicateToast',
+    snippetId,
+    duplicate: {
+      id: match.snippet.id,
+      area: match.area,
+      preview: text.length > DUPLICATE_PREVIEW_CHARS ? `${text.slice(0, DUPLICATE_PREVIEW_CHARS - 1)}…` : text,
+      score: match.score
+    }
+  }, { frameId }, () => {
+    if (chrome.runtime.lastError) {
+      console.log('Duplicate notice failed:', chrome.runtime.lastError.message);
+    }
+  });
+}
+
+async function handleResolveDuplicate(message, sendResponse) {
+  try {
+    const items = await loadSnippetItems();
+    const saved = items.find(({ snippet }) => snippet.id === message.snippetId);
+    const existing = items.find(({ snippet }) => snippet.id === message.duplicateId);
+    if (!saved || !existing) {
+      throw new Error('Snippet not found.');
+    }
+    if (message.choice === 'keep') {
+      sendResponse({ ok: true });
+      return;
+    }
+    let updated;
+    if (message.choice === 'merge') {
+      updated = mergeSnippets(existing.snippet, [saved.snippet]);
+    } else if (message.choice === 'attach') {
+      updated = attachSource(existing.snippet, getSourceEntry(saved.snippet));
+    } else {
+      throw new Error(`Unsupported duplicate choice: ${message.choice}`);
+    }
+    await updateSnippets(existing.area, { put: [updated] });
+    await updateSnippets(saved.area, { remove: [saved.snippet.id] });
+    await deleteEmbeddings(saved.snippet.id);
+    if (updated.text !== existing.snippet.text) {
+      await deleteEmbeddings(updated.id);
+      await ensureEmbeddings([{ id: updated.id, text: updated.text }]);
+    }
+    sendResponse({ ok: true });
+  } catch (error) {
+    const messageText = error instanceof Error ? error.message : 'Failed to resolve duplicate.';
+    sendResponse({ ok: false, error: messageText });
+  }
 }
 
 async function handleEmbedQuery(message, sendResponse) {
@@ -82,14 +494,120 @@ async function handleEmbedQuery(message, sendResponse) {
     if (typeof message.text !== 'string' || message.text.trim().length === 0) {
       throw new Error('Query text is required for embedding.');
     }
-    const vector = await embedText(message.text);
+    const model = await getEmbeddingModel(typeof message.modelId === 'string' ? message.modelId : null);
+    const group = typeof message.group === 'string' ? message.group : null;
+    const vector = await embedText(message.text, model, group);
     sendResponse({ ok: true, vector });
   } catch (error) {
     const messageText = error instanceof Error ? error.message : 'Embedding failed.';
-    sendResponse({ ok: false, error: messageText });
+    sendResponse({ ok: false, error: messageText, superseded: Boolean(error && error.superseded) });
+  }
+}
+
+async function handleQuickSearch(message, sender, sendResponse) {
+  try {
+    if (typeof message.query !== 'string') {
+      throw new Error('Search query must be a string.');
+    }
+    const query = message.query.trim();
+    const fieldContext = typeof message.fieldContext === 'string' ? message.fieldContext.trim() : '';
+    const group = sender.tab ? `quick-search:${sender.tab.id}` : 'quick-search';
+    const { results, notice } = query.length === 0 && fieldContext.length > 0
+      ? await searchSnippets(fieldContext, { mode: 'semantic', semanticWeight: 1 }, group)
+      : await searchSnippets(query, null, group);
+    sendResponse({ ok: true, results: results.slice(0, QUICK_SEARCH_LIMIT).map(formatQuickResult), notice });
+  } catch (error) {
+    const messageText = error instanceof Error ? error.message : 'Search failed.';
+    sendResponse({ ok: false, error: messageText, superseded: Boolean(error && error.superseded) });
   }
 }
 
+async function searchSnippets(query, settingsOverride = null, group = null) {
+  const items = await loadSnippetItems();
+  if (query.length === 0) {
+    const recent = [...items].sort((a, b) => getSnippetTime(b.snippet) - getSnippetTime(a.snippet));
+    return { results: recent, notice: '' };
+  }
+  const settings = settingsOverride || await loadSearchSettings();
+  if (settings.mode === 'keyword') {
+    return { results: rankByKeywords(items, query), notice: '' };
+  }
+  try {
+    const model = await getEmbeddingModel();
+    const queryVector = Float32Array.from(await embedText(query, model, group));
+    const embeddings = await getEmbeddingsForIdentity(getEmbeddingIdentity(model));
+    const results = rankSnippetItems(items, {
+      query,
+      queryVector,
+      embeddings,
+      settings,
+      allowMissing: true
+    });
+    let notice = '';
+    if (reembedJobPromise) {
+      notice = 'Re-embedding in progress: some snippets rank by keywords only.';
+    } else if (items.some((item) => !embeddings.has(item.snippet.id))) {
+      notice = 'Some snippets are not embedded yet and rank by keywords only.';
+    }
+    return { results, notice };
+  } catch (error) {
+    if (error && error.superseded) {
+      throw error;
+    }
+    const messageText = error instanceof Error ? error.message : 'Search failed.';
+    return { results: rankByKeywords(items, query), notice: `Keyword results only: ${messageText}` };
+  }
+}
+
+function formatQuickResult({ snippet, area, score }) {
+  return {
+    id: snippet.id,
+    area,
+    text: snippet.text,
+    title: snippet.source && typeof snippet.source.title === 'string' ? snippet.source.title : '',
+    language: snippet.code ? snippet.code.language : undefined,
+    template: getTemplateFields(snippet),
+    score: typeof score === 'number' ? score : null
+  };
+}
+
+function getSnippetTime(snippet) {
+  const time = Date.parse(snippet.updated || snippet.date);
+  return Number.isFinite(time) ? time : 0;
+}
+
+function openQuickSearch(tab, options = {}) {
+  if (!tab || typeof tab.id !== 'number') {
+    throw new Error('Tab ID is required to open quick search.');
+  }
+  const message = { action: 'openQuickSearch', suggest: Boolean(options.suggest) };
+  chrome.tabs.sendMessage(tab.id, message, { frameId: options.frameId || 0 }, () => {
+    if (chrome.runtime.lastError) {
+      console.log('Quick search unavailable on this page:', chrome.runtime.lastError.message);
+    }
+  });
+}
+
+async function handleInsertSnippet(tab, frameId, id) {
+  if (!tab || typeof tab.id !== 'number') {
+    throw new Error('Tab ID is required to insert a snippet.');
+  }
+  const item = (await loadSnippetItems()).find(({ snippet }) => snippet.id === id);
+  if (!item) {
+    throw new Error('Snippet not found.');
+  }
+  const message = { action: 'insertSnippet', text: item.snippet.text, template: getTemplateFields(item.snippet) };
+  chrome.tabs.sendMessage(tab.id, message, { frameId }, (response) => {
+    if (chrome.runtime.lastError) {
+      console.log('Snippet insert failed:', chrome.runtime.lastError.message);
+      return;
+    }
+    if (!response || response.ok !== true) {
+      console.log('Snippet insert failed:', response && response.error ? response.error : 'No editable field.');
+    }
+  });
+}
+
 async function handleEnsureEmbeddings(message, sendResponse) {
   try {
     const items = message.items;
@@ -104,6 +622,25 @@ async function handleEnsureEmbeddings(message, sendResponse) {
   }
 }
 
+async function handleRefreshSnippetEmbedding(message, sendResponse) {
+  try {
+    if (typeof message.id !== 'string' || message.id.length === 0) {
+      throw new Error('Snippet ID is required to refresh its embedding.');
+    }
+    if (typeof message.text !== 'string' || message.text.trim().length === 0) {
+      throw new Error('Snippet text is required to refresh its embedding.');
+    }
+    await deleteEmbeddings(message.id);
+    const model = await getEmbeddingModel();
+    const chunks = await embedSnippetChunks(message.text, model);
+    await putEmbedding(getEmbeddingIdentity(model), message.id, chunks);
+    sendResponse({ ok: true });
+  } catch (error) {
+    const messageText = error instanceof Error ? error.message : 'Embedding failed.';
+    sendResponse({ ok: false, error: messageText });
+  }
+}
+
 function generateSnippetId() {
   if (!crypto || typeof crypto.randomUUID !== 'function') {
     throw new Error('crypto.randomUUID is required to generate snippet IDs.');
@@ -111,131 +648,551 @@ function generateSnippetId() {
   return crypto.randomUUID();
 }
 
-async function getStorage(area, keys) {
-  if (!chrome.storage || !chrome.storage[area]) {
-    throw new Error(`chrome.storage.${area} is not available.`);
+async function saveSnippet({ id, text, url, source, html, code, tags, collection }) {
+  const snippet = {
+    id,
+    text,
+    url,
+    date: new Date().toISOString()
+  };
+  if (source) {
+    snippet.source = normalizeSource(source);
   }
-  return new Promise((resolve, reject) => {
-    chrome.storage[area].get(keys, (result) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(`Storage read failed: ${chrome.runtime.lastError.message}`));
-        return;
+  if (html) {
+    snippet.html = html;
+  }
+  if (code) {
+    snippet.code = { language: code.language };
+  }
+  if (tags.length > 0) {
+    snippet.tags = tags;
+  }
+  if (collection) {
+    snippet.collection = collection;
+  }
+  await updateSnippets('local', { put: [snippet] });
+}
+
+async function ensureEmbeddings(items) {
+  let identity = getEmbeddingIdentity(await getActiveModel());
+  let missing = await findMissingEmbeddings(identity, items);
+  if (missing.length === 0) {
+    return 0;
+  }
+  const model = await getEmbeddingModel();
+  if (getEmbeddingIdentity(model).signature !== identity.signature) {
+    identity = getEmbeddingIdentity(model);
+    missing = await findMissingEmbeddings(identity, items);
+  }
+  const results = await Promise.allSettled(missing.map(async (item) => {
+    const chunks = await embedSnippetChunks(item.text, model, EMBEDDING_PRIORITIES.backfill);
+    await putEmbedding(identity, item.id, chunks);
+  }));
+  const failure = results.find((result) => result.status === 'rejected');
+  if (failure) {
+    throw failure.reason;
+  }
+  return missing.length;
+}
+
+async function findMissingEmbeddings(identity, items) {
+  const embedded = await getEmbeddingVersions(identity);
+  const missing = [];
+  for (const item of items) {
+    if (!item || typeof item !== 'object') {
+      throw new Error('Embedding item is invalid.');
+    }
+    if (typeof item.id !== 'string' || item.id.length === 0) {
+      throw new Error('Embedding item requires an id.');
+    }
+    if (typeof item.text !== 'string' || item.text.trim().length === 0) {
+      throw new Error('Embedding item requires text.');
+    }
+    if (!embedded.has(item.id)) {
+      missing.push(item);
+    }
+  }
+  return missing;
+}
+
+function runReembedJob() {
+  if (reembedJobPromise) {
+    return reembedJobPromise;
+  }
+  reembedJobPromise = (async () => {
+    try {
+      let signature = await processReembedJob();
+      while (signature !== getEmbeddingIdentity(await getActiveModel()).signature) {
+        signature = await processReembedJob();
       }
-      resolve(result);
-    });
+    } catch (error) {
+      console.error(error);
+    } finally {
+      reembedJobPromise = null;
+    }
+  })();
+  return reembedJobPromise;
+}
+
+function runReembedJobAfterCurrent() {
+  return (reembedJobPromise || Promise.resolve()).then(() => runReembedJob());
+}
+
+async function processReembedJob() {
+  const identity = getEmbeddingIdentity(await getActiveModel());
+  const snippets = await loadAllSnippets();
+  const current = await getEmbeddingsForIdentity(identity);
+  const pending = snippets.filter((snippet) => !current.has(snippet.id));
+  const previous = await loadReembedJob();
+  if (pending.length === 0) {
+    if (previous && previous.status !== 'done') {
+      await saveReembedJob({ ...previous, status: 'done', completed: previous.total, error: null });
+    }
+    return identity.signature;
+  }
+  const resumed = previous && previous.signature === identity.signature && previous.status !== 'done';
+  const completedBefore = resumed ? previous.completed : 0;
+  let job = {
+    signature: identity.signature,
+    modelId: identity.modelId,
+    status: 'running',
+    total: completedBefore + pending.length,
+    completed: completedBefore,
+    error: null
+  };
+  await saveReembedJob(job);
+  let model;
+  try {
+    model = await getEmbeddingModel();
+  } catch (error) {
+    const messageText = error instanceof Error ? error.message : 'Re-embedding failed.';
+    await saveReembedJob({ ...job, status: 'error', error: messageText });
+    throw error;
+  }
+  if (getEmbeddingIdentity(model).signature !== identity.signature) {
+    return identity.signature;
+  }
+  for (let offset = 0; offset < pending.length; offset += REEMBED_BATCH_SIZE) {
+    const batch = pending.slice(offset, offset + REEMBED_BATCH_SIZE);
+    try {
+      await Promise.all(batch.map(async (snippet) => {
+        if (await getEmbedding(identity, snippet.id)) {
+          return;
+        }
+        const chunks = await embedSnippetChunks(snippet.text, model, EMBEDDING_PRIORITIES.backfill);
+        await putEmbedding(identity, snippet.id, chunks);
+      }));
+    } catch (error) {
+      const messageText = error instanceof Error ? error.message : 'Re-embedding failed.';
+      await saveReembedJob({ ...job, status: 'error', error: messageText });
+      throw error;
+    }
+    job = { ...job, completed: job.completed + batch.length };
+    await saveReembedJob(job);
+  }
+  await saveReembedJob({ ...job, status: 'done' });
+  return identity.signature;
+}
+
+async function loadReembedJob() {
+  const result = await getStorage('local', [REEMBED_JOB_KEY]);
+  const stored = result[REEMBED_JOB_KEY];
+  if (stored === undefined) {
+    return null;
+  }
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+    throw new Error('Re-embedding job state must be an object.');
+  }
+  if (!Number.isInteger(stored.total) || !Number.isInteger(stored.completed)) {
+    throw new Error('Re-embedding job progress is invalid.');
+  }
+  return stored;
+}
+
+async function saveReembedJob(job) {
+  await setStorage('local', { [REEMBED_JOB_KEY]: { ...job, updated: new Date().toISOString() } });
+}
+
+async function migrateStoredEmbeddings() {
+  try {
+    const registry = await loadModelRegistry();
+    const model = await getModelEntry(registry.defaultModel);
+    const snippetTexts = new Map((await loadAllSnippets()).map((snippet) => [snippet.id, snippet.text]));
+    await migrateLegacyEmbeddings(getEmbeddingIdentity(model), snippetTexts);
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+async function loadAllSnippets() {
+  const snippets = [];
+  for (const area of SNIPPET_AREAS) {
+    for (const snippet of await loadSnippets(area)) {
+      if (!snippet || typeof snippet !== 'object') {
+        throw new Error('Snippet entry is invalid.');
+      }
+      if (typeof snippet.id !== 'string' || snippet.id.length === 0) {
+        continue;
+      }
+      if (typeof snippet.text !== 'string' || snippet.text.trim().length === 0) {
+        throw new Error('Snippet text is required for embeddings.');
+      }
+      snippets.push(snippet);
+    }
+  }
+  return snippets;
+}
+
+async function loadSnippetItems() {
+  const items = [];
+  for (const area of SNIPPET_AREAS) {
+    for (const snippet of await loadSnippets(area)) {
+      if (snippet && typeof snippet.id === 'string' && typeof snippet.text === 'string' && snippet.text.trim()) {
+        items.push({ snippet, area });
+      }
+    }
+  }
+  return items;
+}
+
+function embedText(text, model, group = null) {
+  if (!model || typeof model.id !== 'string') {
+    throw new Error('Embedding model is required.');
+  }
+  return enqueueEmbedding(embeddingQueue, {
+    kind: 'query',
+    text,
+    modelId: model.id,
+    dtype: model.dtype,
+    priority: EMBEDDING_PRIORITIES.query,
+    group
   });
 }
 
-async function setStorage(area, data) {
-  if (!chrome.storage || !chrome.storage[area]) {
-    throw new Error(`chrome.storage.${area} is not available.`);
+function embedSnippetChunks(text, model, priority = EMBEDDING_PRIORITIES.save) {
+  if (!model || typeof model.id !== 'string') {
+    throw new Error('Embedding model is required.');
+  }
+  return enqueueEmbedding(embeddingQueue, { kind: 'chunks', text, modelId: model.id, dtype: model.dtype, priority });
+}
+
+async function runEmbeddingBatch(modelId, dtype, items) {
+  const model = await getModelEntry(modelId);
+  try {
+    return await embedWithLoadedModel(model, dtype, items);
+  } catch (error) {
+    if (!error || !error.modelLost) {
+      throw error;
+    }
+    modelLoadState = null;
+    return await embedWithLoadedModel(model, dtype, items);
+  } finally {
+    void scheduleIdleUnload();
+  }
+}
+
+async function embedWithLoadedModel(model, dtype, items) {
+  const backend = await ensureModelLoaded(model);
+  if (backend.dtype !== dtype) {
+    void runReembedJobAfterCurrent();
+    throw new Error(`The model is now running as ${backend.dtype} instead of ${dtype}. Saved snippets are embedded again by the background re-embedding job; try again.`);
   }
+  return sendEmbeddingBatch(model.id, dtype, items);
+}
+
+function sendEmbeddingBatch(modelId, dtype, items) {
   return new Promise((resolve, reject) => {
-    chrome.storage[area].set(data, () => {
+    chrome.runtime.sendMessage({ target: 'offscreen', action: 'embedBatch', modelId, dtype, items }, (response) => {
       if (chrome.runtime.lastError) {
-        reject(new Error(`Storage write failed: ${chrome.runtime.lastError.message}`));
+        const error = new Error(`Embedding failed: ${chrome.runtime.lastError.message}`);
+        error.modelLost = true;
+        reject(error);
         return;
       }
-      resolve();
+      if (!response || response.ok !== true || !Array.isArray(response.results)) {
+        const error = new Error(response && response.error ? response.error : 'Embedding failed.');
+        error.modelLost = Boolean(response && response.notLoaded);
+        reject(error);
+        return;
+      }
+      resolve(response.results);
     });
   });
 }
 
-async function saveSnippet({ id, text, url }) {
-  const result = await getStorage('local', ['snippets']);
-  if (!Array.isArray(result.snippets)) {
-    throw new Error('Snippets storage must be an array.');
+async function handleLoadModel(message, sendResponse) {
+  try {
+    if (message.recheck === true) {
+      await saveVerifiedFiles({});
+    }
+    await getEmbeddingModel();
+    void scheduleIdleUnload();
+    sendResponse({ ok: true });
+  } catch (error) {
+    const messageText = error instanceof Error ? error.message : 'Model failed to load.';
+    sendResponse({ ok: false, error: messageText });
   }
-  const snippets = result.snippets;
-  snippets.push({
-    id,
-    text,
-    url,
-    date: new Date().toISOString()
-  });
-  await setStorage('local', { snippets });
 }
 
-async function loadEmbeddingsIndex() {
-  const result = await getStorage('local', [EMBEDDINGS_KEY]);
-  const stored = result[EMBEDDINGS_KEY];
-  if (stored === undefined) {
-    return {};
+async function handleUnloadModel(sendResponse) {
+  try {
+    sendResponse({ ok: true, unloaded: await unloadModel() });
+  } catch (error) {
+    const messageText = error instanceof Error ? error.message : 'Model failed to unload.';
+    sendResponse({ ok: false, error: messageText });
   }
-  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
-    throw new Error('Embeddings storage must be an object.');
+}
+
+async function getEmbeddingModel(modelId = null) {
+  const model = await getModelEntry(modelId || (await getActiveModel()).id);
+  return applyModelBackend(model, await ensureModelLoaded(model));
+}
+
+async function ensureModelLoaded(model) {
+  if (modelLoadState && modelLoadState.loaded && !(await chrome.offscreen.hasDocument())) {
+    modelLoadState = null;
   }
-  return stored;
+  if (modelLoadState && modelLoadState.modelId === model.id) {
+    return modelLoadState.promise;
+  }
+  const promise = loadModelWithRetry(model);
+  const state = { modelId: model.id, promise, loaded: false };
+  modelLoadState = state;
+  promise.then(() => {
+    state.loaded = true;
+  }, () => {
+    if (modelLoadState === state) {
+      modelLoadState = null;
+    }
+  });
+  return promise;
 }
 
-async function saveEmbedding(id, vector) {
-  if (typeof id !== 'string' || id.length === 0) {
-    throw new Error('Embedding ID is required.');
+async function loadModelWithRetry(model) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      await saveModelStatus(model, 'loading', { attempt });
+      const backend = await loadOffscreenModel(model);
+      await recordModelBackend(model, backend);
+      await saveModelStatus(model, 'ready', { backend });
+      return backend;
+    } catch (error) {
+      const messageText = error instanceof Error ? error.message : 'Model failed to load.';
+      if (error && Array.isArray(error.problems)) {
+        const installed = error.problems.some((problem) => problem.problem !== 'missing');
+        await saveModelStatus(model, installed ? 'corrupted' : 'not-installed', { error: messageText, problems: error.problems });
+        throw error;
+      }
+      if (attempt >= MAX_LOAD_ATTEMPTS) {
+        await saveModelStatus(model, 'error', { error: messageText, attempt });
+        throw error;
+      }
+      const delay = getLoadRetryDelay(attempt);
+      await saveModelStatus(model, 'loading', {
+        error: messageText,
+        attempt,
+        retryAt: new Date(Date.now() + delay).toISOString()
+      });
+      await new Promise((resolve) => {
+        setTimeout(resolve, delay);
+      });
+    }
   }
-  if (!Array.isArray(vector) || vector.length === 0) {
-    throw new Error('Embedding vector is required.');
+}
+
+async function loadOffscreenModel(model) {
+  const settings = await loadBackendSettings();
+  let next = { candidate: 0, failures: [] };
+  for (;;) {
+    await ensureOffscreenDocument();
+    try {
+      return await sendOffscreenLoad(model.id, await loadVerifiedFiles(), settings, next);
+    } catch (error) {
+      if (!error || !error.next) {
+        throw error;
+      }
+      next = error.next;
+      await closeOffscreenDocument();
+    }
   }
-  const embeddingsIndex = await loadEmbeddingsIndex();
-  embeddingsIndex[id] = vector;
-  await setStorage('local', { [EMBEDDINGS_KEY]: embeddingsIndex });
 }
 
-async function ensureEmbeddings(items) {
-  const embeddingsIndex = await loadEmbeddingsIndex();
-  let updated = 0;
-  for (const item of items) {
-    if (!item || typeof item !== 'object') {
-      throw new Error('Embedding item is invalid.');
+async function sendOffscreenLoad(modelId, verified, settings, { candidate, failures }) {
+  const response = await new Promise((resolve, reject) => {
+    const message = { target: 'offscreen', action: 'loadModel', modelId, verified, settings, candidate, failures };
+    chrome.runtime.sendMessage(message, (reply) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(`Model failed to load: ${chrome.runtime.lastError.message}`));
+        return;
+      }
+      resolve(reply);
+    });
+  });
+  if (response && response.verified && typeof response.verified === 'object') {
+    await saveVerifiedFiles(response.verified);
+  }
+  if (!response || response.ok !== true) {
+    const error = new Error(response && response.error ? response.error : 'Model failed to load.');
+    if (Array.isArray(response && response.problems)) {
+      error.problems = response.problems;
     }
-    if (typeof item.id !== 'string' || item.id.length === 0) {
-      throw new Error('Embedding item requires an id.');
+    if (response && response.next && Number.isInteger(response.next.candidate) && Array.isArray(response.next.failures)) {
+      error.next = response.next;
     }
-    if (typeof item.text !== 'string' || item.text.trim().length === 0) {
-      throw new Error('Embedding item requires text.');
+    throw error;
+  }
+  if (!response.backend || typeof response.backend.dtype !== 'string') {
+    throw new Error('Model loaded without reporting its backend.');
+  }
+  return response.backend;
+}
+
+function getLifecycleSettings() {
+  if (!lifecycleSettingsPromise) {
+    lifecycleSettingsPromise = loadLifecycleSettings();
+    lifecycleSettingsPromise.catch(() => {
+      lifecycleSettingsPromise = null;
+    });
+  }
+  return lifecycleSettingsPromise;
+}
+
+async function scheduleIdleUnload() {
+  try {
+    const settings = await getLifecycleSettings();
+    if (settings.idleMinutes === 0) {
+      await chrome.alarms.clear(MODEL_IDLE_ALARM);
+      return;
     }
-    if (embeddingsIndex[item.id]) {
-      continue;
+    await chrome.alarms.create(MODEL_IDLE_ALARM, { delayInMinutes: settings.idleMinutes });
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+async function unloadIdleModel() {
+  try {
+    if (embeddingQueue.running || embeddingQueue.pending.length > 0 || reembedJobPromise) {
+      await scheduleIdleUnload();
+      return;
     }
-    const vector = await embedText(item.text);
-    embeddingsIndex[item.id] = vector;
-    updated += 1;
+    await unloadModel();
+  } catch (error) {
+    console.error(error);
   }
-  if (updated > 0) {
-    await setStorage('local', { [EMBEDDINGS_KEY]: embeddingsIndex });
+}
+
+async function unloadModel() {
+  if (embeddingQueue.running || embeddingQueue.pending.length > 0) {
+    throw new Error('The model is busy embedding snippets. Try again when it finishes.');
+  }
+  await chrome.alarms.clear(MODEL_IDLE_ALARM);
+  modelLoadState = null;
+  const closed = await closeOffscreenDocument();
+  await saveModelStatus(await getActiveModel(), 'unloaded');
+  return closed;
+}
+
+async function closeOffscreenDocument() {
+  const hasDocument = await chrome.offscreen.hasDocument();
+  if (hasDocument) {
+    await chrome.offscreen.closeDocument();
+  }
+  return hasDocument;
+}
+
+async function reloadModelBackend() {
+  if (!modelLoadState) {
+    return;
+  }
+  try {
+    await unloadModel();
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+async function refreshModelStatus() {
+  try {
+    const model = await getActiveModel();
+    if (modelLoadState && modelLoadState.modelId === model.id) {
+      return;
+    }
+    const missing = await getMissingModelFiles(model);
+    if (missing.length > 0) {
+      await saveModelStatus(model, 'not-installed', {
+        error: `Missing local model assets for ${model.id}: ${missing.join(', ')}. Run ${getRepairCommand(model)}`,
+        problems: missing.map((file) => ({ file, path: `${model.repo}/${file}`, problem: 'missing' }))
+      });
+      return;
+    }
+    await saveModelStatus(model, 'unloaded');
+  } catch (error) {
+    console.error(error);
   }
-  return updated;
 }
 
-async function embedText(text) {
-  if (typeof text !== 'string' || text.trim().length === 0) {
-    throw new Error('Text is required for embedding.');
+async function startModelLifecycle() {
+  try {
+    const settings = await getLifecycleSettings();
+    if (!settings.prewarm) {
+      await refreshModelStatus();
+      return;
+    }
+    await getEmbeddingModel();
+    await scheduleIdleUnload();
+  } catch (error) {
+    console.error(error);
   }
+}
+
+function saveEmbeddingProgress(progress) {
+  embeddingProgressPromise = embeddingProgressPromise
+    .then(() => setStorage('local', { [EMBEDDING_PROGRESS_KEY]: { ...progress, updated: new Date().toISOString() } }))
+    .catch((error) => {
+      console.error(error);
+    });
+}
+
+async function sanitizeSnippetHtml(html) {
   await ensureOffscreenDocument();
   return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(
-      { target: 'offscreen', action: 'embedText', text },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(`Embedding failed: ${chrome.runtime.lastError.message}`));
-          return;
-        }
-        if (!response || response.ok !== true || !Array.isArray(response.vector)) {
-          const messageText = response && response.error ? response.error : 'Embedding failed.';
-          reject(new Error(messageText));
-          return;
-        }
-        resolve(response.vector);
+    chrome.runtime.sendMessage({ target: 'offscreen', action: 'sanitizeHtml', html }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(`HTML sanitizing failed: ${chrome.runtime.lastError.message}`));
+        return;
+      }
+      if (!response || response.ok !== true || typeof response.html !== 'string') {
+        const messageText = response && response.error ? response.error : 'HTML sanitizing failed.';
+        reject(new Error(messageText));
+        return;
       }
-    );
+      resolve(response.html);
+    });
   });
 }
 
-async function requestSelectedText(tabId) {
+function normalizeSource(source) {
+  if (!source || typeof source !== 'object') {
+    throw new Error('Snippet source metadata is invalid.');
+  }
+  const readText = (value) => (typeof value === 'string' ? value.trim() : '');
+  const readUrl = (value) => (typeof value === 'string' && /^https?:/.test(value) ? value : null);
+  return {
+    title: readText(source.title),
+    heading: readText(source.heading),
+    excerpt: readText(source.excerpt),
+    canonicalUrl: readUrl(source.canonicalUrl),
+    fragmentUrl: readUrl(source.fragmentUrl)
+  };
+}
+
+async function requestSelectionContext(tabId, frameId) {
   if (typeof tabId !== 'number') {
     throw new Error('Tab ID is required to request selection.');
   }
   return new Promise((resolve, reject) => {
-    chrome.tabs.sendMessage(tabId, { action: 'getSelectedText' }, (response) => {
+    chrome.tabs.sendMessage(tabId, { action: 'getSelectionContext' }, { frameId }, (response) => {
       if (chrome.runtime.lastError) {
         reject(new Error(`Failed to read selection: ${chrome.runtime.lastError.message}`));
         return;
@@ -245,17 +1202,32 @@ async function requestSelectedText(tabId) {
         reject(new Error(message));
         return;
       }
-      resolve(response.text);
+      resolve({
+        text: response.text,
+        html: typeof response.html === 'string' ? response.html : '',
+        code: getSelectionCode(response.code),
+        source: response.source || null
+      });
     });
   });
 }
 
+function getSelectionCode(code) {
+  if (!code || typeof code !== 'object' || typeof code.text !== 'string' || code.text.trim().length === 0) {
+    return null;
+  }
+  return {
+    text: code.text,
+    languageHint: typeof code.languageHint === 'string' ? code.languageHint : ''
+  };
+}
+
 async function ensureOffscreenDocument() {
   if (!chrome.offscreen || typeof chrome.offscreen.createDocument !== 'function') {
     throw new Error('chrome.offscreen is not available.');
   }
-  if (!chrome.offscreen.Reason || !chrome.offscreen.Reason.DOM_SCRAPING) {
-    throw new Error('chrome.offscreen.Reason.DOM_SCRAPING is not available.');
+  if (!chrome.offscreen.Reason || !chrome.offscreen.Reason.DOM_SCRAPING || !chrome.offscreen.Reason.DOM_PARSER) {
+    throw new Error('chrome.offscreen.Reason.DOM_SCRAPING and DOM_PARSER are required.');
   }
   if (typeof chrome.offscreen.hasDocument !== 'function') {
     throw new Error('chrome.offscreen.hasDocument is not available.');
@@ -266,15 +1238,16 @@ async function ensureOffscreenDocument() {
   }
   await chrome.offscreen.createDocument({
     url: 'offscreen.html',
-    reasons: [chrome.offscreen.Reason.DOM_SCRAPING],
-    justification: 'Compute local embeddings for saved snippets.'
+    reasons: [chrome.offscreen.Reason.DOM_SCRAPING, chrome.offscreen.Reason.DOM_PARSER],
+    justification: 'Compute local embeddings for saved snippets and sanitize captured selection HTML.'
   });
 }
 
-function sendAnimateMessage(tabId, text) {
+function sendAnimateMessage(tabId, frameId, text) {
   chrome.tabs.sendMessage(
     tabId,
     { action: 'animateSnippet', text },
+    { frameId },
     () => {
       if (chrome.runtime.lastError) {
         console.log('Animation message failed:', chrome.runtime.lastError.message);
@@ -1,14 +1,189 @@
 let animationElement = null;
 let lastSelectionPosition = null;
+let quickSearch = null;
+let lastEditableContext = null;
+let expanderTriggers = new Map();
+let expanderEnabled = false;
+let lastExpansion = null;
+let expanding = false;
 const INPUT_TEXT_TYPES = new Set(['text', 'search', 'url', 'email', 'tel']);
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+const BLOCK_SELECTOR = 'p, li, td, th, dd, dt, blockquote, pre, figcaption, article, section, div';
+const EXCERPT_CONTEXT_CHARS = 120;
+const FRAGMENT_EDGE_WORDS = 3;
+const MAX_SELECTION_HTML_CHARS = 200000;
+const CODE_SELECTOR = 'pre, code';
+const CODE_TEXT_RATIO = 0.8;
+const CODE_HINT_ATTRIBUTES = ['data-lang', 'data-language'];
+const CODE_HINT_ANCESTORS = 3;
+const QUICK_SEARCH_DEBOUNCE_MS = 150;
+const QUICK_SEARCH_PREVIEW_CHARS = 180;
+const TRIGGERS_KEY = 'snippet_triggers_v1';
+const EXPANDER_SETTINGS_KEY = 'expander_settings_v1';
+const MODIFIER_KEYS = new Set(['Shift', 'Control', 'Alt', 'Meta', 'CapsLock']);
+const DUPLICATE_TOAST_MS = 20000;
+const FIELD_CONTEXT_CHARS = 300;
+const FIELD_CONTEXT_ANCESTORS = 4;
+const QUICK_SEARCH_STYLES = `
+  :host { all: initial; }
+  .backdrop {
+    position: fixed;
+    inset: 0;
+    z-index: 2147483647;
+    display: flex;
+    justify-content: center;
+    align-items: flex-start;
+    padding-top: 12vh;
+    background: rgba(29, 25, 20, 0.28);
+    font-family: "Avenir Next", "Gill Sans", "Trebuchet MS", "Helvetica", sans-serif;
+  }
+  .palette {
+    width: min(560px, calc(100vw - 32px));
+    background: #fffaf4;
+    color: #1d1914;
+    border: 1px solid #e6d4c2;
+    border-radius: 16px;
+    box-shadow: 0 16px 40px rgba(29, 25, 20, 0.28);
+    overflow: hidden;
+  }
+  input {
+    box-sizing: border-box;
+    width: 100%;
+    padding: 14px 16px;
+    border: 0;
+    border-bottom: 1px solid #e6d4c2;
+    background: transparent;
+    font: inherit;
+    font-size: 15px;
+    color: inherit;
+    outline: none;
+  }
+  ul {
+    list-style: none;
+    margin: 0;
+    padding: 6px;
+    max-height: 50vh;
+    overflow-y: auto;
+  }
+  li {
+    padding: 8px 10px;
+    border-radius: 10px;
+    cursor: pointer;
+  }
+  li[aria-selected="true"] {
+    background: rgba(200, 90, 26, 0.12);
+  }
+  .text {
+    font-size: 13px;
+    line-height: 1.4;
+    white-space: pre-wrap;
+    overflow-wrap: anywhere;
+    display: -webkit-box;
+    -webkit-line-clamp: 3;
+    -webkit-box-orient: vertical;
+    overflow: hidden;
+  }
+  .text.code {
+    font-family: "SFMono-Regular", "Menlo", "Consolas", monospace;
+    font-size: 12px;
+  }
+  .heading {
+    margin: 0;
+    padding: 10px 16px 0;
+    font-size: 11px;
+    font-weight: 600;
+    color: #c85a1a;
+  }
+  .template-form {
+    display: grid;
+    gap: 10px;
+    padding: 0 16px 14px;
+  }
+  .template-form label {
+    display: grid;
+    gap: 4px;
+    font-size: 12px;
+    color: #6f6458;
+  }
+  .template-form input {
+    padding: 8px 10px;
+    border: 1px solid #e6d4c2;
+    border-radius: 10px;
+    font-size: 13px;
+  }
+  .actions {
+    display: flex;
+    gap: 8px;
+  }
+  button {
+    padding: 7px 14px;
+    border: 1px solid #e6d4c2;
+    border-radius: 999px;
+    background: #fffdfb;
+    color: #1d1914;
+    font: inherit;
+    font-size: 12px;
+    cursor: pointer;
+  }
+  button[type="submit"] {
+    background: #c85a1a;
+    border-color: #c85a1a;
+    color: #fff;
+  }
+  .toast {
+    position: fixed;
+    right: 16px;
+    bottom: 16px;
+    z-index: 2147483647;
+    width: min(360px, calc(100vw - 32px));
+    padding: 12px 14px;
+    background: #fffaf4;
+    color: #1d1914;
+    border: 1px solid #e6d4c2;
+    border-radius: 14px;
+    box-shadow: 0 16px 40px rgba(29, 25, 20, 0.28);
+    font-family: "Avenir Next", "Gill Sans", "Trebuchet MS", "Helvetica", sans-serif;
+    font-size: 13px;
+  }
+  .toast .actions {
+    flex-wrap: wrap;
+    margin-top: 10px;
+  }
+  .meta, .status {
+    margin-top: 2px;
+    font-size: 11px;
+    color: #6f6458;
+  }
+  .status {
+    margin: 0;
+    padding: 8px 16px;
+    border-top: 1px solid #e6d4c2;
+  }
+`;
 
-document.addEventListener('contextmenu', () => {
+document.addEventListener('contextmenu', (event) => {
   const selectionPosition = getSelectionPosition();
   if (selectionPosition) {
     lastSelectionPosition = selectionPosition;
   }
+  const target = getEditableFromEvent(event);
+  lastEditableContext = target ? { target, caret: saveCaret(target) } : null;
+});
+
+document.addEventListener('input', handleExpanderInput, true);
+document.addEventListener('keydown', handleExpanderKeydown, true);
+document.addEventListener('mousedown', () => {
+  lastExpansion = null;
+}, true);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && (changes[TRIGGERS_KEY] || changes[EXPANDER_SETTINGS_KEY])) {
+    void loadExpander();
+  }
 });
 
+void loadExpander();
+
 function getSelectionPosition() {
   const inputSelection = getInputSelection();
   if (inputSelection) {
@@ -34,24 +209,231 @@ function getSelectionPosition() {
   };
 }
 
-function getInputSelection() {
-  const active = document.activeElement;
-  if (!active) {
+function getSelectionSource(selectionPosition) {
+  const pageUrl = getPageUrl();
+  const source = {
+    title: document.title.trim(),
+    heading: '',
+    excerpt: '',
+    canonicalUrl: getCanonicalUrl(pageUrl),
+    fragmentUrl: null
+  };
+  if (getInputSelection()) {
+    return source;
+  }
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0) {
+    return source;
+  }
+  const range = selection.getRangeAt(0);
+  source.heading = getNearestHeading(range);
+  source.excerpt = getSurroundingExcerpt(range, selectionPosition.text);
+  source.fragmentUrl = getTextFragmentUrl(pageUrl, selectionPosition.text);
+  return source;
+}
+
+function getSelectionHtml() {
+  if (getInputSelection()) {
+    return '';
+  }
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0) {
+    return '';
+  }
+  const container = document.createElement('div');
+  for (let index = 0; index < selection.rangeCount; index += 1) {
+    container.appendChild(selection.getRangeAt(index).cloneContents());
+  }
+  for (const link of container.querySelectorAll('a[href]')) {
+    try {
+      link.setAttribute('href', new URL(link.getAttribute('href'), document.baseURI).href);
+    } catch (error) {
+      link.removeAttribute('href');
+    }
+  }
+  const html = container.innerHTML;
+  return html.length <= MAX_SELECTION_HTML_CHARS ? html : '';
+}
+
+function getSelectionCode() {
+  if (getInputSelection()) {
     return null;
   }
-  if (active.tagName === 'INPUT') {
-    const type = typeof active.type === 'string' ? active.type.toLowerCase() : '';
-    if (!INPUT_TEXT_TYPES.has(type)) {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0) {
+    return null;
+  }
+  const range = selection.getRangeAt(0);
+  const container = range.commonAncestorContainer;
+  const element = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+  let block = element ? element.closest(CODE_SELECTOR) : null;
+  if (!block) {
+    const fragment = document.createElement('div');
+    fragment.appendChild(range.cloneContents());
+    const totalLength = normalizeWhitespace(fragment.textContent || '').length;
+    const codeBlocks = [...fragment.querySelectorAll('pre')];
+    const codeLength = codeBlocks.reduce((sum, pre) => sum + normalizeWhitespace(pre.textContent || '').length, 0);
+    if (totalLength === 0 || codeLength / totalLength < CODE_TEXT_RATIO) {
       return null;
     }
-    return getFormSelection(active);
+    block = element ? element.querySelector('pre') : null;
+  }
+  const text = selection.toString();
+  if (!text.trim()) {
+    return null;
+  }
+  return {
+    text,
+    languageHint: block ? getCodeLanguageHint(block) : ''
+  };
+}
+
+function getCodeLanguageHint(block) {
+  const hints = [];
+  let node = block;
+  for (let depth = 0; node && depth <= CODE_HINT_ANCESTORS; depth += 1) {
+    for (const attribute of CODE_HINT_ATTRIBUTES) {
+      const value = node.getAttribute(attribute);
+      if (value) {
+        hints.push(value);
+      }
+    }
+    if (typeof node.className === 'string' && node.className.trim()) {
+      hints.push(node.className.trim());
+    }
+    node = node.parentElement;
+  }
+  const inner = block.tagName === 'PRE' ? block.querySelector('code') : null;
+  if (inner && typeof inner.className === 'string' && inner.className.trim()) {
+    hints.unshift(inner.className.trim());
+  }
+  return hints.join(' ');
+}
+
+function getPageUrl() {
+  const url = new URL(window.location.href);
+  url.hash = '';
+  return url.href;
+}
+
+function getCanonicalUrl(pageUrl) {
+  const link = document.querySelector('link[rel="canonical"][href]');
+  if (!link || typeof link.href !== 'string' || !/^https?:/.test(link.href)) {
+    return pageUrl;
+  }
+  return link.href;
+}
+
+function getNearestHeading(range) {
+  const start = range.startContainer;
+  let nearest = null;
+  for (const heading of document.querySelectorAll(HEADING_SELECTOR)) {
+    const position = heading.compareDocumentPosition(start);
+    const precedes = position & Node.DOCUMENT_POSITION_FOLLOWING;
+    const contains = position & Node.DOCUMENT_POSITION_CONTAINED_BY;
+    if (!precedes && !contains) {
+      break;
+    }
+    nearest = heading;
   }
-  if (active.tagName === 'TEXTAREA') {
-    return getFormSelection(active);
+  return nearest ? normalizeWhitespace(nearest.textContent || '') : '';
+}
+
+function getSurroundingExcerpt(range, selectedText) {
+  const container = range.commonAncestorContainer;
+  const element = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+  const block = element ? element.closest(BLOCK_SELECTOR) : null;
+  if (!block) {
+    return '';
+  }
+  const blockText = normalizeWhitespace(block.textContent || '');
+  const needle = normalizeWhitespace(selectedText);
+  const index = blockText.indexOf(needle);
+  if (index === -1) {
+    return blockText.slice(0, EXCERPT_CONTEXT_CHARS * 2);
+  }
+  const start = Math.max(0, index - EXCERPT_CONTEXT_CHARS);
+  const end = Math.min(blockText.length, index + needle.length + EXCERPT_CONTEXT_CHARS);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < blockText.length ? '…' : '';
+  return `${prefix}${blockText.slice(start, end)}${suffix}`;
+}
+
+function getTextFragmentUrl(pageUrl, selectedText) {
+  const words = normalizeWhitespace(selectedText).split(' ').filter((word) => word.length > 0);
+  if (words.length === 0) {
+    return null;
+  }
+  if (words.length <= FRAGMENT_EDGE_WORDS * 2) {
+    return `${pageUrl}#:~:text=${encodeFragmentText(words.join(' '))}`;
+  }
+  const textStart = encodeFragmentText(words.slice(0, FRAGMENT_EDGE_WORDS).join(' '));
+  const textEnd = encodeFragmentText(words.slice(-FRAGMENT_EDGE_WORDS).join(' '));
+  return `${pageUrl}#:~:text=${textStart},${textEnd}`;
+}
+
+function encodeFragmentText(text) {
+  return encodeURIComponent(text).replace(/-/g, '%2D');
+}
+
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function getInputSelection() {
+  const field = getTextField(document.activeElement);
+  return field ? getFormSelection(field) : null;
+}
+
+function getTextField(element) {
+  if (!element) {
+    return null;
+  }
+  if (element.tagName === 'INPUT') {
+    const type = typeof element.type === 'string' ? element.type.toLowerCase() : '';
+    return INPUT_TEXT_TYPES.has(type) ? element : null;
+  }
+  if (element.tagName === 'TEXTAREA') {
+    return element;
   }
   return null;
 }
 
+function getEditableFromEvent(event) {
+  const path = typeof event.composedPath === 'function' ? event.composedPath() : [event.target];
+  const element = path.find((node) => node && node.nodeType === Node.ELEMENT_NODE);
+  if (!element) {
+    return null;
+  }
+  const field = getTextField(element);
+  if (field) {
+    return field.readOnly || field.disabled ? null : field;
+  }
+  if (!element.isContentEditable) {
+    return null;
+  }
+  let host = element;
+  while (host.parentElement && host.parentElement.isContentEditable) {
+    host = host.parentElement;
+  }
+  return host;
+}
+
+function getFocusedEditable() {
+  let active = document.activeElement;
+  while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+    active = active.shadowRoot.activeElement;
+  }
+  if (!active) {
+    return null;
+  }
+  const field = getTextField(active);
+  if (field) {
+    return field.readOnly || field.disabled ? null : field;
+  }
+  return active.isContentEditable ? active : null;
+}
+
 function getFormSelection(element) {
   if (!element || typeof element.value !== 'string') {
     return null;
@@ -165,6 +547,757 @@ function createAnimationElement(text, startX, startY) {
   }, 1000);
 }
 
+function openQuickSearch(options = {}) {
+  if (quickSearch && !options.suggest) {
+    quickSearch.input.focus();
+    quickSearch.input.select();
+    return;
+  }
+  closeQuickSearch(true);
+  if (!document.documentElement) {
+    throw new Error('Quick search requires a document element.');
+  }
+  const suggested = options.suggest && lastEditableContext && lastEditableContext.target.isConnected
+    ? lastEditableContext
+    : null;
+  const target = suggested ? suggested.target : getFocusedEditable();
+  const fieldContext = options.suggest && target ? getFieldContext(target) : '';
+  const { host, backdrop, palette } = createOverlayShell('Search snippets');
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.placeholder = target ? 'Search snippets — Enter inserts, Shift+Enter copies' : 'Search snippets — Enter copies';
+  input.setAttribute('aria-label', 'Search snippets');
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-expanded', 'true');
+  const list = document.createElement('ul');
+  list.id = 'quick-search-results';
+  list.setAttribute('role', 'listbox');
+  input.setAttribute('aria-controls', list.id);
+  const status = document.createElement('p');
+  status.className = 'status';
+  status.hidden = true;
+  if (fieldContext) {
+    const heading = document.createElement('p');
+    heading.className = 'heading';
+    heading.textContent = 'Suggested for this field — type to search everything';
+    palette.appendChild(heading);
+  }
+  palette.append(input, list, status);
+
+  quickSearch = {
+    host,
+    input,
+    list,
+    status,
+    target,
+    caret: suggested ? suggested.caret : saveCaret(target),
+    fieldContext,
+    results: [],
+    selected: 0,
+    token: 0,
+    timer: null
+  };
+
+  backdrop.addEventListener('mousedown', (event) => {
+    if (event.target === backdrop) {
+      closeQuickSearch(true);
+    }
+  });
+  input.addEventListener('input', () => {
+    scheduleQuickSearch();
+  });
+  palette.addEventListener('keydown', handleQuickSearchKeydown);
+
+  document.documentElement.appendChild(host);
+  input.focus();
+  void runQuickSearch();
+}
+
+function createOverlayShell(label) {
+  const host = document.createElement('div');
+  const root = host.attachShadow({ mode: 'closed' });
+  const style = document.createElement('style');
+  style.textContent = QUICK_SEARCH_STYLES;
+  const backdrop = document.createElement('div');
+  backdrop.className = 'backdrop';
+  const palette = document.createElement('div');
+  palette.className = 'palette';
+  palette.setAttribute('role', 'dialog');
+  palette.setAttribute('aria-label', label);
+  palette.addEventListener('keyup', (event) => event.stopPropagation());
+  palette.addEventListener('keypress', (event) => event.stopPropagation());
+  backdrop.appendChild(palette);
+  root.append(style, backdrop);
+  return { host, backdrop, palette };
+}
+
+function closeQuickSearch(restoreFocus) {
+  if (!quickSearch) {
+    return;
+  }
+  const { host, target, caret, timer } = quickSearch;
+  clearTimeout(timer);
+  host.remove();
+  quickSearch = null;
+  if (restoreFocus && target && target.isConnected) {
+    target.focus();
+    restoreCaret(target, caret);
+  }
+}
+
+function handleQuickSearchKeydown(event) {
+  event.stopPropagation();
+  if (!quickSearch) {
+    return;
+  }
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closeQuickSearch(true);
+    return;
+  }
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault();
+    const count = quickSearch.results.length;
+    if (count > 0) {
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      selectQuickResult((quickSearch.selected + step + count) % count);
+    }
+    return;
+  }
+  if (event.key === 'Enter' && !event.isComposing) {
+    event.preventDefault();
+    void chooseQuickResult(quickSearch.selected, event.shiftKey);
+  }
+}
+
+function scheduleQuickSearch() {
+  clearTimeout(quickSearch.timer);
+  quickSearch.timer = setTimeout(() => {
+    void runQuickSearch();
+  }, QUICK_SEARCH_DEBOUNCE_MS);
+}
+
+async function runQuickSearch() {
+  const session = quickSearch;
+  const token = ++session.token;
+  const query = session.input.value.trim();
+  setQuickSearchStatus(query ? 'Searching...' : '');
+  let response;
+  try {
+    response = await sendRuntimeMessage({ action: 'quickSearch', query, fieldContext: session.fieldContext });
+  } catch (error) {
+    response = { ok: false, error: error instanceof Error ? error.message : 'Search failed.' };
+  }
+  if (session !== quickSearch || token !== session.token) {
+    return;
+  }
+  if (!response || response.ok !== true || !Array.isArray(response.results)) {
+    session.results = [];
+    renderQuickResults();
+    setQuickSearchStatus(response && response.error ? response.error : 'Search failed.');
+    return;
+  }
+  session.results = response.results;
+  session.selected = 0;
+  renderQuickResults();
+  if (session.results.length === 0) {
+    setQuickSearchStatus(query ? 'No matching snippets.' : 'No snippets saved yet.');
+  } else {
+    setQuickSearchStatus(response.notice || '');
+  }
+}
+
+function renderQuickResults() {
+  const { list, results } = quickSearch;
+  list.textContent = '';
+  results.forEach((result, index) => {
+    const item = document.createElement('li');
+    item.id = `quick-search-result-${index}`;
+    item.setAttribute('role', 'option');
+    const text = document.createElement('div');
+    text.className = result.language === undefined ? 'text' : 'text code';
+    text.textContent = result.text.length > QUICK_SEARCH_PREVIEW_CHARS
+      ? `${result.text.slice(0, QUICK_SEARCH_PREVIEW_CHARS)}…`
+      : result.text;
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    meta.textContent = [result.area === 'sync' ? 'Synced' : 'Local', result.title].filter(Boolean).join(' · ');
+    item.append(text, meta);
+    item.addEventListener('mousemove', () => {
+      if (quickSearch && quickSearch.selected !== index) {
+        selectQuickResult(index);
+      }
+    });
+    item.addEventListener('click', (event) => {
+      void chooseQuickResult(index, event.shiftKey);
+    });
+    list.appendChild(item);
+  });
+  selectQuickResult(quickSearch.selected);
+}
+
+function selectQuickResult(index) {
+  const { list, input } = quickSearch;
+  quickSearch.selected = index;
+  [...list.children].forEach((item, position) => {
+    item.setAttribute('aria-selected', position === index ? 'true' : 'false');
+  });
+  const active = list.children[index];
+  if (active) {
+    input.setAttribute('aria-activedescendant', active.id);
+    active.scrollIntoView({ block: 'nearest' });
+  } else {
+    input.removeAttribute('aria-activedescendant');
+  }
+}
+
+function setQuickSearchStatus(message) {
+  quickSearch.status.textContent = message;
+  quickSearch.status.hidden = message.length === 0;
+}
+
+async function chooseQuickResult(index, copyOnly) {
+  const result = quickSearch.results[index];
+  if (!result) {
+    return;
+  }
+  const { target, caret } = quickSearch;
+  const insert = !copyOnly && target && target.isConnected;
+  closeQuickSearch(!insert && !hasTemplate(result));
+  let text;
+  try {
+    text = await fillTemplate(result.text, result.template);
+  } catch (error) {
+    console.log('Template fill failed:', error instanceof Error ? error.message : error);
+    text = null;
+  }
+  if (text === null) {
+    restoreField(target, caret);
+    return;
+  }
+  if (insert) {
+    restoreField(target, caret);
+    insertTextIntoField(target, text);
+    return;
+  }
+  try {
+    await copyToClipboard(text);
+  } catch (error) {
+    console.log('Snippet copy failed:', error instanceof Error ? error.message : error);
+  }
+  restoreField(target, caret);
+}
+
+function restoreField(target, caret) {
+  if (target && target.isConnected) {
+    target.focus();
+    restoreCaret(target, caret);
+  }
+}
+
+function hasTemplate(result) {
+  return Array.isArray(result.template) && result.template.length > 0;
+}
+
+async function fillTemplate(text, fields) {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    return text;
+  }
+  const values = { 'page.title': document.title, 'page.url': getPageUrl() };
+  const prompts = fields.filter((field) => !field.builtin);
+  if (fields.some((field) => field.name === 'clipboard')) {
+    try {
+      values.clipboard = await navigator.clipboard.readText();
+    } catch (error) {
+      prompts.push({ name: 'clipboard', label: 'Clipboard (paste here)' });
+    }
+  }
+  if (prompts.length > 0) {
+    const filled = await showTemplateForm(prompts);
+    if (!filled) {
+      return null;
+    }
+    Object.assign(values, filled);
+  }
+  const response = await sendRuntimeMessage({ action: 'expandTemplate', text, values });
+  if (!response || response.ok !== true || typeof response.text !== 'string') {
+    throw new Error(response && response.error ? response.error : 'Template expansion failed.');
+  }
+  return response.text;
+}
+
+function showTemplateForm(prompts) {
+  return new Promise((resolve) => {
+    const { host, backdrop, palette } = createOverlayShell('Fill in template');
+    const form = document.createElement('form');
+    form.className = 'template-form';
+    const heading = document.createElement('p');
+    heading.className = 'heading';
+    heading.textContent = 'Fill in template';
+    form.appendChild(heading);
+    const inputs = prompts.map((prompt) => {
+      const label = document.createElement('label');
+      label.textContent = prompt.label;
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.name = prompt.name;
+      label.appendChild(input);
+      form.appendChild(label);
+      return input;
+    });
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = 'Use snippet';
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.textContent = 'Cancel';
+    actions.append(submit, cancel);
+    form.appendChild(actions);
+    palette.appendChild(form);
+
+    const finish = (values) => {
+      host.remove();
+      resolve(values);
+    };
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      finish(Object.fromEntries(inputs.map((input) => [input.name, input.value])));
+    });
+    cancel.addEventListener('click', () => finish(null));
+    backdrop.addEventListener('mousedown', (event) => {
+      if (event.target === backdrop) {
+        finish(null);
+      }
+    });
+    palette.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        finish(null);
+      }
+    });
+    document.documentElement.appendChild(host);
+    inputs[0].focus();
+  });
+}
+
+function getFieldContext(target) {
+  const parts = [];
+  const add = (value) => {
+    const text = typeof value === 'string' ? normalizeWhitespace(value) : '';
+    if (text && !parts.includes(text)) {
+      parts.push(text);
+    }
+  };
+  if (target.labels) {
+    for (const label of target.labels) {
+      add(label.textContent);
+    }
+  }
+  add(target.getAttribute('aria-label'));
+  const labelledBy = target.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    for (const id of labelledBy.split(/\s+/)) {
+      const label = document.getElementById(id);
+      add(label ? label.textContent : '');
+    }
+  }
+  add(target.getAttribute('placeholder'));
+  add(target.getAttribute('data-placeholder'));
+  add(target.getAttribute('title'));
+  const name = target.getAttribute('name');
+  add(name ? name.replace(/[_\-[\].]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2') : '');
+  const range = document.createRange();
+  range.selectNode(target);
+  add(getNearestHeading(range));
+  let ancestor = target.parentElement;
+  for (let depth = 0; ancestor && depth < FIELD_CONTEXT_ANCESTORS; depth += 1) {
+    const text = normalizeWhitespace(ancestor.innerText || '');
+    if (text.length > 0) {
+      add(text.slice(0, FIELD_CONTEXT_CHARS));
+      break;
+    }
+    ancestor = ancestor.parentElement;
+  }
+  return parts.join('\n').slice(0, FIELD_CONTEXT_CHARS * 2);
+}
+
+function saveCaret(target) {
+  if (!target) {
+    return null;
+  }
+  if (getTextField(target)) {
+    return { start: target.selectionStart, end: target.selectionEnd };
+  }
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0) {
+    return null;
+  }
+  const range = selection.getRangeAt(0);
+  return target.contains(range.commonAncestorContainer) ? range.cloneRange() : null;
+}
+
+function restoreCaret(target, caret) {
+  if (!caret) {
+    return;
+  }
+  if (getTextField(target)) {
+    if (typeof caret.start === 'number' && typeof caret.end === 'number') {
+      target.setSelectionRange(caret.start, caret.end);
+    }
+    return;
+  }
+  const selection = window.getSelection();
+  if (selection) {
+    selection.removeAllRanges();
+    selection.addRange(caret);
+  }
+}
+
+function insertTextIntoField(target, text) {
+  if (typeof text !== 'string') {
+    throw new Error('Inserted text must be a string.');
+  }
+  if (getTextField(target)) {
+    const start = typeof target.selectionStart === 'number' ? target.selectionStart : target.value.length;
+    const end = typeof target.selectionEnd === 'number' ? target.selectionEnd : start;
+    if (document.execCommand('insertText', false, text)) {
+      return;
+    }
+    target.setRangeText(text, start, end, 'end');
+    target.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+    target.dispatchEvent(new Event('change', { bubbles: true }));
+    return;
+  }
+  if (document.execCommand('insertText', false, text)) {
+    return;
+  }
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0 || !target.contains(selection.getRangeAt(0).commonAncestorContainer)) {
+    throw new Error('No caret position found in the focused field.');
+  }
+  const range = selection.getRangeAt(0);
+  range.deleteContents();
+  const node = document.createTextNode(text);
+  range.insertNode(node);
+  range.setStartAfter(node);
+  range.collapse(true);
+  selection.removeAllRanges();
+  selection.addRange(range);
+  target.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+}
+
+async function loadExpander() {
+  try {
+    const result = await chrome.storage.local.get([TRIGGERS_KEY, EXPANDER_SETTINGS_KEY]);
+    const registry = result[TRIGGERS_KEY];
+    const triggers = new Map();
+    if (registry && Array.isArray(registry.entries)) {
+      for (const entry of registry.entries) {
+        if (entry && typeof entry.trigger === 'string' && typeof entry.text === 'string') {
+          triggers.set(entry.trigger, entry);
+        }
+      }
+    }
+    expanderTriggers = triggers;
+    expanderEnabled = isExpanderEnabledForSite(result[EXPANDER_SETTINGS_KEY], window.location.hostname);
+  } catch (error) {
+    expanderEnabled = false;
+    console.log('Text expander unavailable:', error instanceof Error ? error.message : error);
+  }
+}
+
+function isExpanderEnabledForSite(settings, hostname) {
+  const enabled = settings && typeof settings.enabled === 'boolean' ? settings.enabled : true;
+  const rules = settings && settings.siteRules && typeof settings.siteRules === 'object' ? settings.siteRules : {};
+  const host = hostname.toLowerCase().replace(/^www\./, '');
+  let match = null;
+  for (const [site, value] of Object.entries(rules)) {
+    if ((host === site || host.endsWith(`.${site}`)) && (!match || site.length > match.site.length)) {
+      match = { site, value };
+    }
+  }
+  return match ? match.value === true : enabled;
+}
+
+function handleExpanderInput(event) {
+  if (expanding) {
+    return;
+  }
+  lastExpansion = null;
+  if (!expanderEnabled || expanderTriggers.size === 0 || event.isComposing) {
+    return;
+  }
+  if (typeof event.inputType === 'string' && !event.inputType.startsWith('insert')) {
+    return;
+  }
+  const target = getEditableFromEvent(event);
+  if (!target) {
+    return;
+  }
+  const match = findTriggerBeforeCaret(target);
+  if (match) {
+    void expandTrigger(target, match).catch((error) => {
+      console.log('Text expansion failed:', error instanceof Error ? error.message : error);
+    });
+  }
+}
+
+function findTriggerBeforeCaret(target) {
+  if (getTextField(target)) {
+    const caret = target.selectionStart;
+    if (typeof caret !== 'number' || caret !== target.selectionEnd) {
+      return null;
+    }
+    const entry = findTriggerEnding(target.value, caret);
+    return entry ? { entry, start: caret - entry.trigger.length, end: caret } : null;
+  }
+  const selection = window.getSelection();
+  if (!selection || !selection.isCollapsed || selection.rangeCount === 0) {
+    return null;
+  }
+  const node = selection.anchorNode;
+  if (!node || node.nodeType !== Node.TEXT_NODE || !target.contains(node)) {
+    return null;
+  }
+  const entry = findTriggerEnding(node.data, selection.anchorOffset);
+  if (!entry) {
+    return null;
+  }
+  const range = document.createRange();
+  range.setStart(node, selection.anchorOffset - entry.trigger.length);
+  range.setEnd(node, selection.anchorOffset);
+  return { entry, range };
+}
+
+function findTriggerEnding(text, caret) {
+  let best = null;
+  for (const entry of expanderTriggers.values()) {
+    const start = caret - entry.trigger.length;
+    if (start < 0 || text.slice(start, caret) !== entry.trigger) {
+      continue;
+    }
+    if (start > 0 && !/\s/.test(text[start - 1])) {
+      continue;
+    }
+    if (!best || entry.trigger.length > best.trigger.length) {
+      best = entry;
+    }
+  }
+  return best;
+}
+
+async function expandTrigger(target, match) {
+  const { entry } = match;
+  const text = await fillTemplate(entry.text, entry.template);
+  if (text === null || !target.isConnected) {
+    restoreField(target, null);
+    return;
+  }
+  if (!selectTrigger(target, match)) {
+    return;
+  }
+  expanding = true;
+  try {
+    insertTextIntoField(target, text);
+  } finally {
+    expanding = false;
+  }
+  lastExpansion = {
+    target,
+    trigger: entry.trigger,
+    text,
+    start: getTextField(target) ? match.start : null
+  };
+}
+
+function selectTrigger(target, match) {
+  target.focus();
+  if (getTextField(target)) {
+    if (target.value.slice(match.start, match.end) !== match.entry.trigger) {
+      return false;
+    }
+    target.setSelectionRange(match.start, match.end);
+    return true;
+  }
+  if (match.range.toString() !== match.entry.trigger) {
+    return false;
+  }
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(match.range);
+  return true;
+}
+
+function handleExpanderKeydown(event) {
+  if (!lastExpansion || MODIFIER_KEYS.has(event.key)) {
+    return;
+  }
+  const expansion = lastExpansion;
+  lastExpansion = null;
+  if (event.key !== 'Backspace' || event.ctrlKey || event.metaKey || event.altKey) {
+    return;
+  }
+  const target = getEditableFromEvent(event);
+  if (target !== expansion.target) {
+    return;
+  }
+  if (getTextField(target)) {
+    const end = expansion.start + expansion.text.length;
+    const unchanged = target.value.slice(expansion.start, end) === expansion.text;
+    if (!unchanged || target.selectionStart !== end || target.selectionEnd !== end) {
+      return;
+    }
+    event.preventDefault();
+    target.setSelectionRange(expansion.start, end);
+    expanding = true;
+    try {
+      insertTextIntoField(target, expansion.trigger);
+    } finally {
+      expanding = false;
+    }
+    return;
+  }
+  event.preventDefault();
+  expanding = true;
+  try {
+    document.execCommand('undo');
+  } finally {
+    expanding = false;
+  }
+}
+
+function showDuplicateToast(snippetId, duplicate) {
+  if (!document.documentElement || !duplicate) {
+    return;
+  }
+  const host = document.createElement('div');
+  const root = host.attachShadow({ mode: 'closed' });
+  const style = document.createElement('style');
+  style.textContent = QUICK_SEARCH_STYLES;
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.setAttribute('role', 'status');
+  const title = document.createElement('div');
+  const similarity = Math.round(Math.min(duplicate.score, 1) * 100);
+  title.textContent = `Saved — this looks like a snippet you already have (${similarity}% similar).`;
+  const preview = document.createElement('div');
+  preview.className = 'meta';
+  preview.textContent = duplicate.preview;
+  const actions = document.createElement('div');
+  actions.className = 'actions';
+  const choices = [
+    ['merge', 'Merge', 'Merged into the existing snippet.'],
+    ['attach', 'Add as source', 'Added this page as a source of the existing snippet.'],
+    ['keep', 'Keep both', '']
+  ];
+  let timer = null;
+  const close = () => {
+    clearTimeout(timer);
+    host.remove();
+  };
+  for (const [choice, label, done] of choices) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      void resolveDuplicate(snippetId, duplicate.id, choice)
+        .then(() => {
+          if (!done) {
+            close();
+            return;
+          }
+          actions.remove();
+          preview.remove();
+          title.textContent = done;
+          timer = setTimeout(close, 2500);
+        })
+        .catch((error) => {
+          preview.textContent = error instanceof Error ? error.message : 'Failed to update the snippet.';
+        });
+    });
+    actions.appendChild(button);
+  }
+  toast.append(title, preview, actions);
+  root.append(style, toast);
+  document.documentElement.appendChild(host);
+  timer = setTimeout(close, DUPLICATE_TOAST_MS);
+}
+
+async function resolveDuplicate(snippetId, duplicateId, choice) {
+  const response = await sendRuntimeMessage({ action: 'resolveDuplicate', snippetId, duplicateId, choice });
+  if (!response || response.ok !== true) {
+    throw new Error(response && response.error ? response.error : 'Failed to update the snippet.');
+  }
+}
+
+async function copyToClipboard(text) {
+  if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+    try {
+      await navigator.clipboard.writeText(text);
+      return;
+    } catch (error) {
+      console.log('Clipboard API unavailable:', error instanceof Error ? error.message : error);
+    }
+  }
+  const textArea = document.createElement('textarea');
+  textArea.value = text;
+  textArea.style.cssText = 'position: fixed; top: -1000px; opacity: 0;';
+  (document.body || document.documentElement).appendChild(textArea);
+  textArea.select();
+  const copied = document.execCommand('copy');
+  textArea.remove();
+  if (!copied) {
+    throw new Error('Copy to clipboard failed.');
+  }
+}
+
+function sendRuntimeMessage(payload) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(payload, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(`Runtime message failed: ${chrome.runtime.lastError.message}`));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+function handleInsertSnippet(request, sendResponse) {
+  try {
+    const context = lastEditableContext && lastEditableContext.target.isConnected ? lastEditableContext : null;
+    const target = context ? context.target : getFocusedEditable();
+    if (!target || typeof request.text !== 'string') {
+      sendResponse({ ok: false, error: 'No editable field to insert into.' });
+      return;
+    }
+    const caret = context ? context.caret : saveCaret(target);
+    lastEditableContext = null;
+    if (!Array.isArray(request.template) || request.template.length === 0) {
+      restoreField(target, caret);
+      insertTextIntoField(target, request.text);
+      sendResponse({ ok: true });
+      return;
+    }
+    sendResponse({ ok: true });
+    void fillTemplate(request.text, request.template)
+      .then((text) => {
+        restoreField(target, caret);
+        if (text !== null) {
+          insertTextIntoField(target, text);
+        }
+      })
+      .catch((error) => {
+        console.log('Snippet insert failed:', error instanceof Error ? error.message : error);
+      });
+  } catch (error) {
+    sendResponse({ ok: false, error: error instanceof Error ? error.message : 'Snippet insert failed.' });
+  }
+}
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'animateSnippet') {
     const selectionPosition = lastSelectionPosition || getSelectionPosition();
@@ -174,13 +1307,28 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     createAnimationElement(request.text, selectionPosition.x, selectionPosition.y);
     lastSelectionPosition = null;
   }
-  if (request.action === 'getSelectedText') {
+  if (request.action === 'openQuickSearch') {
+    openQuickSearch({ suggest: request.suggest === true });
+  }
+  if (request.action === 'showDuplicateToast') {
+    showDuplicateToast(request.snippetId, request.duplicate);
+  }
+  if (request.action === 'insertSnippet') {
+    handleInsertSnippet(request, sendResponse);
+  }
+  if (request.action === 'getSelectionContext') {
     const selectionPosition = getSelectionPosition();
     if (!selectionPosition) {
       sendResponse({ ok: false, error: 'No selection found.' });
       return;
     }
     lastSelectionPosition = selectionPosition;
-    sendResponse({ ok: true, text: selectionPosition.text });
+    sendResponse({
+      ok: true,
+      text: selectionPosition.text,
+      html: getSelectionHtml(),
+      code: getSelectionCode(),
+      source: getSelectionSource(selectionPosition)
+    });
   }
 });
@@ -0,0 +1,171 @@
+const LANGUAGE_ALIASES = Object.freeze({
+  javascript: ['javascript', 'js', 'jsx', 'mjs', 'cjs', 'node', 'nodejs', 'ecmascript'],
+  typescript: ['typescript', 'ts', 'tsx'],
+  python: ['python', 'py', 'python3', 'py3', 'pycon', 'ipython'],
+  bash: ['bash', 'sh', 'shell', 'zsh', 'console', 'shell-session', 'shellsession', 'terminal'],
+  json: ['json', 'jsonc', 'json5'],
+  html: ['html', 'xml', 'xhtml', 'svg', 'markup', 'vue', 'svelte'],
+  css: ['css', 'scss', 'sass', 'less'],
+  sql: ['sql', 'mysql', 'postgresql', 'postgres', 'psql', 'sqlite', 'plsql'],
+  java: ['java'],
+  go: ['go', 'golang'],
+  rust: ['rust', 'rs'],
+  c: ['c', 'h'],
+  cpp: ['cpp', 'c++', 'cc', 'cxx', 'hpp'],
+  csharp: ['csharp', 'cs', 'c#'],
+  ruby: ['ruby', 'rb'],
+  php: ['php'],
+  yaml: ['yaml', 'yml'],
+  kotlin: ['kotlin', 'kt'],
+  swift: ['swift']
+});
+
+const LANGUAGE_LABELS = Object.freeze({
+  javascript: 'JavaScript',
+  typescript: 'TypeScript',
+  python: 'Python',
+  bash: 'Shell',
+  json: 'JSON',
+  html: 'HTML',
+  css: 'CSS',
+  sql: 'SQL',
+  java: 'Java',
+  go: 'Go',
+  rust: 'Rust',
+  c: 'C',
+  cpp: 'C++',
+  csharp: 'C#',
+  ruby: 'Ruby',
+  php: 'PHP',
+  yaml: 'YAML',
+  kotlin: 'Kotlin',
+  swift: 'Swift'
+});
+
+const LANGUAGE_HINT_PATTERNS = Object.freeze([
+  /(?:^|\s)(?:language|lang)-([\w+#-]+)/i,
+  /(?:^|\s)highlight-source-([\w+#-]+)/i,
+  /(?:^|\s)brush:\s*([\w+#-]+)/i,
+  /(?:^|\s)sourceCode\s+([\w+#-]+)/i
+]);
+
+const LANGUAGE_SIGNALS = Object.freeze([
+  ['json', /^\s*[[{][\s\S]*[\]}]\s*$/, 1],
+  ['json', /^\s*\{\s*"[^"]+"\s*:/, 3],
+  ['html', /<\/?[a-z][\w-]*(\s[^>]*)?>/i, 2],
+  ['html', /<!DOCTYPE html>/i, 4],
+  ['css', /^[\s\S]*[.#]?[\w-]+\s*\{[^}]*:\s*[^;]+;/m, 2],
+  ['css', /@media|@import|!important/, 2],
+  ['python', /^\s*def \w+\(.*\):\s*$/m, 3],
+  ['python', /^\s*(from [\w.]+ )?import [\w.]+/m, 1],
+  ['python', /^\s*(if|elif|for|while|with|class)\b.*:\s*$/m, 2],
+  ['python', /\bself\.|print\(|None\b|True\b|False\b/, 1],
+  ['javascript', /\b(const|let|var)\s+\w+\s*=/, 2],
+  ['javascript', /=>|\bfunction\s*\w*\(|console\.log|require\(|document\./, 2],
+  ['javascript', /\bimport .* from ['"]|export (default|const|function)/, 2],
+  ['typescript', /:\s*(string|number|boolean|void|any|unknown)\b|\binterface \w+|\btype \w+\s*=/, 3],
+  ['bash', /^\s*(\$|#)\s*\w/m, 1],
+  ['bash', /^\s*(sudo|apt(-get)?|brew|npm|npx|yarn|pip3?|git|cd|ls|curl|wget|docker|kubectl|export|echo)\b/m, 3],
+  ['bash', /\|\s*(grep|xargs|sed|awk)\b|&&\s*\w|\$\{?\w+\}?/, 1],
+  ['sql', /\b(SELECT|INSERT INTO|UPDATE|DELETE FROM|CREATE TABLE|ALTER TABLE)\b/i, 3],
+  ['sql', /\b(FROM|WHERE|JOIN|GROUP BY|ORDER BY)\b/, 1],
+  ['java', /\bpublic (static )?(class|void|final)\b|System\.out\.println|@Override/, 4],
+  ['go', /^\s*package \w+|\bfunc \w*\(|:=|fmt\.Print/m, 3],
+  ['rust', /\bfn \w+\(|\blet mut\b|println!|impl\b|::new\(/, 3],
+  ['c', /#include\s*<[\w.]+>|\bprintf\(|\bint main\(/, 3],
+  ['cpp', /std::|#include\s*<(iostream|vector|string)>|cout\s*<</, 4],
+  ['csharp', /\busing System|Console\.WriteLine|\bnamespace \w+|public (async )?Task\b/, 4],
+  ['ruby', /^\s*(def \w+|end|require ['"]|puts )/m, 2],
+  ['ruby', /\bdo \|\w+\||\.each\b|attr_accessor/, 2],
+  ['php', /<\?php|\$\w+\s*=|->\w+\(|echo /, 3],
+  ['yaml', /^\s*[\w-]+:\s*[^{}\n]*$/m, 1],
+  ['yaml', /^\s*-\s+[\w-]+:\s/m, 2],
+  ['kotlin', /\bfun \w+\(|\bval \w+\s*=|\bdata class\b/, 3],
+  ['swift', /\bfunc \w+\(|\bguard let\b|\bvar \w+:\s*\w+|import (UIKit|SwiftUI|Foundation)/, 3]
+]);
+
+const MIN_DETECTION_SCORE = 2;
+
+export function normalizeLanguage(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const name = value.trim().toLowerCase();
+  for (const [language, aliases] of Object.entries(LANGUAGE_ALIASES)) {
+    if (aliases.includes(name)) {
+      return language;
+    }
+  }
+  return null;
+}
+
+export function getLanguageFromHint(hint) {
+  if (typeof hint !== 'string' || hint.trim().length === 0) {
+    return null;
+  }
+  const direct = normalizeLanguage(hint);
+  if (direct) {
+    return direct;
+  }
+  for (const pattern of LANGUAGE_HINT_PATTERNS) {
+    const match = hint.match(pattern);
+    const language = match ? normalizeLanguage(match[1]) : null;
+    if (language) {
+      return language;
+    }
+  }
+  return null;
+}
+
+export function detectLanguage(text, hint) {
+  if (typeof text !== 'string') {
+    throw new Error('Language detection requires text.');
+  }
+  const hinted = getLanguageFromHint(hint);
+  if (hinted) {
+    return hinted;
+  }
+  const scores = new Map();
+  for (const [language, pattern, weight] of LANGUAGE_SIGNALS) {
+    if (pattern.test(text)) {
+      scores.set(language, (scores.get(language) || 0) + weight);
+    }
+  }
+  if (scores.has('typescript') && scores.has('javascript')) {
+    scores.set('typescript', scores.get('typescript') + scores.get('javascript'));
+  }
+  if (scores.has('cpp') && scores.has('c')) {
+    scores.set('cpp', scores.get('cpp') + scores.get('c'));
+  }
+  let best = null;
+  for (const [language, score] of scores) {
+    if (score >= MIN_DETECTION_SCORE && (!best || score > best.score)) {
+      best = { language, score };
+    }
+  }
+  return best ? best.language : null;
+}
+
+export function getLanguageLabel(language) {
+  return LANGUAGE_LABELS[language] || 'Code';
+}
+
+export function normalizeCodeText(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Code text must be a string.');
+  }
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u00a0/g, ' ')
+    .replace(/^(?:[ \t]*\n)+/, '')
+    .replace(/\s+$/, '');
+}
+
+export function formatFencedMarkdown(text, language) {
+  if (typeof text !== 'string') {
+    throw new Error('Fenced Markdown requires text.');
+  }
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${fence}${language || ''}\n${text}\n${fence}\n`;
+}
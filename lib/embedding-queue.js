@@ -0,0 +1,162 @@
+export const EMBEDDING_PROGRESS_KEY = 'embedding_progress_v1';
+export const EMBEDDING_PRIORITIES = Object.freeze({
+  query: 0,
+  save: 1,
+  backfill: 2
+});
+
+const MAX_BATCH_ITEMS = 8;
+const MAX_BATCH_CHARS = 16000;
+
+export function createEmbeddingQueue(runBatch, onProgress = null) {
+  if (typeof runBatch !== 'function') {
+    throw new Error('Embedding queue requires a batch runner.');
+  }
+  return {
+    runBatch,
+    onProgress,
+    pending: [],
+    running: false,
+    progressScheduled: false,
+    sequence: 0,
+    total: 0,
+    completed: 0
+  };
+}
+
+export function enqueueEmbedding(queue, { kind, text, modelId, dtype, priority, group }) {
+  if (kind !== 'query' && kind !== 'chunks') {
+    throw new Error(`Unsupported embedding request: ${kind}`);
+  }
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    throw new Error('Text is required for embedding.');
+  }
+  if (typeof modelId !== 'string' || modelId.length === 0) {
+    throw new Error('Embedding model is required.');
+  }
+  if (typeof dtype !== 'string' || dtype.length === 0) {
+    throw new Error('Embedding dtype is required.');
+  }
+  if (!Object.values(EMBEDDING_PRIORITIES).includes(priority)) {
+    throw new Error(`Unsupported embedding priority: ${priority}`);
+  }
+  if (group) {
+    cancelEmbeddings(queue, group);
+  }
+  return new Promise((resolve, reject) => {
+    queue.sequence += 1;
+    queue.pending.push({ kind, text, modelId, dtype, priority, group, order: queue.sequence, resolve, reject });
+    queue.pending.sort((a, b) => a.priority - b.priority || a.order - b.order);
+    if (priority !== EMBEDDING_PRIORITIES.query) {
+      queue.total += 1;
+      scheduleProgress(queue);
+    }
+    void pumpQueue(queue);
+  });
+}
+
+export function cancelEmbeddings(queue, group) {
+  const cancelled = queue.pending.filter((request) => request.group === group);
+  if (cancelled.length === 0) {
+    return 0;
+  }
+  queue.pending = queue.pending.filter((request) => request.group !== group);
+  for (const request of cancelled) {
+    settleRequest(queue, request);
+    const error = new Error('Embedding request was superseded by a newer one.');
+    error.superseded = true;
+    request.reject(error);
+  }
+  scheduleProgress(queue);
+  return cancelled.length;
+}
+
+async function pumpQueue(queue) {
+  if (queue.running) {
+    return;
+  }
+  queue.running = true;
+  try {
+    while (queue.pending.length > 0) {
+      const batch = takeBatch(queue);
+      let results;
+      try {
+        results = await queue.runBatch(batch[0].modelId, batch[0].dtype, batch.map(({ kind, text }) => ({ kind, text })));
+        if (!Array.isArray(results) || results.length !== batch.length) {
+          throw new Error('Embedding batch returned the wrong number of results.');
+        }
+      } catch (error) {
+        for (const request of batch) {
+          settleRequest(queue, request);
+          request.reject(error);
+        }
+        reportProgress(queue);
+        continue;
+      }
+      batch.forEach((request, position) => {
+        const result = results[position];
+        settleRequest(queue, request);
+        if (result && result.ok === true) {
+          request.resolve(request.kind === 'query' ? result.vector : result.chunks);
+        } else {
+          request.reject(new Error(result && result.error ? result.error : 'Embedding failed.'));
+        }
+      });
+      reportProgress(queue);
+    }
+  } finally {
+    queue.running = false;
+  }
+}
+
+function takeBatch(queue) {
+  const first = queue.pending.shift();
+  const batch = [first];
+  if (first.priority === EMBEDDING_PRIORITIES.query) {
+    return batch;
+  }
+  let chars = first.text.length;
+  for (let position = 0; position < queue.pending.length && batch.length < MAX_BATCH_ITEMS;) {
+    const request = queue.pending[position];
+    if (request.priority === EMBEDDING_PRIORITIES.query || request.modelId !== first.modelId || request.dtype !== first.dtype) {
+      position += 1;
+      continue;
+    }
+    if (chars + request.text.length > MAX_BATCH_CHARS) {
+      break;
+    }
+    chars += request.text.length;
+    batch.push(request);
+    queue.pending.splice(position, 1);
+  }
+  return batch;
+}
+
+function settleRequest(queue, request) {
+  if (request.priority !== EMBEDDING_PRIORITIES.query) {
+    queue.completed += 1;
+  }
+}
+
+function scheduleProgress(queue) {
+  if (queue.progressScheduled) {
+    return;
+  }
+  queue.progressScheduled = true;
+  queueMicrotask(() => {
+    queue.progressScheduled = false;
+    reportProgress(queue);
+  });
+}
+
+function reportProgress(queue) {
+  const idle = !queue.pending.some((request) => request.priority !== EMBEDDING_PRIORITIES.query)
+    && queue.completed >= queue.total;
+  if (queue.onProgress && queue.total > 0) {
+    queue.onProgress({ completed: queue.completed, total: queue.total, status: idle ? 'idle' : 'running' });
+  }
+  if (idle) {
+    queue.total = 0;
+    queue.completed = 0;
+  }
+}
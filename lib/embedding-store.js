@@ -0,0 +1,409 @@
+import { getStorage, removeStorage } from './storage.js';
+import { getNearestList } from './vector-index.js';
+
+const DB_NAME = 'snippet-embeddings';
+const DB_VERSION = 2;
+const STORE_NAME = 'embeddings';
+const INDEX_STORE_NAME = 'vector_indexes';
+const VERSION_INDEX = 'signatureUpdated';
+const LEGACY_EMBEDDINGS_KEY = 'snippet_embeddings_v1';
+const LEGACY_MODEL_ID = 'Xenova/paraphrase-multilingual-MiniLM-L12-v2';
+const LEGACY_OPTIONS = Object.freeze({ pooling: 'mean', normalize: true, dtype: 'fp32' });
+
+let databasePromise = null;
+
+function getDatabase() {
+  if (databasePromise) {
+    return databasePromise;
+  }
+  databasePromise = openDatabase();
+  databasePromise.catch(() => {
+    databasePromise = null;
+  });
+  return databasePromise;
+}
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined' || typeof indexedDB.open !== 'function') {
+    throw new Error('IndexedDB is not available.');
+  }
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      if (!database.objectStoreNames.contains(STORE_NAME)) {
+        const store = database.createObjectStore(STORE_NAME, { keyPath: ['modelId', 'snippetId'] });
+        store.createIndex('modelId', 'modelId', { unique: false });
+        store.createIndex('snippetId', 'snippetId', { unique: false });
+      }
+      const store = request.transaction.objectStore(STORE_NAME);
+      if (!store.indexNames.contains(VERSION_INDEX)) {
+        store.createIndex(VERSION_INDEX, ['signature', 'updated'], { unique: false });
+      }
+      if (!database.objectStoreNames.contains(INDEX_STORE_NAME)) {
+        database.createObjectStore(INDEX_STORE_NAME, { keyPath: 'signature' });
+      }
+    };
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+    request.onerror = () => {
+      reject(new Error(`Embedding database failed to open: ${describeError(request.error)}`));
+    };
+    request.onblocked = () => {
+      reject(new Error('Embedding database upgrade is blocked by another open page.'));
+    };
+  });
+}
+
+function describeError(error) {
+  return error && error.message ? error.message : 'unknown error';
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+    request.onerror = () => {
+      reject(new Error(`Embedding database request failed: ${describeError(request.error)}`));
+    };
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      resolve();
+    };
+    transaction.onerror = () => {
+      reject(new Error(`Embedding database write failed: ${describeError(transaction.error)}`));
+    };
+    transaction.onabort = () => {
+      reject(new Error(`Embedding database write aborted: ${describeError(transaction.error)}`));
+    };
+  });
+}
+
+export async function migrateLegacyEmbeddings(identity, snippetTexts) {
+  const result = await getStorage('local', [LEGACY_EMBEDDINGS_KEY]);
+  const stored = result[LEGACY_EMBEDDINGS_KEY];
+  if (stored === undefined) {
+    return 0;
+  }
+  const rows = getLegacyRows(identity, stored, snippetTexts);
+  if (rows.length > 0) {
+    const existing = await getEmbeddingVersions(identity);
+    const database = await getDatabase();
+    const transaction = database.transaction([STORE_NAME, INDEX_STORE_NAME], 'readwrite');
+    const done = transactionDone(transaction);
+    const index = await requestToPromise(transaction.objectStore(INDEX_STORE_NAME).get(identity.signature));
+    const store = transaction.objectStore(STORE_NAME);
+    for (const row of rows) {
+      if (!existing.has(row.snippetId)) {
+        store.put(index ? assignRowLists(row, readStoredIndex(index)) : row);
+      }
+    }
+    await done;
+  }
+  await removeStorage('local', [LEGACY_EMBEDDINGS_KEY]);
+  return rows.length;
+}
+
+export function getLegacyRows(identity, stored, snippetTexts) {
+  validateIdentity(identity);
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+    throw new Error('Legacy embeddings storage must be an object.');
+  }
+  const options = identity.options || {};
+  if (identity.modelId !== LEGACY_MODEL_ID || Object.keys(LEGACY_OPTIONS).some((key) => options[key] !== LEGACY_OPTIONS[key])) {
+    return [];
+  }
+  const rows = [];
+  for (const [snippetId, entry] of Object.entries(stored)) {
+    const text = snippetTexts.get(snippetId);
+    if (typeof text !== 'string' || text.length === 0) {
+      continue;
+    }
+    const chunks = Array.isArray(entry)
+      ? [{ start: 0, end: text.length, vector: entry }]
+      : entry && Array.isArray(entry.chunks) ? entry.chunks : [];
+    if (chunks.length === 0 || chunks.some((chunk) => !chunk || chunk.end > text.length || !isFiniteVector(chunk.vector))) {
+      continue;
+    }
+    try {
+      rows.push(createRow(identity, snippetId, chunks));
+    } catch (error) {
+      continue;
+    }
+  }
+  return rows;
+}
+
+function isFiniteVector(vector) {
+  return Array.isArray(vector) && vector.every((value) => typeof value === 'number' && Number.isFinite(value));
+}
+
+function createRow(identity, snippetId, chunks) {
+  validateIdentity(identity);
+  if (typeof snippetId !== 'string' || snippetId.length === 0) {
+    throw new Error('Embedding snippet ID is required.');
+  }
+  if (!Array.isArray(chunks) || chunks.length === 0) {
+    throw new Error('Embedding chunks are required.');
+  }
+  return {
+    modelId: identity.modelId,
+    snippetId,
+    signature: identity.signature,
+    dimension: identity.dimension,
+    options: { ...identity.options },
+    backend: identity.backend ? { ...identity.backend } : null,
+    chunks: chunks.map((chunk) => toStoredChunk(chunk, identity.dimension)),
+    updated: new Date().toISOString()
+  };
+}
+
+function validateIdentity(identity) {
+  if (!identity || typeof identity !== 'object') {
+    throw new Error('Embedding identity is required.');
+  }
+  if (typeof identity.modelId !== 'string' || identity.modelId.length === 0) {
+    throw new Error('Embedding model ID is required.');
+  }
+  if (typeof identity.signature !== 'string' || identity.signature.length === 0) {
+    throw new Error('Embedding signature is required.');
+  }
+  if (!Number.isInteger(identity.dimension) || identity.dimension <= 0) {
+    throw new Error('Embedding dimension is required.');
+  }
+}
+
+function isCurrentRow(row, identity) {
+  return row.signature === identity.signature
+    && row.dimension === identity.dimension
+    && row.chunks.every((chunk) => chunk.vector instanceof ArrayBuffer
+      && chunk.vector.byteLength === identity.dimension * Float32Array.BYTES_PER_ELEMENT);
+}
+
+function toStoredChunk(chunk, dimension) {
+  if (!chunk || typeof chunk !== 'object') {
+    throw new Error('Embedding chunk is invalid.');
+  }
+  if (!Number.isInteger(chunk.start) || !Number.isInteger(chunk.end) || chunk.start < 0 || chunk.end <= chunk.start) {
+    throw new Error('Embedding chunk range is invalid.');
+  }
+  const vector = Float32Array.from(chunk.vector || []);
+  if (vector.length === 0) {
+    throw new Error('Embedding chunk vector is required.');
+  }
+  if (dimension !== null && vector.length !== dimension) {
+    throw new Error(`Embedding dimension mismatch: expected ${dimension}, got ${vector.length}.`);
+  }
+  return { start: chunk.start, end: chunk.end, vector: vector.buffer };
+}
+
+function fromStoredRow(row) {
+  if (!row || typeof row !== 'object' || !Array.isArray(row.chunks) || row.chunks.length === 0) {
+    throw new Error('Stored embedding row is invalid.');
+  }
+  return {
+    modelId: row.modelId,
+    snippetId: row.snippetId,
+    signature: row.signature,
+    dimension: row.dimension,
+    updated: row.updated,
+    listVersion: typeof row.listVersion === 'string' ? row.listVersion : null,
+    chunks: row.chunks.map((chunk) => {
+      if (!(chunk.vector instanceof ArrayBuffer)) {
+        throw new Error(`Stored embedding vector is invalid for snippet ${row.snippetId}.`);
+      }
+      return {
+        start: chunk.start,
+        end: chunk.end,
+        vector: new Float32Array(chunk.vector),
+        list: Number.isInteger(chunk.list) ? chunk.list : -1
+      };
+    })
+  };
+}
+
+export async function getEmbedding(identity, snippetId) {
+  validateIdentity(identity);
+  const database = await getDatabase();
+  const transaction = database.transaction(STORE_NAME, 'readonly');
+  const row = await requestToPromise(transaction.objectStore(STORE_NAME).get([identity.modelId, snippetId]));
+  return row && isCurrentRow(row, identity) ? fromStoredRow(row) : null;
+}
+
+export async function getEmbeddingsForIdentity(identity) {
+  validateIdentity(identity);
+  const database = await getDatabase();
+  const transaction = database.transaction(STORE_NAME, 'readonly');
+  const index = transaction.objectStore(STORE_NAME).index('modelId');
+  const rows = await requestToPromise(index.getAll(identity.modelId));
+  const embeddings = new Map();
+  for (const row of rows) {
+    if (isCurrentRow(row, identity)) {
+      embeddings.set(row.snippetId, fromStoredRow(row));
+    }
+  }
+  return embeddings;
+}
+
+export async function getEmbeddingVersions(identity) {
+  validateIdentity(identity);
+  const database = await getDatabase();
+  const transaction = database.transaction(STORE_NAME, 'readonly');
+  const range = IDBKeyRange.bound([identity.signature], [identity.signature, []]);
+  const request = transaction.objectStore(STORE_NAME).index(VERSION_INDEX).openKeyCursor(range);
+  const versions = new Map();
+  await new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      versions.set(cursor.primaryKey[1], cursor.key[1]);
+      cursor.continue();
+    };
+    request.onerror = () => {
+      reject(new Error(`Embedding database request failed: ${describeError(request.error)}`));
+    };
+  });
+  return versions;
+}
+
+export async function getEmbeddingsByIds(identity, snippetIds) {
+  validateIdentity(identity);
+  const database = await getDatabase();
+  const store = database.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+  const rows = await Promise.all(snippetIds.map((snippetId) => requestToPromise(store.get([identity.modelId, snippetId]))));
+  const embeddings = new Map();
+  for (const row of rows) {
+    if (row && isCurrentRow(row, identity)) {
+      embeddings.set(row.snippetId, fromStoredRow(row));
+    }
+  }
+  return embeddings;
+}
+
+export async function putEmbedding(identity, snippetId, chunks) {
+  const row = createRow(identity, snippetId, chunks);
+  const database = await getDatabase();
+  const transaction = database.transaction([STORE_NAME, INDEX_STORE_NAME], 'readwrite');
+  const done = transactionDone(transaction);
+  const stored = await requestToPromise(transaction.objectStore(INDEX_STORE_NAME).get(identity.signature));
+  if (stored) {
+    assignRowLists(row, readStoredIndex(stored));
+  }
+  transaction.objectStore(STORE_NAME).put(row);
+  await done;
+}
+
+export async function loadVectorIndex(identity) {
+  validateIdentity(identity);
+  const database = await getDatabase();
+  const transaction = database.transaction(INDEX_STORE_NAME, 'readonly');
+  const stored = await requestToPromise(transaction.objectStore(INDEX_STORE_NAME).get(identity.signature));
+  return stored ? readStoredIndex(stored) : null;
+}
+
+export async function saveVectorIndex(identity, { centroids, trainedCount, approximate }) {
+  validateIdentity(identity);
+  if (!Array.isArray(centroids) || centroids.some((centroid) => centroid.length !== identity.dimension)) {
+    throw new Error('Vector index centroids must match the embedding dimension.');
+  }
+  const packed = new Float32Array(centroids.length * identity.dimension);
+  centroids.forEach((centroid, list) => {
+    packed.set(centroid, list * identity.dimension);
+  });
+  const record = {
+    signature: identity.signature,
+    modelId: identity.modelId,
+    dimension: identity.dimension,
+    version: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    centroids: packed.buffer,
+    trainedCount,
+    approximate: approximate === true
+  };
+  const index = readStoredIndex(record);
+  const database = await getDatabase();
+  const transaction = database.transaction([STORE_NAME, INDEX_STORE_NAME], 'readwrite');
+  const done = transactionDone(transaction);
+  transaction.objectStore(INDEX_STORE_NAME).put(record);
+  const range = IDBKeyRange.bound([identity.signature], [identity.signature, []]);
+  const request = transaction.objectStore(STORE_NAME).index(VERSION_INDEX).openCursor(range);
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) {
+      return;
+    }
+    cursor.update(assignRowLists(cursor.value, index));
+    cursor.continue();
+  };
+  await done;
+  return index;
+}
+
+function readStoredIndex(stored) {
+  if (!(stored.centroids instanceof ArrayBuffer) || !Number.isInteger(stored.dimension) || typeof stored.version !== 'string') {
+    throw new Error('Stored vector index is invalid.');
+  }
+  const packed = new Float32Array(stored.centroids);
+  const centroids = [];
+  for (let offset = 0; offset < packed.length; offset += stored.dimension) {
+    centroids.push(packed.subarray(offset, offset + stored.dimension));
+  }
+  return {
+    version: stored.version,
+    centroids,
+    trainedCount: stored.trainedCount,
+    approximate: stored.approximate === true
+  };
+}
+
+function assignRowLists(row, index) {
+  row.listVersion = index.version;
+  for (const chunk of row.chunks) {
+    chunk.list = getNearestList(index.centroids, new Float32Array(chunk.vector));
+  }
+  return row;
+}
+
+export async function deleteEmbeddings(snippetId) {
+  if (typeof snippetId !== 'string' || snippetId.length === 0) {
+    throw new Error('Embedding snippet ID is required.');
+  }
+  const database = await getDatabase();
+  const transaction = database.transaction(STORE_NAME, 'readwrite');
+  const done = transactionDone(transaction);
+  const store = transaction.objectStore(STORE_NAME);
+  const keys = await requestToPromise(store.index('snippetId').getAllKeys(snippetId));
+  for (const key of keys) {
+    store.delete(key);
+  }
+  await done;
+  return keys.length;
+}
+
+export async function pruneEmbeddings(snippetIds) {
+  if (!(snippetIds instanceof Set)) {
+    throw new Error('Embedding prune requires a set of snippet IDs to keep.');
+  }
+  const database = await getDatabase();
+  const transaction = database.transaction(STORE_NAME, 'readwrite');
+  const done = transactionDone(transaction);
+  const store = transaction.objectStore(STORE_NAME);
+  const keys = await requestToPromise(store.getAllKeys());
+  let removed = 0;
+  for (const key of keys) {
+    if (!snippetIds.has(key[1])) {
+      store.delete(key);
+      removed += 1;
+    }
+  }
+  await done;
+  return removed;
+}
@@ -0,0 +1,97 @@
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TOKEN_PATTERN = /[\p{L}\p{N}](?:[\p{L}\p{N}_.:#/-]*[\p{L}\p{N}])?/gu;
+const TOKEN_SEPARATOR_PATTERN = /[_.:#/-]+/;
+const CAMEL_CASE_BOUNDARY = /(?<=[\p{Ll}\p{N}])(?=\p{Lu})/u;
+
+export function tokenize(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Tokenize requires text.');
+  }
+  const tokens = [];
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const raw = match[0];
+    tokens.push(raw.toLowerCase());
+    const parts = raw
+      .split(TOKEN_SEPARATOR_PATTERN)
+      .flatMap((part) => part.split(CAMEL_CASE_BOUNDARY))
+      .filter((part) => part.length > 0);
+    if (parts.length > 1) {
+      for (const part of parts) {
+        tokens.push(part.toLowerCase());
+      }
+    }
+  }
+  return tokens;
+}
+
+export function buildLexicalIndex(documents) {
+  if (!Array.isArray(documents)) {
+    throw new Error('Lexical index requires an array of documents.');
+  }
+  const entries = new Map();
+  const documentFrequencies = new Map();
+  let totalLength = 0;
+  for (const document of documents) {
+    if (!document || typeof document !== 'object') {
+      throw new Error('Lexical document is invalid.');
+    }
+    if (typeof document.key !== 'string' || document.key.length === 0) {
+      throw new Error('Lexical document requires a key.');
+    }
+    if (typeof document.text !== 'string') {
+      throw new Error('Lexical document requires text.');
+    }
+    if (entries.has(document.key)) {
+      throw new Error(`Duplicate lexical document key: ${document.key}`);
+    }
+    const tokens = tokenize(document.text);
+    const termFrequencies = new Map();
+    for (const token of tokens) {
+      termFrequencies.set(token, (termFrequencies.get(token) || 0) + 1);
+    }
+    for (const term of termFrequencies.keys()) {
+      documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1);
+    }
+    entries.set(document.key, { termFrequencies, length: tokens.length });
+    totalLength += tokens.length;
+  }
+  return {
+    entries,
+    documentFrequencies,
+    averageLength: entries.size > 0 ? totalLength / entries.size : 0
+  };
+}
+
+export function scoreLexical(index, query) {
+  if (!index || !(index.entries instanceof Map) || !(index.documentFrequencies instanceof Map)) {
+    throw new Error('Lexical index is invalid.');
+  }
+  if (typeof query !== 'string') {
+    throw new Error('Lexical query must be a string.');
+  }
+  const scores = new Map();
+  const terms = new Set(tokenize(query));
+  const documentCount = index.entries.size;
+  if (terms.size === 0 || documentCount === 0) {
+    return scores;
+  }
+  const averageLength = index.averageLength > 0 ? index.averageLength : 1;
+  for (const term of terms) {
+    const documentFrequency = index.documentFrequencies.get(term);
+    if (!documentFrequency) {
+      continue;
+    }
+    const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    for (const [key, entry] of index.entries) {
+      const frequency = entry.termFrequencies.get(term);
+      if (!frequency) {
+        continue;
+      }
+      const lengthRatio = entry.length / averageLength;
+      const weight = (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+      scores.set(key, (scores.get(key) || 0) + idf * weight);
+    }
+  }
+  return scores;
+}
@@ -0,0 +1,72 @@
+import { getStorage, setStorage } from './storage.js';
+import { BACKEND_DEVICES } from './model-registry.js';
+
+export const BACKEND_SETTINGS_KEY = 'backend_settings_v1';
+export const DEFAULT_BACKEND_SETTINGS = Object.freeze({
+  device: 'wasm',
+  threads: 1
+});
+export const MAX_WASM_THREADS = 8;
+
+export async function loadBackendSettings() {
+  const result = await getStorage('local', [BACKEND_SETTINGS_KEY]);
+  const stored = result[BACKEND_SETTINGS_KEY];
+  if (stored === undefined) {
+    return { ...DEFAULT_BACKEND_SETTINGS };
+  }
+  return normalizeBackendSettings(stored);
+}
+
+export async function saveBackendSettings(settings) {
+  const normalized = normalizeBackendSettings(settings);
+  await setStorage('local', { [BACKEND_SETTINGS_KEY]: normalized });
+  return normalized;
+}
+
+export function normalizeBackendSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('Inference backend settings must be an object.');
+  }
+  const device = settings.device === undefined ? DEFAULT_BACKEND_SETTINGS.device : settings.device;
+  if (!BACKEND_DEVICES.includes(device)) {
+    throw new Error(`Unsupported inference device: ${device}`);
+  }
+  const threads = settings.threads === undefined ? DEFAULT_BACKEND_SETTINGS.threads : settings.threads;
+  if (!Number.isInteger(threads) || threads < 1 || threads > MAX_WASM_THREADS) {
+    throw new Error(`WASM threads must be a whole number between 1 and ${MAX_WASM_THREADS}.`);
+  }
+  return { device, threads };
+}
+
+export function getBackendCandidates(model, settings, environment) {
+  const threads = environment.crossOriginIsolated
+    ? Math.max(1, Math.min(settings.threads, environment.hardwareConcurrency || 1))
+    : 1;
+  const candidates = [];
+  if (settings.device === 'webgpu' && environment.webgpu) {
+    candidates.push({ device: 'webgpu', dtype: model.dtype, threads: 1 });
+  }
+  candidates.push({ device: 'wasm', dtype: model.dtype, threads });
+  candidates.push({ device: 'wasm', dtype: model.dtype, threads: 1 });
+  if (model.dtype !== 'fp32' && environment.fp32Available) {
+    candidates.push({ device: 'wasm', dtype: 'fp32', threads: 1 });
+  }
+  const seen = new Set();
+  return candidates.filter((candidate) => {
+    const key = `${candidate.device}:${candidate.dtype}:${candidate.threads}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+export function describeBackend(backend) {
+  if (!backend) {
+    return '';
+  }
+  const device = backend.device === 'webgpu' ? 'WebGPU' : 'WASM';
+  const threads = backend.device === 'wasm' && backend.threads > 1 ? ` · ${backend.threads} threads` : '';
+  return `${device} · ${backend.dtype}${threads}`;
+}
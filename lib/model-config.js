@@ -0,0 +1,36 @@
+export const CHUNK_MAX_TOKENS = 120;
+export const CHUNK_OVERLAP_TOKENS = 30;
+
+export function getEmbeddingOptions(model) {
+  if (!model || typeof model !== 'object') {
+    throw new Error('Embedding model is required.');
+  }
+  return Object.freeze({ pooling: model.pooling, normalize: model.normalize });
+}
+
+export function getEmbeddingIdentity(model) {
+  if (!model || typeof model.id !== 'string' || !Number.isInteger(model.dimension)) {
+    throw new Error('Embedding model with an id and dimension is required.');
+  }
+  const options = Object.freeze({
+    ...getEmbeddingOptions(model),
+    dtype: model.dtype,
+    chunkMaxTokens: CHUNK_MAX_TOKENS,
+    chunkOverlapTokens: CHUNK_OVERLAP_TOKENS
+  });
+  return Object.freeze({
+    modelId: model.id,
+    dimension: model.dimension,
+    options,
+    backend: model.backend ? Object.freeze({ device: model.backend.device, dtype: model.backend.dtype }) : null,
+    signature: createEmbeddingSignature(model.id, model.dimension, options)
+  });
+}
+
+function createEmbeddingSignature(modelId, dimension, options) {
+  const optionText = Object.keys(options)
+    .sort()
+    .map((key) => `${key}=${options[key]}`)
+    .join(';');
+  return `${modelId}|${dimension}|${optionText}`;
+}
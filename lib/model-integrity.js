@@ -0,0 +1,130 @@
+import { getStorage, setStorage } from './storage.js';
+import { getModelBasePath } from './model-registry.js';
+
+export const CHECKSUMS_PATH = 'model-checksums.json';
+export const MODEL_INTEGRITY_KEY = 'model_integrity_v1';
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+export async function loadModelChecksums() {
+  const response = await fetch(chrome.runtime.getURL(CHECKSUMS_PATH), { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`Model checksum manifest is missing: ${CHECKSUMS_PATH}`);
+  }
+  return validateChecksums(await response.json());
+}
+
+function validateChecksums(manifest) {
+  if (!manifest || manifest.version !== 1 || !manifest.files || typeof manifest.files !== 'object') {
+    throw new Error(`${CHECKSUMS_PATH} must be a version 1 manifest with a files object.`);
+  }
+  const files = new Map();
+  for (const [path, pin] of Object.entries(manifest.files)) {
+    if (!pin || !Number.isInteger(pin.size) || pin.size < 0 || typeof pin.sha256 !== 'string' || !SHA256_PATTERN.test(pin.sha256)) {
+      throw new Error(`${CHECKSUMS_PATH} has an invalid entry for ${path}.`);
+    }
+    files.set(path, { size: pin.size, sha256: pin.sha256 });
+  }
+  return files;
+}
+
+export async function verifyModelFiles(model, verifiedFiles = {}) {
+  const checksums = await loadModelChecksums();
+  const verified = { ...verifiedFiles };
+  const basePath = getModelBasePath(model);
+  const problems = [];
+  for (const file of model.files) {
+    const path = `${model.repo}/${file}`;
+    const pin = checksums.get(path) || null;
+    const problem = await checkModelFile(`${basePath}${file}`, pin, verified[path]);
+    if (problem) {
+      problems.push({ file, path, ...problem });
+      delete verified[path];
+    } else {
+      verified[path] = pin.sha256;
+    }
+  }
+  return { problems, verified };
+}
+
+async function checkModelFile(url, pin, verifiedHash) {
+  let response;
+  try {
+    response = await fetch(chrome.runtime.getURL(url));
+  } catch (error) {
+    return { problem: 'missing' };
+  }
+  if (!response.ok) {
+    return { problem: 'missing' };
+  }
+  if (!pin) {
+    await discardBody(response);
+    return { problem: 'unpinned' };
+  }
+  const header = response.headers.get('content-length');
+  const length = header === null ? Number.NaN : Number(header);
+  if (Number.isInteger(length) && length !== pin.size) {
+    await discardBody(response);
+    return { problem: 'size', expectedSize: pin.size, actualSize: length };
+  }
+  if (verifiedHash === pin.sha256) {
+    await discardBody(response);
+    return null;
+  }
+  const buffer = await response.arrayBuffer();
+  if (buffer.byteLength !== pin.size) {
+    return { problem: 'size', expectedSize: pin.size, actualSize: buffer.byteLength };
+  }
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  const hash = Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return hash === pin.sha256 ? null : { problem: 'checksum' };
+}
+
+async function discardBody(response) {
+  if (response.body) {
+    await response.body.cancel();
+  }
+}
+
+export async function loadVerifiedFiles() {
+  const result = await getStorage('local', [MODEL_INTEGRITY_KEY]);
+  const stored = result[MODEL_INTEGRITY_KEY];
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+    return {};
+  }
+  return { ...stored };
+}
+
+export async function saveVerifiedFiles(verified) {
+  await setStorage('local', { [MODEL_INTEGRITY_KEY]: verified });
+}
+
+export function describeFileProblem(problem) {
+  if (problem.problem === 'missing') {
+    return `${problem.file} is missing.`;
+  }
+  if (problem.problem === 'unpinned') {
+    return `${problem.file} has no checksum in ${CHECKSUMS_PATH}, so it cannot be verified. Run ./scripts/setup-models.sh --pin to record it.`;
+  }
+  if (problem.problem === 'size') {
+    return `${problem.file} is ${formatBytes(problem.actualSize)} but should be ${formatBytes(problem.expectedSize)}; the download was probably interrupted.`;
+  }
+  if (problem.problem === 'checksum') {
+    return `${problem.file} has the expected size but its SHA-256 checksum does not match.`;
+  }
+  throw new Error(`Unsupported model file problem: ${problem.problem}`);
+}
+
+export function getRepairCommand(model) {
+  return `./scripts/setup-models.sh ${model.id}`;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  if (bytes >= 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${bytes} bytes`;
+}
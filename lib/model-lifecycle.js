@@ -0,0 +1,112 @@
+import { getStorage, setStorage } from './storage.js';
+import { describeBackend } from './model-backend.js';
+
+export const MODEL_STATUS_KEY = 'model_status_v1';
+export const MODEL_LIFECYCLE_KEY = 'model_lifecycle_v1';
+export const MODEL_STATES = Object.freeze(['not-installed', 'corrupted', 'unloaded', 'loading', 'ready', 'error']);
+export const DEFAULT_LIFECYCLE_SETTINGS = Object.freeze({
+  idleMinutes: 10,
+  prewarm: false
+});
+export const MAX_LOAD_ATTEMPTS = 4;
+
+const MAX_IDLE_MINUTES = 1440;
+const LOAD_RETRY_BASE_MS = 1000;
+const LOAD_RETRY_MAX_MS = 8000;
+
+export async function loadLifecycleSettings() {
+  const result = await getStorage('local', [MODEL_LIFECYCLE_KEY]);
+  const stored = result[MODEL_LIFECYCLE_KEY];
+  if (stored === undefined) {
+    return { ...DEFAULT_LIFECYCLE_SETTINGS };
+  }
+  return normalizeLifecycleSettings(stored);
+}
+
+export async function saveLifecycleSettings(settings) {
+  const normalized = normalizeLifecycleSettings(settings);
+  await setStorage('local', { [MODEL_LIFECYCLE_KEY]: normalized });
+  return normalized;
+}
+
+export function normalizeLifecycleSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('Model lifecycle settings must be an object.');
+  }
+  const idleMinutes = settings.idleMinutes === undefined ? DEFAULT_LIFECYCLE_SETTINGS.idleMinutes : settings.idleMinutes;
+  if (!Number.isInteger(idleMinutes) || idleMinutes < 0 || idleMinutes > MAX_IDLE_MINUTES) {
+    throw new Error(`Idle unload must be a whole number of minutes between 0 and ${MAX_IDLE_MINUTES}.`);
+  }
+  return { idleMinutes, prewarm: settings.prewarm === true };
+}
+
+export async function loadModelStatus() {
+  const result = await getStorage('local', [MODEL_STATUS_KEY]);
+  const stored = result[MODEL_STATUS_KEY];
+  if (stored === undefined) {
+    return null;
+  }
+  if (!stored || typeof stored !== 'object' || !MODEL_STATES.includes(stored.state)) {
+    throw new Error('Model status is invalid.');
+  }
+  return stored;
+}
+
+export async function saveModelStatus(model, state, details = {}) {
+  if (!MODEL_STATES.includes(state)) {
+    throw new Error(`Unsupported model state: ${state}`);
+  }
+  const status = {
+    modelId: model.id,
+    label: model.label,
+    state,
+    approxMemoryMB: state === 'ready' || state === 'loading' ? model.approxMemoryMB : 0,
+    error: typeof details.error === 'string' ? details.error : null,
+    attempt: Number.isInteger(details.attempt) ? details.attempt : 0,
+    retryAt: typeof details.retryAt === 'string' ? details.retryAt : null,
+    problems: Array.isArray(details.problems) ? details.problems : [],
+    backend: details.backend || null,
+    updated: new Date().toISOString()
+  };
+  await setStorage('local', { [MODEL_STATUS_KEY]: status });
+  return status;
+}
+
+export function getLoadRetryDelay(attempt) {
+  return Math.min(LOAD_RETRY_BASE_MS * 2 ** Math.max(attempt - 1, 0), LOAD_RETRY_MAX_MS);
+}
+
+export function describeModelStatus(status, model) {
+  if (!status || status.modelId !== model.id) {
+    return { state: 'unloaded', text: 'Not loaded', note: 'Loads on the next search or save.' };
+  }
+  if (status.state === 'not-installed') {
+    return { state: status.state, text: 'Not installed', note: '' };
+  }
+  if (status.state === 'corrupted') {
+    return { state: status.state, text: 'Corrupted', note: '' };
+  }
+  if (status.state === 'loading') {
+    return {
+      state: status.state,
+      text: `Loading · ~${status.approxMemoryMB} MB`,
+      note: status.error ? `Attempt ${status.attempt} of ${MAX_LOAD_ATTEMPTS} failed: ${status.error} Retrying...` : ''
+    };
+  }
+  if (status.state === 'ready') {
+    const backend = status.backend ? `${describeBackend(status.backend)} · ` : '';
+    return {
+      state: status.state,
+      text: `Ready · ${backend}~${status.approxMemoryMB} MB`,
+      note: status.backend && status.backend.fallback ? `Fell back: ${status.backend.fallback}` : ''
+    };
+  }
+  if (status.state === 'error') {
+    return {
+      state: status.state,
+      text: 'Error',
+      note: `${status.error || 'The model failed to load.'} It retries on the next search or save.`
+    };
+  }
+  return { state: status.state, text: 'Unloaded', note: 'Freed after being idle. Loads on the next search or save.' };
+}
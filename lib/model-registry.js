@@ -0,0 +1,192 @@
+import { getStorage, setStorage } from './storage.js';
+
+export const MODEL_SETTINGS_KEY = 'model_settings_v1';
+export const MODEL_BACKEND_KEY = 'model_backend_v1';
+export const BACKEND_DEVICES = Object.freeze(['wasm', 'webgpu']);
+
+const REGISTRY_PATH = 'model-registry.json';
+const MODEL_DTYPES = Object.freeze(['fp32', 'fp16', 'q8', 'int8', 'uint8', 'q4']);
+const DTYPE_ONNX_FILES = Object.freeze({
+  fp32: 'onnx/model.onnx',
+  fp16: 'onnx/model_fp16.onnx',
+  q8: 'onnx/model_quantized.onnx',
+  int8: 'onnx/model_int8.onnx',
+  uint8: 'onnx/model_uint8.onnx',
+  q4: 'onnx/model_q4.onnx'
+});
+const POOLING_MODES = Object.freeze(['mean', 'cls', 'none']);
+
+let registryPromise = null;
+
+export function loadModelRegistry() {
+  if (registryPromise) {
+    return registryPromise;
+  }
+  registryPromise = (async () => {
+    const response = await fetch(chrome.runtime.getURL(REGISTRY_PATH));
+    if (!response.ok) {
+      throw new Error(`Model registry is missing: ${REGISTRY_PATH}`);
+    }
+    return validateRegistry(await response.json());
+  })();
+  registryPromise.catch(() => {
+    registryPromise = null;
+  });
+  return registryPromise;
+}
+
+function validateRegistry(registry) {
+  if (!registry || typeof registry !== 'object' || !Array.isArray(registry.models)) {
+    throw new Error('Model registry must list models.');
+  }
+  const ids = new Set();
+  for (const model of registry.models) {
+    validateModel(model);
+    if (ids.has(model.id)) {
+      throw new Error(`Duplicate model in registry: ${model.id}`);
+    }
+    ids.add(model.id);
+  }
+  if (!ids.has(registry.defaultModel)) {
+    throw new Error(`Default model is not in the registry: ${registry.defaultModel}`);
+  }
+  return Object.freeze({
+    defaultModel: registry.defaultModel,
+    models: Object.freeze(registry.models.map((model) => Object.freeze({
+      ...model,
+      files: Object.freeze([...model.files])
+    })))
+  });
+}
+
+function validateModel(model) {
+  if (!model || typeof model !== 'object') {
+    throw new Error('Model registry entry is invalid.');
+  }
+  if (typeof model.id !== 'string' || model.id.length === 0) {
+    throw new Error('Model registry entry requires an id.');
+  }
+  if (typeof model.repo !== 'string' || model.repo.length === 0) {
+    throw new Error(`Model ${model.id} requires a repo path.`);
+  }
+  if (typeof model.label !== 'string' || model.label.length === 0) {
+    throw new Error(`Model ${model.id} requires a label.`);
+  }
+  if (!Number.isInteger(model.dimension) || model.dimension <= 0) {
+    throw new Error(`Model ${model.id} requires a positive dimension.`);
+  }
+  if (!MODEL_DTYPES.includes(model.dtype)) {
+    throw new Error(`Model ${model.id} has an unsupported dtype: ${model.dtype}`);
+  }
+  if (!POOLING_MODES.includes(model.pooling)) {
+    throw new Error(`Model ${model.id} has an unsupported pooling mode: ${model.pooling}`);
+  }
+  if (typeof model.normalize !== 'boolean') {
+    throw new Error(`Model ${model.id} must declare whether vectors are normalized.`);
+  }
+  if (!Array.isArray(model.files) || model.files.length === 0) {
+    throw new Error(`Model ${model.id} must list its required files.`);
+  }
+  if (!model.files.includes(getOnnxFile(model.dtype))) {
+    throw new Error(`Model ${model.id} must include ${getOnnxFile(model.dtype)} for its ${model.dtype} weights.`);
+  }
+}
+
+export function getOnnxFile(dtype) {
+  if (!MODEL_DTYPES.includes(dtype)) {
+    throw new Error(`Unsupported model dtype: ${dtype}`);
+  }
+  return DTYPE_ONNX_FILES[dtype];
+}
+
+export async function getModelEntry(id) {
+  const registry = await loadModelRegistry();
+  const model = registry.models.find((entry) => entry.id === id);
+  if (!model) {
+    throw new Error(`Unknown embedding model: ${id}`);
+  }
+  return model;
+}
+
+export async function getActiveModel() {
+  const registry = await loadModelRegistry();
+  const result = await getStorage('local', [MODEL_SETTINGS_KEY]);
+  const settings = result[MODEL_SETTINGS_KEY];
+  if (settings !== undefined && (!settings || typeof settings !== 'object' || typeof settings.modelId !== 'string')) {
+    throw new Error('Model settings must name a model.');
+  }
+  const model = await getModelEntry(settings === undefined ? registry.defaultModel : settings.modelId);
+  const backend = await loadModelBackend(model);
+  return backend ? applyModelBackend(model, backend) : model;
+}
+
+export function applyModelBackend(model, backend) {
+  if (!backend || !BACKEND_DEVICES.includes(backend.device) || !MODEL_DTYPES.includes(backend.dtype)) {
+    throw new Error(`Model backend for ${model.id} is invalid.`);
+  }
+  return Object.freeze({
+    ...model,
+    dtype: backend.dtype,
+    backend: Object.freeze({ device: backend.device, dtype: backend.dtype, threads: backend.threads })
+  });
+}
+
+async function loadModelBackend(model) {
+  const result = await getStorage('local', [MODEL_BACKEND_KEY]);
+  const stored = result[MODEL_BACKEND_KEY];
+  if (stored === undefined || !stored[model.id]) {
+    return null;
+  }
+  return stored[model.id];
+}
+
+export async function recordModelBackend(model, backend) {
+  applyModelBackend(model, backend);
+  const result = await getStorage('local', [MODEL_BACKEND_KEY]);
+  const stored = result[MODEL_BACKEND_KEY] && typeof result[MODEL_BACKEND_KEY] === 'object' ? result[MODEL_BACKEND_KEY] : {};
+  const current = stored[model.id];
+  if (current && current.device === backend.device && current.dtype === backend.dtype && current.threads === backend.threads) {
+    return false;
+  }
+  await setStorage('local', {
+    [MODEL_BACKEND_KEY]: {
+      ...stored,
+      [model.id]: {
+        device: backend.device,
+        dtype: backend.dtype,
+        threads: backend.threads,
+        fallback: typeof backend.fallback === 'string' ? backend.fallback : null,
+        updated: new Date().toISOString()
+      }
+    }
+  });
+  return true;
+}
+
+export async function saveActiveModelId(id) {
+  await getModelEntry(id);
+  await setStorage('local', { [MODEL_SETTINGS_KEY]: { modelId: id } });
+}
+
+export function getModelBasePath(model) {
+  validateModel(model);
+  return `models/${model.repo}/`;
+}
+
+export async function getMissingModelFiles(model) {
+  const basePath = getModelBasePath(model);
+  const missing = [];
+  await Promise.all(model.files.map(async (file) => {
+    let response;
+    try {
+      response = await fetch(chrome.runtime.getURL(`${basePath}${file}`), { method: 'HEAD' });
+    } catch (error) {
+      missing.push(file);
+      return;
+    }
+    if (!response.ok) {
+      missing.push(file);
+    }
+  }));
+  return missing.sort();
+}
@@ -0,0 +1,118 @@
+const ALLOWED_TAGS = new Set(['P', 'BR', 'UL', 'OL', 'LI', 'PRE', 'CODE', 'A', 'STRONG', 'B', 'EM', 'I', 'BLOCKQUOTE']);
+const DROPPED_TAGS = new Set([
+  'SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'IFRAME', 'FRAME', 'OBJECT', 'EMBED', 'SVG', 'MATH', 'CANVAS',
+  'VIDEO', 'AUDIO', 'PICTURE', 'IMG', 'HEAD', 'TITLE', 'META', 'LINK', 'BUTTON', 'SELECT', 'TEXTAREA', 'INPUT'
+]);
+const HEADING_TAGS = new Set(['H1', 'H2', 'H3', 'H4', 'H5', 'H6']);
+const BREAK_AFTER_TAGS = new Set(['DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'FIGCAPTION', 'TR', 'DT', 'DD', 'TABLE']);
+const LINK_PROTOCOLS = new Set(['http:', 'https:', 'mailto:']);
+const CODE_CLASS_PATTERN = /^language-[\w+#-]{1,30}$/;
+const MAX_RICH_HTML_CHARS = 100000;
+
+export function sanitizeHtml(html) {
+  if (typeof html !== 'string') {
+    throw new Error('Snippet HTML must be a string.');
+  }
+  if (html.trim().length === 0) {
+    return '';
+  }
+  const source = parseHtml(html);
+  const container = document.implementation.createHTMLDocument('').createElement('div');
+  copySafeNodes(source.body, container);
+  trimTrailingBreaks(container);
+  const hasStructure = [...container.querySelectorAll('*')].some((element) => element.tagName !== 'BR');
+  if (!hasStructure || container.innerHTML.length > MAX_RICH_HTML_CHARS) {
+    return '';
+  }
+  return container.innerHTML;
+}
+
+export function renderRichText(element, html) {
+  if (!element) {
+    throw new Error('Rich text element is required.');
+  }
+  if (typeof html !== 'string') {
+    throw new Error('Snippet HTML must be a string.');
+  }
+  element.textContent = '';
+  copySafeNodes(parseHtml(html).body, element);
+  for (const link of element.querySelectorAll('a')) {
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+  }
+}
+
+function parseHtml(html) {
+  if (typeof DOMParser !== 'function') {
+    throw new Error('DOMParser is required to read snippet HTML.');
+  }
+  return new DOMParser().parseFromString(html, 'text/html');
+}
+
+function copySafeNodes(source, target) {
+  const ownerDocument = target.ownerDocument;
+  for (const node of source.childNodes) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      target.appendChild(ownerDocument.createTextNode(node.textContent));
+      continue;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      continue;
+    }
+    const tag = node.tagName.toUpperCase();
+    if (DROPPED_TAGS.has(tag)) {
+      continue;
+    }
+    if (HEADING_TAGS.has(tag)) {
+      const strong = ownerDocument.createElement('strong');
+      copySafeNodes(node, strong);
+      target.append(strong, ownerDocument.createElement('br'));
+      continue;
+    }
+    if (!ALLOWED_TAGS.has(tag)) {
+      copySafeNodes(node, target);
+      if (BREAK_AFTER_TAGS.has(tag)) {
+        target.appendChild(ownerDocument.createElement('br'));
+      }
+      continue;
+    }
+    const copy = ownerDocument.createElement(tag.toLowerCase());
+    if (tag === 'A') {
+      const href = getSafeHref(node.getAttribute('href'));
+      if (!href) {
+        copySafeNodes(node, target);
+        continue;
+      }
+      copy.setAttribute('href', href);
+    }
+    if (tag === 'CODE') {
+      const language = [...node.classList].find((name) => CODE_CLASS_PATTERN.test(name));
+      if (language) {
+        copy.className = language;
+      }
+    }
+    if (tag !== 'BR') {
+      copySafeNodes(node, copy);
+    }
+    target.appendChild(copy);
+  }
+}
+
+function getSafeHref(value) {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    return null;
+  }
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch (error) {
+    return null;
+  }
+  return LINK_PROTOCOLS.has(url.protocol) ? url.href : null;
+}
+
+function trimTrailingBreaks(container) {
+  while (container.lastChild && container.lastChild.nodeName === 'BR') {
+    container.lastChild.remove();
+  }
+}
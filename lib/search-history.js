@@ -0,0 +1,101 @@
+import { getStorage, setStorage } from './storage.js';
+
+export const QUERY_CACHE_KEY = 'query_vector_cache_v1';
+export const RECENT_SEARCHES_KEY = 'recent_searches_v1';
+
+const QUERY_CACHE_LIMIT = 50;
+const RECENT_SEARCH_LIMIT = 8;
+const MIN_RECENT_SEARCH_CHARS = 2;
+
+let cachePromise = null;
+let cacheWritePromise = Promise.resolve();
+
+export function normalizeQuery(query) {
+  return typeof query === 'string' ? query.trim().replace(/\s+/g, ' ') : '';
+}
+
+export async function getCachedQueryVector(signature, query) {
+  const cache = await loadQueryCache();
+  const key = getCacheKey(signature, query);
+  const vector = cache.get(key);
+  if (!vector) {
+    return null;
+  }
+  cache.delete(key);
+  cache.set(key, vector);
+  return vector;
+}
+
+export async function cacheQueryVector(signature, query, vector) {
+  const cache = await loadQueryCache();
+  const key = getCacheKey(signature, query);
+  cache.delete(key);
+  cache.set(key, Float32Array.from(vector));
+  while (cache.size > QUERY_CACHE_LIMIT) {
+    cache.delete(cache.keys().next().value);
+  }
+  const entries = [...cache].map(([entryKey, entryVector]) => [entryKey, Array.from(entryVector)]);
+  cacheWritePromise = cacheWritePromise
+    .catch(() => {})
+    .then(() => setStorage('local', { [QUERY_CACHE_KEY]: { version: 1, entries } }));
+  await cacheWritePromise;
+}
+
+export async function loadRecentSearches() {
+  const result = await getStorage('local', [RECENT_SEARCHES_KEY]);
+  const stored = result[RECENT_SEARCHES_KEY];
+  if (stored === undefined) {
+    return [];
+  }
+  if (!Array.isArray(stored)) {
+    throw new Error('Recent searches must be an array.');
+  }
+  return stored.filter((query) => typeof query === 'string' && query.length > 0);
+}
+
+export async function recordRecentSearch(query) {
+  const normalized = normalizeQuery(query);
+  const recent = await loadRecentSearches();
+  if (normalized.length < MIN_RECENT_SEARCH_CHARS) {
+    return recent;
+  }
+  const updated = [normalized, ...recent.filter((entry) => entry.toLowerCase() !== normalized.toLowerCase())]
+    .slice(0, RECENT_SEARCH_LIMIT);
+  await setStorage('local', { [RECENT_SEARCHES_KEY]: updated });
+  return updated;
+}
+
+export async function clearRecentSearches() {
+  await setStorage('local', { [RECENT_SEARCHES_KEY]: [] });
+}
+
+function loadQueryCache() {
+  if (cachePromise) {
+    return cachePromise;
+  }
+  cachePromise = (async () => {
+    const result = await getStorage('local', [QUERY_CACHE_KEY]);
+    const stored = result[QUERY_CACHE_KEY];
+    const cache = new Map();
+    if (!stored || stored.version !== 1 || !Array.isArray(stored.entries)) {
+      return cache;
+    }
+    for (const entry of stored.entries) {
+      if (Array.isArray(entry) && typeof entry[0] === 'string' && Array.isArray(entry[1])) {
+        cache.set(entry[0], Float32Array.from(entry[1]));
+      }
+    }
+    return cache;
+  })();
+  cachePromise.catch(() => {
+    cachePromise = null;
+  });
+  return cachePromise;
+}
+
+function getCacheKey(signature, query) {
+  if (typeof signature !== 'string' || signature.length === 0) {
+    throw new Error('Query cache requires an embedding signature.');
+  }
+  return `${signature}\n${normalizeQuery(query)}`;
+}
@@ -0,0 +1,99 @@
+export const SEARCH_RESULT_LIMIT = 50;
+
+let worker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+let syncedSnippets = null;
+
+export async function syncSearchIndex(identity, snippetsByArea) {
+  if (!identity || typeof identity.signature !== 'string') {
+    throw new Error('Search index requires an embedding identity.');
+  }
+  let documents;
+  if (!syncedSnippets || Object.keys(snippetsByArea).some((area) => syncedSnippets[area] !== snippetsByArea[area])) {
+    documents = Object.entries(snippetsByArea).flatMap(([area, list]) => list.map((snippet) => ({
+      id: snippet.id,
+      area,
+      text: snippet.text,
+      date: snippet.date,
+      updated: snippet.updated
+    })));
+  }
+  try {
+    await callSearchWorker({
+      action: 'sync',
+      identity: { modelId: identity.modelId, signature: identity.signature, dimension: identity.dimension },
+      documents
+    });
+  } catch (error) {
+    syncedSnippets = null;
+    throw error;
+  }
+  if (documents) {
+    syncedSnippets = { ...snippetsByArea };
+  }
+}
+
+export async function rankInSearchIndex(items, { query, queryVector, settings, allowMissing, exact }) {
+  const response = await callSearchWorker({
+    action: 'rank',
+    keys: items.map((item) => `${item.area}:${item.snippet.id}`),
+    query,
+    queryVector: Array.from(queryVector),
+    settings,
+    allowMissing,
+    limit: SEARCH_RESULT_LIMIT,
+    exact: Boolean(exact)
+  });
+  const itemsByKey = new Map(items.map((item) => [`${item.area}:${item.snippet.id}`, item]));
+  return response.results.map((result) => ({ ...itemsByKey.get(result.key), ...result }));
+}
+
+export async function findDuplicateGroups(items) {
+  const response = await callSearchWorker({
+    action: 'duplicates',
+    keys: items.map((item) => `${item.area}:${item.snippet.id}`)
+  });
+  const itemsByKey = new Map(items.map((item) => [`${item.area}:${item.snippet.id}`, item]));
+  return response.groups.map((group) => group.map((key) => itemsByKey.get(key)));
+}
+
+function getSearchWorker() {
+  if (worker) {
+    return worker;
+  }
+  worker = new Worker(new URL('../search-worker.js', import.meta.url), { type: 'module' });
+  worker.addEventListener('message', (event) => {
+    const response = event.data;
+    const pending = pendingRequests.get(response.requestId);
+    if (!pending) {
+      return;
+    }
+    pendingRequests.delete(response.requestId);
+    if (response.ok === true) {
+      pending.resolve(response);
+    } else {
+      pending.reject(new Error(response.error || 'Search worker failed.'));
+    }
+  });
+  worker.addEventListener('error', (event) => {
+    event.preventDefault();
+    const error = new Error(`Search worker crashed: ${event.message || 'unknown error'}`);
+    for (const pending of pendingRequests.values()) {
+      pending.reject(error);
+    }
+    pendingRequests.clear();
+    worker.terminate();
+    worker = null;
+    syncedSnippets = null;
+  });
+  return worker;
+}
+
+function callSearchWorker(payload) {
+  const requestId = ++nextRequestId;
+  return new Promise((resolve, reject) => {
+    pendingRequests.set(requestId, { resolve, reject });
+    getSearchWorker().postMessage({ ...payload, requestId });
+  });
+}
@@ -0,0 +1,454 @@
+import { normalizeCollectionName, normalizeTags } from './snippet-facets.js';
+import { sanitizeHtml } from './rich-text.js';
+import { formatFencedMarkdown, normalizeLanguage } from './code-language.js';
+import { normalizeTrigger } from './snippet-triggers.js';
+
+export const ARCHIVE_FORMAT = 'snippet-vault';
+export const ARCHIVE_VERSION = 1;
+export const ARCHIVE_AREAS = Object.freeze(['local', 'sync']);
+
+const VECTOR_ENCODING = 'float32-le-base64';
+const MAX_ARCHIVE_BYTES = 50 * 1024 * 1024;
+const AREA_TITLES = Object.freeze({
+  local: 'Local',
+  sync: 'Synced'
+});
+const CSV_COLUMNS = Object.freeze(['id', 'area', 'text', 'url', 'title', 'date', 'updated', 'tags', 'collection', 'language']);
+
+export function createArchive({ snippetsByArea, collections, embeddings }) {
+  const areas = {};
+  for (const area of ARCHIVE_AREAS) {
+    areas[area] = readAreaList(snippetsByArea, area);
+  }
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    areas,
+    collections: Array.isArray(collections) ? [...collections] : []
+  };
+  if (embeddings) {
+    archive.embeddings = encodeEmbeddings(embeddings.identity, embeddings.rows, areas);
+  }
+  return archive;
+}
+
+function readAreaList(snippetsByArea, area) {
+  const list = snippetsByArea[area];
+  if (!Array.isArray(list)) {
+    throw new Error(`Snippets for ${area} must be an array.`);
+  }
+  return list;
+}
+
+function encodeEmbeddings(identity, rows, areas) {
+  if (!identity || typeof identity.signature !== 'string') {
+    throw new Error('Embedding export requires the current embedding identity.');
+  }
+  if (!(rows instanceof Map)) {
+    throw new Error('Embedding export requires a map of embedding rows.');
+  }
+  const ids = new Set(ARCHIVE_AREAS.flatMap((area) => areas[area].map((snippet) => snippet.id)));
+  const items = [];
+  for (const [snippetId, row] of rows) {
+    if (!ids.has(snippetId)) {
+      continue;
+    }
+    items.push({
+      snippetId,
+      chunks: row.chunks.map((chunk) => ({
+        start: chunk.start,
+        end: chunk.end,
+        vector: encodeVector(chunk.vector)
+      }))
+    });
+  }
+  return {
+    model: {
+      id: identity.modelId,
+      dimension: identity.dimension,
+      options: { ...identity.options },
+      signature: identity.signature
+    },
+    vectorEncoding: VECTOR_ENCODING,
+    items
+  };
+}
+
+function encodeVector(vector) {
+  const view = new DataView(new ArrayBuffer(vector.length * Float32Array.BYTES_PER_ELEMENT));
+  vector.forEach((value, index) => {
+    view.setFloat32(index * Float32Array.BYTES_PER_ELEMENT, value, true);
+  });
+  let binary = '';
+  const bytes = new Uint8Array(view.buffer);
+  for (let index = 0; index < bytes.length; index += 1) {
+    binary += String.fromCharCode(bytes[index]);
+  }
+  return btoa(binary);
+}
+
+function decodeVector(encoded, dimension) {
+  if (typeof encoded !== 'string') {
+    throw new Error('Archived embedding vector must be a base64 string.');
+  }
+  const binary = atob(encoded);
+  if (binary.length !== dimension * Float32Array.BYTES_PER_ELEMENT) {
+    throw new Error(`Archived embedding dimension mismatch: expected ${dimension}.`);
+  }
+  const view = new DataView(new ArrayBuffer(binary.length));
+  for (let index = 0; index < binary.length; index += 1) {
+    view.setUint8(index, binary.charCodeAt(index));
+  }
+  const vector = new Float32Array(dimension);
+  for (let index = 0; index < dimension; index += 1) {
+    vector[index] = view.getFloat32(index * Float32Array.BYTES_PER_ELEMENT, true);
+  }
+  return vector;
+}
+
+export function formatArchiveMarkdown(snippetsByArea) {
+  const lines = ['# Snippet Vault export', '', `Exported ${new Date().toISOString()}`, ''];
+  for (const area of ARCHIVE_AREAS) {
+    const list = readAreaList(snippetsByArea, area);
+    lines.push(`## ${AREA_TITLES[area]} (${list.length})`, '');
+    for (const snippet of list) {
+      if (snippet.code) {
+        lines.push(formatFencedMarkdown(snippet.text, snippet.code.language));
+      } else {
+        lines.push(...snippet.text.split('\n').map((line) => (line.length > 0 ? `> ${line}` : '>')), '');
+      }
+      const source = getSourceLink(snippet);
+      if (source) {
+        lines.push(`- Source: [${escapeMarkdownText(source.label)}](${source.url})`);
+      }
+      lines.push(`- Saved: ${snippet.date || 'unknown'}`);
+      if (snippet.updated) {
+        lines.push(`- Edited: ${snippet.updated}`);
+      }
+      if (Array.isArray(snippet.tags) && snippet.tags.length > 0) {
+        lines.push(`- Tags: ${snippet.tags.map((tag) => `#${tag}`).join(' ')}`);
+      }
+      if (snippet.collection) {
+        lines.push(`- Collection: ${escapeMarkdownText(snippet.collection)}`);
+      }
+      lines.push('', '---', '');
+    }
+  }
+  return lines.join('\n');
+}
+
+function getSourceLink(snippet) {
+  const source = snippet.source && typeof snippet.source === 'object' ? snippet.source : null;
+  const url = source && source.fragmentUrl ? source.fragmentUrl : snippet.url;
+  if (typeof url !== 'string' || !/^https?:/.test(url)) {
+    return null;
+  }
+  const label = source && source.title ? source.title : new URL(url).hostname;
+  return { url: url.replace(/[()\s]/g, (character) => encodeURIComponent(character)), label };
+}
+
+function escapeMarkdownText(text) {
+  return text.replace(/[\\[\]*_`<>]/g, '\\$&');
+}
+
+export function formatArchiveCsv(snippetsByArea) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const area of ARCHIVE_AREAS) {
+    for (const snippet of readAreaList(snippetsByArea, area)) {
+      const source = snippet.source && typeof snippet.source === 'object' ? snippet.source : {};
+      rows.push([
+        snippet.id,
+        area,
+        snippet.text,
+        snippet.url,
+        source.title,
+        snippet.date,
+        snippet.updated,
+        Array.isArray(snippet.tags) ? snippet.tags.join(' ') : '',
+        snippet.collection,
+        snippet.code ? snippet.code.language || 'code' : ''
+      ].map(formatCsvCell).join(','));
+    }
+  }
+  return `${rows.join('\r\n')}\r\n`;
+}
+
+function formatCsvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function parseArchive(text) {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    throw new Error('Import file is empty.');
+  }
+  if (text.length > MAX_ARCHIVE_BYTES) {
+    throw new Error('Import file is too large.');
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Import file is not valid JSON.');
+  }
+  if (!data || typeof data !== 'object' || data.format !== ARCHIVE_FORMAT) {
+    throw new Error('Import file is not a Snippet Vault export.');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('Import file has no valid format version.');
+  }
+  if (data.version > ARCHIVE_VERSION) {
+    throw new Error(`Import file version ${data.version} is newer than this extension supports (${ARCHIVE_VERSION}).`);
+  }
+  if (!data.areas || typeof data.areas !== 'object') {
+    throw new Error('Import file must contain snippet areas.');
+  }
+  const areas = {};
+  for (const area of ARCHIVE_AREAS) {
+    const list = data.areas[area] === undefined ? [] : data.areas[area];
+    if (!Array.isArray(list)) {
+      throw new Error(`Imported ${area} snippets must be an array.`);
+    }
+    areas[area] = list.map((snippet, index) => parseSnippet(snippet, `${area}[${index}]`));
+  }
+  const collections = data.collections === undefined ? [] : data.collections;
+  if (!Array.isArray(collections)) {
+    throw new Error('Imported collections must be an array.');
+  }
+  return {
+    areas,
+    collections: collections.map(normalizeCollectionName).filter(Boolean),
+    embeddings: data.embeddings === undefined ? null : parseEmbeddings(data.embeddings)
+  };
+}
+
+function parseSnippet(snippet, label) {
+  if (!snippet || typeof snippet !== 'object' || Array.isArray(snippet)) {
+    throw new Error(`Imported snippet ${label} is invalid.`);
+  }
+  if (typeof snippet.text !== 'string' || snippet.text.trim().length === 0) {
+    throw new Error(`Imported snippet ${label} requires text.`);
+  }
+  if (snippet.id !== undefined && (typeof snippet.id !== 'string' || snippet.id.length === 0)) {
+    throw new Error(`Imported snippet ${label} has an invalid id.`);
+  }
+  const parsed = {
+    text: snippet.text,
+    url: typeof snippet.url === 'string' ? snippet.url : 'manual',
+    date: readTimestamp(snippet.date, label, 'date') || new Date().toISOString()
+  };
+  if (snippet.id !== undefined) {
+    parsed.id = snippet.id;
+  }
+  const updated = readTimestamp(snippet.updated, label, 'updated');
+  if (updated) {
+    parsed.updated = updated;
+  }
+  if (snippet.source !== undefined && snippet.source !== null) {
+    parsed.source = parseSource(snippet.source, label);
+  }
+  if (snippet.html !== undefined) {
+    if (typeof snippet.html !== 'string') {
+      throw new Error(`Imported snippet ${label} has invalid HTML.`);
+    }
+    const html = sanitizeHtml(snippet.html);
+    if (html) {
+      parsed.html = html;
+    }
+  }
+  if (snippet.code !== undefined && snippet.code !== null) {
+    if (typeof snippet.code !== 'object' || Array.isArray(snippet.code)) {
+      throw new Error(`Imported snippet ${label} has invalid code details.`);
+    }
+    parsed.code = { language: normalizeLanguage(snippet.code.language) };
+  }
+  const tags = normalizeTags(snippet.tags === undefined ? [] : snippet.tags);
+  if (tags.length > 0) {
+    parsed.tags = tags;
+  }
+  const collection = normalizeCollectionName(snippet.collection);
+  if (collection) {
+    parsed.collection = collection;
+  }
+  if (snippet.pinned === true) {
+    parsed.pinned = true;
+  }
+  let trigger;
+  try {
+    trigger = normalizeTrigger(snippet.trigger);
+  } catch (error) {
+    throw new Error(`Imported snippet ${label} has an invalid trigger.`);
+  }
+  if (trigger) {
+    parsed.trigger = trigger;
+  }
+  if (snippet.sources !== undefined) {
+    const sources = parseSources(snippet.sources, label);
+    if (sources.length > 0) {
+      parsed.sources = sources;
+    }
+  }
+  if (snippet.revisions !== undefined) {
+    if (!Array.isArray(snippet.revisions)) {
+      throw new Error(`Imported snippet ${label} has invalid revisions.`);
+    }
+    parsed.revisions = snippet.revisions
+      .filter((revision) => revision && typeof revision.text === 'string')
+      .map((revision) => ({ text: revision.text, date: readTimestamp(revision.date, label, 'revision date') }));
+  }
+  return parsed;
+}
+
+function readTimestamp(value, label, field) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'string' || !Number.isFinite(Date.parse(value))) {
+    throw new Error(`Imported snippet ${label} has an invalid ${field}.`);
+  }
+  return value;
+}
+
+function parseSource(source, label) {
+  if (typeof source !== 'object' || Array.isArray(source)) {
+    throw new Error(`Imported snippet ${label} has invalid source metadata.`);
+  }
+  const readText = (value) => (typeof value === 'string' ? value.trim() : '');
+  const readUrl = (value) => (typeof value === 'string' && /^https?:/.test(value) ? value : null);
+  return {
+    title: readText(source.title),
+    heading: readText(source.heading),
+    excerpt: readText(source.excerpt),
+    canonicalUrl: readUrl(source.canonicalUrl),
+    fragmentUrl: readUrl(source.fragmentUrl)
+  };
+}
+
+function parseSources(sources, label) {
+  if (!Array.isArray(sources)) {
+    throw new Error(`Imported snippet ${label} has invalid sources.`);
+  }
+  const parsed = [];
+  for (const source of sources) {
+    if (!source || typeof source.url !== 'string' || !/^https?:/.test(source.url)) {
+      throw new Error(`Imported snippet ${label} has a source without a web address.`);
+    }
+    if (parsed.some((entry) => entry.url === source.url)) {
+      continue;
+    }
+    const entry = { url: source.url, date: readTimestamp(source.date, label, 'source date') };
+    if (typeof source.title === 'string' && source.title.trim()) {
+      entry.title = source.title.trim();
+    }
+    if (typeof source.fragmentUrl === 'string' && /^https?:/.test(source.fragmentUrl)) {
+      entry.fragmentUrl = source.fragmentUrl;
+    }
+    parsed.push(entry);
+  }
+  return parsed;
+}
+
+function parseEmbeddings(embeddings) {
+  if (!embeddings || typeof embeddings !== 'object') {
+    throw new Error('Imported embeddings are invalid.');
+  }
+  const model = embeddings.model;
+  if (!model || typeof model.id !== 'string' || typeof model.signature !== 'string') {
+    throw new Error('Imported embeddings must describe their model.');
+  }
+  if (!Number.isInteger(model.dimension) || model.dimension <= 0) {
+    throw new Error('Imported embeddings require a positive dimension.');
+  }
+  if (embeddings.vectorEncoding !== VECTOR_ENCODING) {
+    throw new Error(`Imported embeddings use an unsupported encoding: ${embeddings.vectorEncoding}`);
+  }
+  if (!Array.isArray(embeddings.items)) {
+    throw new Error('Imported embeddings must be an array.');
+  }
+  return {
+    model: { id: model.id, dimension: model.dimension, signature: model.signature },
+    items: embeddings.items
+  };
+}
+
+export function getArchivedEmbeddings(archive, identity, snippets) {
+  if (!archive.embeddings || archive.embeddings.model.signature !== identity.signature) {
+    return [];
+  }
+  const textById = new Map(snippets.map((snippet) => [snippet.id, snippet.text]));
+  const results = [];
+  for (const item of archive.embeddings.items) {
+    if (!item || !textById.has(item.snippetId) || !Array.isArray(item.chunks) || item.chunks.length === 0) {
+      continue;
+    }
+    const length = textById.get(item.snippetId).length;
+    results.push({
+      snippetId: item.snippetId,
+      chunks: item.chunks.map((chunk) => {
+        if (!Number.isInteger(chunk.start) || !Number.isInteger(chunk.end) || chunk.end > length) {
+          throw new Error(`Archived embedding range is invalid for snippet ${item.snippetId}.`);
+        }
+        return { start: chunk.start, end: chunk.end, vector: decodeVector(chunk.vector, identity.dimension) };
+      })
+    });
+  }
+  return results;
+}
+
+export function mergeArchive(snippetsByArea, archive, targetArea) {
+  if (targetArea !== null && !ARCHIVE_AREAS.includes(targetArea)) {
+    throw new Error(`Unsupported storage area: ${targetArea}`);
+  }
+  const next = {};
+  const ids = new Set();
+  const texts = new Set();
+  const triggers = new Set();
+  for (const area of ARCHIVE_AREAS) {
+    next[area] = [...readAreaList(snippetsByArea, area)];
+    for (const snippet of next[area]) {
+      ids.add(snippet.id);
+      texts.add(getDuplicateKey(snippet.text));
+      if (snippet.trigger) {
+        triggers.add(snippet.trigger);
+      }
+    }
+  }
+  const added = [];
+  let skipped = 0;
+  for (const area of ARCHIVE_AREAS) {
+    for (const snippet of archive.areas[area]) {
+      const key = getDuplicateKey(snippet.text);
+      if ((snippet.id && ids.has(snippet.id)) || texts.has(key)) {
+        skipped += 1;
+        continue;
+      }
+      const imported = snippet.id ? { ...snippet } : { ...snippet, id: generateSnippetId() };
+      if (imported.trigger && triggers.has(imported.trigger)) {
+        delete imported.trigger;
+      } else if (imported.trigger) {
+        triggers.add(imported.trigger);
+      }
+      ids.add(imported.id);
+      texts.add(key);
+      const destination = targetArea || area;
+      next[destination].push(imported);
+      added.push({ area: destination, snippet: imported });
+    }
+  }
+  return { snippetsByArea: next, added, skipped };
+}
+
+function getDuplicateKey(text) {
+  return text.trim().replace(/\s+/g, ' ');
+}
+
+function generateSnippetId() {
+  if (!crypto || typeof crypto.randomUUID !== 'function') {
+    throw new Error('crypto.randomUUID is required to generate snippet IDs.');
+  }
+  return crypto.randomUUID();
+}
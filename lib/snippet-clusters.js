@@ -0,0 +1,185 @@
+import { tokenize } from './lexical-index.js';
+import { getSnippetVector } from './snippet-duplicates.js';
+
+export const RELATED_LIMIT = 8;
+
+const MAX_CLUSTERS = 12;
+const MAX_ITERATIONS = 25;
+const LABEL_KEYWORDS = 3;
+const STOP_WORDS = new Set([
+  'about', 'after', 'all', 'also', 'and', 'any', 'are', 'because', 'been', 'before', 'being', 'but', 'can',
+  'could', 'did', 'does', 'each', 'for', 'from', 'had', 'has', 'have', 'her', 'his', 'how', 'http', 'https',
+  'into', 'its', 'just', 'like', 'more', 'most', 'not', 'now', 'one', 'only', 'other', 'our', 'out', 'over',
+  'should', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'those', 'through', 'too', 'use', 'used', 'using', 'very', 'was', 'were', 'what', 'when', 'where', 'which',
+  'while', 'who', 'why', 'will', 'with', 'would', 'www', 'you', 'your'
+]);
+
+export function findRelatedSnippets(snippet, items, embeddings, limit = RELATED_LIMIT) {
+  const row = embeddings.get(snippet.id);
+  if (!row) {
+    throw new Error('This snippet has no embedding yet.');
+  }
+  const vector = normalizeVector(getSnippetVector(row.chunks));
+  const related = [];
+  for (const item of items) {
+    const other = embeddings.get(item.snippet.id);
+    if (item.snippet.id === snippet.id || !other) {
+      continue;
+    }
+    const score = getDot(vector, normalizeVector(getSnippetVector(other.chunks)));
+    related.push({ snippet: item.snippet, area: item.area, score });
+  }
+  related.sort((a, b) => b.score - a.score);
+  return related.slice(0, limit);
+}
+
+export function clusterSnippets(items, embeddings) {
+  const points = [];
+  const unclustered = [];
+  for (const item of items) {
+    const row = embeddings.get(item.snippet.id);
+    if (row) {
+      points.push({ item, vector: normalizeVector(getSnippetVector(row.chunks)) });
+    } else {
+      unclustered.push(item);
+    }
+  }
+  if (points.length === 0) {
+    return { clusters: [], unclustered };
+  }
+  const count = Math.min(MAX_CLUSTERS, Math.max(1, Math.round(Math.sqrt(points.length))));
+  let centroids = pickInitialCentroids(points, count);
+  let assignments = new Array(points.length).fill(-1);
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration += 1) {
+    let changed = false;
+    points.forEach((point, index) => {
+      const nearest = getNearestCentroid(point.vector, centroids);
+      if (assignments[index] !== nearest) {
+        assignments[index] = nearest;
+        changed = true;
+      }
+    });
+    if (!changed) {
+      break;
+    }
+    centroids = centroids.map((centroid, index) => {
+      const members = points.filter((point, position) => assignments[position] === index);
+      return members.length > 0 ? normalizeVector(getMeanVector(members.map((point) => point.vector))) : centroid;
+    });
+  }
+  const documentFrequencies = getDocumentFrequencies(points.map((point) => point.item.snippet.text));
+  const clusters = centroids
+    .map((centroid, index) => {
+      const members = points
+        .filter((point, position) => assignments[position] === index)
+        .map((point) => ({ ...point.item, score: getDot(centroid, point.vector) }))
+        .sort((a, b) => b.score - a.score);
+      const keywords = getClusterKeywords(members, documentFrequencies, points.length);
+      return { label: keywords.length > 0 ? keywords.join(' · ') : 'Miscellaneous', keywords, items: members };
+    })
+    .filter((cluster) => cluster.items.length > 0)
+    .sort((a, b) => b.items.length - a.items.length);
+  return { clusters, unclustered };
+}
+
+function pickInitialCentroids(points, count) {
+  const mean = normalizeVector(getMeanVector(points.map((point) => point.vector)));
+  let first = points[0];
+  for (const point of points) {
+    if (getDot(point.vector, mean) > getDot(first.vector, mean)) {
+      first = point;
+    }
+  }
+  const centroids = [first.vector];
+  const closest = points.map((point) => getDot(point.vector, first.vector));
+  while (centroids.length < count) {
+    let farthest = -1;
+    closest.forEach((similarity, index) => {
+      if (farthest === -1 || similarity < closest[farthest]) {
+        farthest = index;
+      }
+    });
+    if (closest[farthest] >= 1 - 1e-6) {
+      break;
+    }
+    const vector = points[farthest].vector;
+    centroids.push(vector);
+    points.forEach((point, index) => {
+      closest[index] = Math.max(closest[index], getDot(point.vector, vector));
+    });
+  }
+  return centroids;
+}
+
+function getNearestCentroid(vector, centroids) {
+  let nearest = 0;
+  let best = -Infinity;
+  centroids.forEach((centroid, index) => {
+    const similarity = getDot(vector, centroid);
+    if (similarity > best) {
+      best = similarity;
+      nearest = index;
+    }
+  });
+  return nearest;
+}
+
+function getClusterKeywords(members, documentFrequencies, total) {
+  const counts = new Map();
+  for (const member of members) {
+    for (const term of getKeywordTerms(member.snippet.text)) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+  }
+  return [...counts]
+    .filter(([, count]) => members.length === 1 || count > 1)
+    .map(([term, count]) => ({ term, score: (count / members.length) * Math.log(1 + total / documentFrequencies.get(term)) }))
+    .sort((a, b) => b.score - a.score || a.term.localeCompare(b.term))
+    .slice(0, LABEL_KEYWORDS)
+    .map((entry) => entry.term);
+}
+
+function getDocumentFrequencies(texts) {
+  const frequencies = new Map();
+  for (const text of texts) {
+    for (const term of getKeywordTerms(text)) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+  }
+  return frequencies;
+}
+
+function getKeywordTerms(text) {
+  return new Set(tokenize(text).filter((term) => term.length > 2 && !/^\d+$/.test(term) && !STOP_WORDS.has(term)));
+}
+
+function getMeanVector(vectors) {
+  const mean = new Float32Array(vectors[0].length);
+  for (const vector of vectors) {
+    for (let index = 0; index < mean.length; index += 1) {
+      mean[index] += vector[index] / vectors.length;
+    }
+  }
+  return mean;
+}
+
+function normalizeVector(vector) {
+  let norm = 0;
+  for (let index = 0; index < vector.length; index += 1) {
+    norm += vector[index] * vector[index];
+  }
+  if (norm === 0) {
+    throw new Error('Snippet vector must be non-zero.');
+  }
+  const scale = 1 / Math.sqrt(norm);
+  return vector.map((value) => value * scale);
+}
+
+function getDot(a, b) {
+  let dot = 0;
+  for (let index = 0; index < a.length; index += 1) {
+    dot += a[index] * b[index];
+  }
+  return dot;
+}
@@ -0,0 +1,182 @@
+import { getCosineSimilarity } from './snippet-search.js';
+import { normalizeTags } from './snippet-facets.js';
+
+export const DUPLICATE_THRESHOLD = 0.92;
+
+const MAX_MERGED_REVISIONS = 5;
+const MAX_EXTRA_SOURCES = 20;
+
+export function getSnippetVector(chunks) {
+  if (!Array.isArray(chunks) || chunks.length === 0) {
+    throw new Error('Snippet vector requires embedding chunks.');
+  }
+  const vector = new Float32Array(chunks[0].vector.length);
+  for (const chunk of chunks) {
+    if (chunk.vector.length !== vector.length) {
+      throw new Error('Snippet chunks have mismatched dimensions.');
+    }
+    for (let index = 0; index < vector.length; index += 1) {
+      vector[index] += chunk.vector[index] / chunks.length;
+    }
+  }
+  return vector;
+}
+
+export function getTextKey(text) {
+  return typeof text === 'string' ? text.trim().replace(/\s+/g, ' ') : '';
+}
+
+export function findNearDuplicates(snippet, vector, items, embeddings, threshold = DUPLICATE_THRESHOLD) {
+  const key = getTextKey(snippet.text);
+  const matches = [];
+  for (const item of items) {
+    if (item.snippet.id === snippet.id) {
+      continue;
+    }
+    let score = getTextKey(item.snippet.text) === key ? 1 : null;
+    const row = vector ? embeddings.get(item.snippet.id) : null;
+    if (score === null && row) {
+      score = getCosineSimilarity(vector, getSnippetVector(row.chunks));
+    }
+    if (score !== null && score >= threshold) {
+      matches.push({ snippet: item.snippet, area: item.area, score });
+    }
+  }
+  matches.sort((a, b) => b.score - a.score);
+  return matches;
+}
+
+export function clusterNearDuplicates(items, getVector, { threshold = DUPLICATE_THRESHOLD, getBuckets = () => [0] } = {}) {
+  const parents = items.map((item, index) => index);
+  const find = (index) => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+  const textOwners = new Map();
+  items.forEach((item, index) => {
+    const key = getTextKey(item.snippet.text);
+    if (textOwners.has(key)) {
+      parents[find(index)] = find(textOwners.get(key));
+    } else {
+      textOwners.set(key, index);
+    }
+  });
+  const vectors = items.map((item) => getVector(item));
+  const buckets = new Map();
+  vectors.forEach((vector, index) => {
+    if (!vector) {
+      return;
+    }
+    for (const bucket of getBuckets(vector)) {
+      if (!buckets.has(bucket)) {
+        buckets.set(bucket, []);
+      }
+      buckets.get(bucket).push(index);
+    }
+  });
+  for (const members of buckets.values()) {
+    for (let a = 0; a < members.length; a += 1) {
+      for (let b = a + 1; b < members.length; b += 1) {
+        const first = members[a];
+        const second = members[b];
+        if (find(first) !== find(second) && getCosineSimilarity(vectors[first], vectors[second]) >= threshold) {
+          parents[find(second)] = find(first);
+        }
+      }
+    }
+  }
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const root = find(index);
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(item);
+  });
+  return [...groups.values()]
+    .filter((group) => group.length > 1)
+    .map((group) => group.sort((a, b) => getSavedTime(b.snippet) - getSavedTime(a.snippet)))
+    .sort((a, b) => b.length - a.length);
+}
+
+export function getSourceEntry(snippet) {
+  const source = snippet.source && typeof snippet.source === 'object' ? snippet.source : {};
+  const entry = {
+    url: source.canonicalUrl || snippet.url,
+    date: snippet.date
+  };
+  if (source.title) {
+    entry.title = source.title;
+  }
+  if (source.fragmentUrl) {
+    entry.fragmentUrl = source.fragmentUrl;
+  }
+  return entry;
+}
+
+export function attachSource(snippet, entry) {
+  if (!entry || typeof entry.url !== 'string' || !/^https?:/.test(entry.url)) {
+    return snippet;
+  }
+  const own = getSourceEntry(snippet).url;
+  const sources = Array.isArray(snippet.sources) ? snippet.sources : [];
+  if (entry.url === own || sources.some((existing) => existing.url === entry.url)) {
+    return snippet;
+  }
+  return { ...snippet, sources: [...sources, entry].slice(-MAX_EXTRA_SOURCES) };
+}
+
+export function mergeSnippets(primary, others) {
+  let merged = { ...primary };
+  const discarded = [];
+  for (const other of others) {
+    if (getTextKey(other.text) !== getTextKey(merged.text)) {
+      if (other.text.length > merged.text.length) {
+        discarded.push({ text: merged.text, date: merged.updated || merged.date });
+        merged.text = other.text;
+        delete merged.html;
+        delete merged.code;
+        if (other.html) {
+          merged.html = other.html;
+        }
+        if (other.code) {
+          merged.code = other.code;
+        }
+      } else {
+        discarded.push({ text: other.text, date: other.updated || other.date });
+      }
+    }
+    const tags = normalizeTags([...(merged.tags || []), ...(other.tags || [])]);
+    if (tags.length > 0) {
+      merged.tags = tags;
+    }
+    if (!merged.collection && other.collection) {
+      merged.collection = other.collection;
+    }
+    if (!merged.trigger && other.trigger) {
+      merged.trigger = other.trigger;
+    }
+    if (other.pinned) {
+      merged.pinned = true;
+    }
+    merged = attachSource(merged, getSourceEntry(other));
+    for (const entry of other.sources || []) {
+      merged = attachSource(merged, entry);
+    }
+  }
+  if (merged.text !== primary.text) {
+    merged.updated = new Date().toISOString();
+  }
+  if (discarded.length > 0) {
+    merged.revisions = [...discarded, ...(primary.revisions || [])].slice(0, MAX_MERGED_REVISIONS);
+  }
+  return merged;
+}
+
+function getSavedTime(snippet) {
+  const time = Date.parse(snippet.updated || snippet.date);
+  return Number.isFinite(time) ? time : 0;
+}
@@ -0,0 +1,148 @@
+export const COLLECTIONS_KEY = 'snippet_collections_v1';
+export const EMPTY_FACETS = Object.freeze({
+  tag: '',
+  collection: '',
+  domain: '',
+  from: null,
+  to: null
+});
+
+const MAX_TAG_LENGTH = 40;
+const MAX_COLLECTION_LENGTH = 60;
+
+export function normalizeTag(value) {
+  if (typeof value !== 'string') {
+    throw new Error('Tag must be a string.');
+  }
+  const tag = value.trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase();
+  if (tag.length > MAX_TAG_LENGTH) {
+    throw new Error(`Tags must be ${MAX_TAG_LENGTH} characters or fewer.`);
+  }
+  return tag;
+}
+
+export function normalizeTags(values) {
+  const list = typeof values === 'string' ? values.split(',') : values;
+  if (!Array.isArray(list)) {
+    throw new Error('Tags must be a list or comma-separated text.');
+  }
+  const tags = [];
+  for (const value of list) {
+    const tag = normalizeTag(value);
+    if (tag.length > 0 && !tags.includes(tag)) {
+      tags.push(tag);
+    }
+  }
+  return tags;
+}
+
+export function normalizeCollectionName(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    throw new Error('Collection name must be a string.');
+  }
+  const name = value.trim().replace(/\s+/g, ' ');
+  if (name.length === 0) {
+    return null;
+  }
+  if (name.length > MAX_COLLECTION_LENGTH) {
+    throw new Error(`Collection names must be ${MAX_COLLECTION_LENGTH} characters or fewer.`);
+  }
+  return name;
+}
+
+export function getSnippetTags(snippet) {
+  if (snippet.tags === undefined) {
+    return [];
+  }
+  if (!Array.isArray(snippet.tags)) {
+    throw new Error('Snippet tags must be an array.');
+  }
+  return snippet.tags;
+}
+
+export function getSnippetCollection(snippet) {
+  if (snippet.collection === undefined || snippet.collection === null) {
+    return null;
+  }
+  if (typeof snippet.collection !== 'string') {
+    throw new Error('Snippet collection must be a string.');
+  }
+  return snippet.collection;
+}
+
+export function getSnippetDomain(snippet) {
+  const source = snippet.source && typeof snippet.source === 'object' ? snippet.source : null;
+  const url = source && source.canonicalUrl ? source.canonicalUrl : snippet.url;
+  if (typeof url !== 'string' || !/^https?:/.test(url)) {
+    return '';
+  }
+  return new URL(url).hostname.replace(/^www\./, '');
+}
+
+export function collectFacetValues(snippets, knownCollections) {
+  if (!Array.isArray(snippets)) {
+    throw new Error('Facet values require an array of snippets.');
+  }
+  const tags = new Map();
+  const collections = new Map();
+  const domains = new Map();
+  for (const name of knownCollections || []) {
+    collections.set(name, 0);
+  }
+  for (const snippet of snippets) {
+    for (const tag of getSnippetTags(snippet)) {
+      tags.set(tag, (tags.get(tag) || 0) + 1);
+    }
+    const collection = getSnippetCollection(snippet);
+    if (collection) {
+      collections.set(collection, (collections.get(collection) || 0) + 1);
+    }
+    const domain = getSnippetDomain(snippet);
+    if (domain) {
+      domains.set(domain, (domains.get(domain) || 0) + 1);
+    }
+  }
+  return {
+    tags: sortFacetCounts(tags),
+    collections: sortFacetCounts(collections),
+    domains: sortFacetCounts(domains)
+  };
+}
+
+function sortFacetCounts(counts) {
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+export function hasActiveFacets(facets) {
+  return Boolean(facets.tag || facets.collection || facets.domain || facets.from !== null || facets.to !== null);
+}
+
+export function matchesFacets(snippet, facets) {
+  if (facets.tag && !getSnippetTags(snippet).includes(facets.tag)) {
+    return false;
+  }
+  if (facets.collection && getSnippetCollection(snippet) !== facets.collection) {
+    return false;
+  }
+  if (facets.domain && getSnippetDomain(snippet) !== facets.domain) {
+    return false;
+  }
+  if (facets.from !== null || facets.to !== null) {
+    const timestamp = Date.parse(snippet.date);
+    if (!Number.isFinite(timestamp)) {
+      return false;
+    }
+    if (facets.from !== null && timestamp < facets.from) {
+      return false;
+    }
+    if (facets.to !== null && timestamp > facets.to) {
+      return false;
+    }
+  }
+  return true;
+}
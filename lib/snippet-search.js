@@ -0,0 +1,206 @@
+import { buildLexicalIndex, scoreLexical } from './lexical-index.js';
+import { getStorage } from './storage.js';
+import { hasSnippet, scoreSnippet, searchExact, searchIndex } from './vector-index.js';
+
+export const SEARCH_SETTINGS_KEY = 'search_settings_v1';
+export const SEARCH_MODES = Object.freeze(['hybrid', 'semantic', 'keyword']);
+export const DEFAULT_SEARCH_SETTINGS = Object.freeze({
+  mode: 'hybrid',
+  semanticWeight: 0.6
+});
+
+export async function loadSearchSettings() {
+  const result = await getStorage('local', [SEARCH_SETTINGS_KEY]);
+  const stored = result[SEARCH_SETTINGS_KEY];
+  if (stored === undefined) {
+    return { ...DEFAULT_SEARCH_SETTINGS };
+  }
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+    throw new Error('Search settings must be an object.');
+  }
+  if (!SEARCH_MODES.includes(stored.mode)) {
+    throw new Error(`Unsupported search mode: ${stored.mode}`);
+  }
+  if (!Number.isFinite(stored.semanticWeight) || stored.semanticWeight < 0 || stored.semanticWeight > 1) {
+    throw new Error('Search blend must be between 0 and 1.');
+  }
+  return { mode: stored.mode, semanticWeight: stored.semanticWeight };
+}
+
+export function rankSnippetItems(items, { query, queryVector, embeddings, settings, allowMissing }) {
+  if (!Array.isArray(items)) {
+    throw new Error('Search items must be an array.');
+  }
+  if (items.length === 0) {
+    return [];
+  }
+  if (!(embeddings instanceof Map)) {
+    throw new Error('Search requires a map of snippet embeddings.');
+  }
+  const semanticWeight = settings.mode === 'semantic' ? 1 : settings.semanticWeight;
+  const lexicalScores = semanticWeight < 1 ? getLexicalScores(items, query) : null;
+  const scored = [];
+
+  for (const item of items) {
+    const row = embeddings.get(item.snippet.id);
+    if (!row && allowMissing) {
+      if (lexicalScores) {
+        const lexicalScore = lexicalScores.get(getLexicalKey(item)) || 0;
+        scored.push({ snippet: item.snippet, area: item.area, score: (1 - semanticWeight) * lexicalScore, lexicalScore });
+      }
+      continue;
+    }
+    if (!row) {
+      throw new Error(`Missing embedding for snippet ${item.snippet.id}.`);
+    }
+    const { score: semanticScore, highlight } = getBestChunkMatch(queryVector, row.chunks);
+    if (!lexicalScores) {
+      scored.push({ snippet: item.snippet, area: item.area, score: semanticScore, semanticScore, highlight });
+      continue;
+    }
+    const lexicalScore = lexicalScores.get(getLexicalKey(item)) || 0;
+    const score = semanticWeight * Math.max(semanticScore, 0) + (1 - semanticWeight) * lexicalScore;
+    scored.push({ snippet: item.snippet, area: item.area, score, semanticScore, lexicalScore, highlight });
+  }
+
+  scored.sort((a, b) => b.score - a.score);
+  return scored;
+}
+
+export function rankWithVectorIndex(items, { query, queryVector, index, settings, allowMissing, limit, exact }) {
+  if (!Array.isArray(items)) {
+    throw new Error('Search items must be an array.');
+  }
+  if (items.length === 0) {
+    return [];
+  }
+  const semanticWeight = settings.mode === 'semantic' ? 1 : settings.semanticWeight;
+  const lexicalScores = semanticWeight < 1 ? getLexicalScores(items, query) : null;
+  const allowed = new Set();
+  for (const item of items) {
+    if (hasSnippet(index, item.snippet.id)) {
+      allowed.add(item.snippet.id);
+    } else if (!allowMissing) {
+      throw new Error(`Missing embedding for snippet ${item.snippet.id}.`);
+    }
+  }
+  const search = exact ? searchExact : searchIndex;
+  const matches = new Map();
+  for (const match of search(index, queryVector, limit, allowed)) {
+    matches.set(match.id, match);
+  }
+  const scored = [];
+  for (const item of items) {
+    const lexicalScore = lexicalScores ? lexicalScores.get(getLexicalKey(item)) || 0 : 0;
+    let match = matches.get(item.snippet.id);
+    if (!match && lexicalScore > 0 && allowed.has(item.snippet.id)) {
+      match = scoreSnippet(index, queryVector, item.snippet.id);
+    }
+    if (!match) {
+      if (lexicalScore > 0) {
+        scored.push({ snippet: item.snippet, area: item.area, score: (1 - semanticWeight) * lexicalScore, lexicalScore });
+      }
+      continue;
+    }
+    const { score: semanticScore, highlight } = match;
+    if (!lexicalScores) {
+      scored.push({ snippet: item.snippet, area: item.area, score: semanticScore, semanticScore, highlight });
+      continue;
+    }
+    const score = semanticWeight * Math.max(semanticScore, 0) + (1 - semanticWeight) * lexicalScore;
+    scored.push({ snippet: item.snippet, area: item.area, score, semanticScore, lexicalScore, highlight });
+  }
+  scored.sort((a, b) => b.score - a.score);
+  return scored.slice(0, limit);
+}
+
+export function rankByKeywords(items, query) {
+  if (!Array.isArray(items)) {
+    throw new Error('Search items must be an array.');
+  }
+  if (items.length === 0) {
+    return [];
+  }
+  const lexicalScores = getLexicalScores(items, query);
+  const scored = [];
+  for (const item of items) {
+    const lexicalScore = lexicalScores.get(getLexicalKey(item));
+    if (!lexicalScore) {
+      continue;
+    }
+    scored.push({ snippet: item.snippet, area: item.area, score: lexicalScore, lexicalScore });
+  }
+  scored.sort((a, b) => b.score - a.score);
+  return scored;
+}
+
+function getLexicalScores(items, query) {
+  const index = buildLexicalIndex(items.map((item) => ({
+    key: getLexicalKey(item),
+    text: item.snippet.text
+  })));
+  const rawScores = scoreLexical(index, query);
+  let maxScore = 0;
+  for (const score of rawScores.values()) {
+    maxScore = Math.max(maxScore, score);
+  }
+  const normalized = new Map();
+  if (maxScore === 0) {
+    return normalized;
+  }
+  for (const [key, score] of rawScores) {
+    normalized.set(key, score / maxScore);
+  }
+  return normalized;
+}
+
+function getLexicalKey(item) {
+  if (!item || !item.snippet || !item.snippet.id) {
+    throw new Error('Snippet ID is required for keyword search.');
+  }
+  if (typeof item.snippet.text !== 'string') {
+    throw new Error('Snippet text is required for keyword search.');
+  }
+  return `${item.area}:${item.snippet.id}`;
+}
+
+function getBestChunkMatch(queryVector, chunks) {
+  if (!Array.isArray(chunks) || chunks.length === 0) {
+    throw new Error('Snippet embedding has no chunks.');
+  }
+  let best = null;
+  for (const chunk of chunks) {
+    const score = getCosineSimilarity(queryVector, chunk.vector);
+    if (!best || score > best.score) {
+      best = { score, chunk };
+    }
+  }
+  const highlight = chunks.length > 1 ? { start: best.chunk.start, end: best.chunk.end } : null;
+  return { score: best.score, highlight };
+}
+
+export function getCosineSimilarity(a, b) {
+  if (!a || !b || typeof a.length !== 'number' || typeof b.length !== 'number') {
+    throw new Error('Cosine similarity requires vectors.');
+  }
+  if (a.length !== b.length) {
+    throw new Error('Cosine similarity requires vectors of equal length.');
+  }
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    const ai = a[i];
+    const bi = b[i];
+    if (!Number.isFinite(ai) || !Number.isFinite(bi)) {
+      throw new Error('Cosine similarity requires finite vector values.');
+    }
+    dot += ai * bi;
+    normA += ai * ai;
+    normB += bi * bi;
+  }
+  if (normA === 0 || normB === 0) {
+    throw new Error('Cosine similarity requires non-zero vectors.');
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
@@ -0,0 +1,454 @@
+import { getStorage, setStorage, removeStorage } from './storage.js';
+
+export const SNIPPET_AREAS = Object.freeze(['local', 'sync']);
+export const SYNC_INDEX_KEY = 'snippet_index_v1';
+export const SYNC_ITEM_PREFIX = 'snippet_v1:';
+export const TOMBSTONES_KEY = 'snippet_tombstones_v1';
+
+const SNIPPETS_KEY = 'snippets';
+const DEVICE_KEY = 'snippet_device_v1';
+const SYNC_INDEX_VERSION = 1;
+const EMPTY_STAMP = Object.freeze({ time: 0, device: '' });
+const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_TOMBSTONES = 80;
+const PENDING_CHANGE_TTL_MS = 5 * 60 * 1000;
+
+let devicePromise = null;
+let lastStampTime = 0;
+let pendingChanges = [];
+let watching = false;
+const listeners = new Set();
+
+export function getSyncItemKey(id) {
+  if (typeof id !== 'string' || id.length === 0) {
+    throw new Error('Synced snippets require an id.');
+  }
+  return `${SYNC_ITEM_PREFIX}${id}`;
+}
+
+export function isSnippetStorageChange(changes, areaName) {
+  if (changes[SNIPPETS_KEY] || changes[TOMBSTONES_KEY]) {
+    return true;
+  }
+  if (areaName !== 'sync') {
+    return false;
+  }
+  return Object.keys(changes).some((key) => key === SYNC_INDEX_KEY || key.startsWith(SYNC_ITEM_PREFIX));
+}
+
+export async function ensureSnippetStorage(area) {
+  assertArea(area);
+  await loadSnippets(area);
+}
+
+export async function loadSnippets(area) {
+  assertArea(area);
+  const stored = await readStoredArea(area);
+  const state = readAreaState(area, stored);
+  if (state.repaired) {
+    await writeAreaState(area, stored, state);
+  }
+  return state.snippets;
+}
+
+export async function updateSnippets(area, { put = [], remove = [] }) {
+  assertArea(area);
+  if (!Array.isArray(put) || !Array.isArray(remove)) {
+    throw new Error('Snippet changes must list snippets to put and ids to remove.');
+  }
+  const device = await getDeviceId();
+  const changes = [
+    ...put.map((snippet) => {
+      if (!snippet || typeof snippet !== 'object' || typeof snippet.id !== 'string' || snippet.id.length === 0) {
+        throw new Error('Snippet changes require snippets with ids.');
+      }
+      return { area, type: 'put', id: snippet.id, snippet: { ...snippet, stamp: createStamp(device) } };
+    }),
+    ...remove.map((id) => {
+      if (typeof id !== 'string' || id.length === 0) {
+        throw new Error('Snippet removals require ids.');
+      }
+      return { area, type: 'remove', id, stamp: createStamp(device) };
+    })
+  ];
+  if (changes.length === 0) {
+    return loadSnippets(area);
+  }
+  const stored = await readStoredArea(area);
+  const state = applyChanges(readAreaState(area, stored), changes);
+  if (area === 'sync') {
+    assertSyncCapacity(state.snippets, state.tombstones);
+  }
+  await writeAreaState(area, stored, state);
+  rememberChanges(changes);
+  return state.snippets;
+}
+
+export function watchSnippetStorage(listener) {
+  if (typeof listener !== 'function') {
+    throw new Error('Snippet storage listener must be a function.');
+  }
+  listeners.add(listener);
+  if (!watching) {
+    watching = true;
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (SNIPPET_AREAS.includes(areaName) && isSnippetStorageChange(changes, areaName)) {
+        void reconcileArea(areaName).catch((error) => {
+          console.error(error);
+        });
+      }
+    });
+  }
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+async function reconcileArea(area) {
+  const stored = await readStoredArea(area);
+  let state = readAreaState(area, stored);
+  const now = Date.now();
+  pendingChanges = pendingChanges.filter((change) => now - change.recorded < PENDING_CHANGE_TTL_MS);
+  const lost = pendingChanges.filter((change) => change.area === area && !isChangeApplied(state, change));
+  if (lost.length > 0 || state.repaired) {
+    state = applyChanges(state, lost);
+    await writeAreaState(area, stored, state);
+  }
+  for (const listener of listeners) {
+    listener(area, state.snippets);
+  }
+}
+
+function rememberChanges(changes) {
+  const recorded = Date.now();
+  pendingChanges = [
+    ...pendingChanges.filter((change) => recorded - change.recorded < PENDING_CHANGE_TTL_MS),
+    ...changes.map((change) => ({ ...change, recorded }))
+  ];
+}
+
+function isChangeApplied(state, change) {
+  const stamp = change.type === 'put' ? change.snippet.stamp : change.stamp;
+  const record = state.snippets.find((snippet) => snippet.id === change.id);
+  const tombstone = state.tombstones[change.id];
+  const latest = [record ? getStamp(record) : null, tombstone || null]
+    .filter(Boolean)
+    .reduce((best, candidate) => (compareStamps(candidate, best) > 0 ? candidate : best), EMPTY_STAMP);
+  return compareStamps(latest, stamp) >= 0;
+}
+
+function applyChanges(state, changes) {
+  const records = new Map(state.snippets.map((snippet) => [snippet.id, snippet]));
+  const tombstones = { ...state.tombstones };
+  for (const change of changes) {
+    const current = records.get(change.id);
+    const tombstone = tombstones[change.id];
+    if (change.type === 'put') {
+      const stamp = change.snippet.stamp;
+      if (current && compareStamps(getStamp(current), stamp) >= 0) {
+        continue;
+      }
+      if (tombstone && compareStamps(tombstone, stamp) >= 0) {
+        continue;
+      }
+      records.set(change.id, change.snippet);
+      delete tombstones[change.id];
+    } else {
+      if (tombstone && compareStamps(tombstone, change.stamp) >= 0) {
+        continue;
+      }
+      tombstones[change.id] = change.stamp;
+      if (current && compareStamps(getStamp(current), change.stamp) < 0) {
+        records.delete(change.id);
+      }
+    }
+  }
+  const order = state.snippets.map((snippet) => snippet.id);
+  for (const id of records.keys()) {
+    if (!order.includes(id)) {
+      order.push(id);
+    }
+  }
+  return {
+    snippets: order.filter((id) => records.has(id)).map((id) => records.get(id)),
+    tombstones: pruneTombstones(tombstones),
+    repaired: false
+  };
+}
+
+function readAreaState(area, stored) {
+  let repaired = false;
+  let records;
+  if (area === 'local') {
+    records = stored[SNIPPETS_KEY] === undefined ? [] : stored[SNIPPETS_KEY];
+    if (!Array.isArray(records)) {
+      throw new Error('Snippets storage must be an array.');
+    }
+    repaired = stored[SNIPPETS_KEY] === undefined;
+  } else {
+    records = readSyncRecords(stored);
+    if (stored[SNIPPETS_KEY] !== undefined) {
+      if (!Array.isArray(stored[SNIPPETS_KEY])) {
+        throw new Error('Snippets storage must be an array.');
+      }
+      records = [...records, ...stored[SNIPPETS_KEY]];
+      repaired = true;
+    }
+  }
+  const tombstones = readTombstones(stored);
+  const byId = new Map();
+  for (const record of records) {
+    if (!record || typeof record !== 'object') {
+      throw new Error('Snippet entry is invalid.');
+    }
+    let snippet = record;
+    if (typeof snippet.id !== 'string' || snippet.id.length === 0) {
+      snippet = { ...snippet, id: generateSnippetId() };
+      repaired = true;
+    }
+    const existing = byId.get(snippet.id);
+    if (existing) {
+      repaired = true;
+      if (compareStamps(getStamp(existing), getStamp(snippet)) >= 0) {
+        continue;
+      }
+    }
+    byId.set(snippet.id, snippet);
+  }
+  const snippets = [];
+  for (const snippet of byId.values()) {
+    const tombstone = tombstones[snippet.id];
+    if (tombstone && compareStamps(tombstone, getStamp(snippet)) >= 0) {
+      repaired = repaired || area === 'local' || stored[getSyncItemKey(snippet.id)] !== undefined;
+      continue;
+    }
+    snippets.push(snippet);
+  }
+  if (area === 'sync') {
+    const ids = snippets.map((snippet) => snippet.id);
+    repaired = repaired || JSON.stringify(readSyncIndex(stored).ids) !== JSON.stringify(ids);
+  }
+  return { snippets, tombstones, repaired };
+}
+
+function readSyncRecords(stored) {
+  const index = readSyncIndex(stored);
+  const position = new Map(index.ids.map((id, order) => [id, order]));
+  const records = [];
+  for (const [key, value] of Object.entries(stored)) {
+    if (!key.startsWith(SYNC_ITEM_PREFIX)) {
+      continue;
+    }
+    if (!value || typeof value !== 'object' || getSyncItemKey(value.id) !== key) {
+      throw new Error(`Synced snippet ${key.slice(SYNC_ITEM_PREFIX.length)} is invalid.`);
+    }
+    records.push(value);
+  }
+  return records.sort((a, b) => {
+    const left = position.has(a.id) ? position.get(a.id) : Infinity;
+    const right = position.has(b.id) ? position.get(b.id) : Infinity;
+    if (left !== right) {
+      return left - right;
+    }
+    return String(a.date).localeCompare(String(b.date));
+  });
+}
+
+function readSyncIndex(stored) {
+  const index = stored[SYNC_INDEX_KEY];
+  if (index === undefined) {
+    return { version: SYNC_INDEX_VERSION, ids: [] };
+  }
+  if (!index || typeof index !== 'object' || !Array.isArray(index.ids)) {
+    throw new Error('Synced snippet index is invalid.');
+  }
+  if (index.version !== SYNC_INDEX_VERSION) {
+    throw new Error(`Unsupported synced snippet index version: ${index.version}`);
+  }
+  return index;
+}
+
+function readTombstones(stored) {
+  const tombstones = stored[TOMBSTONES_KEY];
+  if (tombstones === undefined) {
+    return {};
+  }
+  if (!tombstones || typeof tombstones !== 'object' || Array.isArray(tombstones)) {
+    throw new Error('Snippet tombstones must be an object.');
+  }
+  return tombstones;
+}
+
+function pruneTombstones(tombstones) {
+  const cutoff = Date.now() - TOMBSTONE_TTL_MS;
+  const entries = Object.entries(tombstones)
+    .filter(([, stamp]) => stamp.time >= cutoff)
+    .sort((a, b) => compareStamps(b[1], a[1]))
+    .slice(0, MAX_TOMBSTONES);
+  return Object.fromEntries(entries);
+}
+
+async function readStoredArea(area) {
+  if (area === 'local') {
+    return getStorage('local', [SNIPPETS_KEY, TOMBSTONES_KEY]);
+  }
+  return getStorage('sync', null);
+}
+
+async function writeAreaState(area, stored, state) {
+  if (area === 'local') {
+    await setStorage('local', { [SNIPPETS_KEY]: state.snippets, [TOMBSTONES_KEY]: state.tombstones });
+    return;
+  }
+  const updates = {};
+  const ids = state.snippets.map((snippet) => snippet.id);
+  for (const snippet of state.snippets) {
+    const key = getSyncItemKey(snippet.id);
+    if (JSON.stringify(stored[key]) !== JSON.stringify(snippet)) {
+      updates[key] = snippet;
+    }
+  }
+  if (JSON.stringify(stored[SYNC_INDEX_KEY]) !== JSON.stringify({ version: SYNC_INDEX_VERSION, ids })) {
+    updates[SYNC_INDEX_KEY] = { version: SYNC_INDEX_VERSION, ids };
+  }
+  if (JSON.stringify(stored[TOMBSTONES_KEY] || {}) !== JSON.stringify(state.tombstones)) {
+    updates[TOMBSTONES_KEY] = state.tombstones;
+  }
+  const live = new Set(ids.map(getSyncItemKey));
+  const removed = Object.keys(stored).filter((key) => key.startsWith(SYNC_ITEM_PREFIX) && !live.has(key));
+  if (stored[SNIPPETS_KEY] !== undefined) {
+    removed.push(SNIPPETS_KEY);
+  }
+  if (Object.keys(updates).length > 0) {
+    await setStorage('sync', updates);
+  }
+  if (removed.length > 0) {
+    await removeStorage('sync', removed);
+  }
+}
+
+function assertArea(area) {
+  if (!SNIPPET_AREAS.includes(area)) {
+    throw new Error(`Unsupported storage area: ${area}`);
+  }
+}
+
+function getDeviceId() {
+  if (devicePromise) {
+    return devicePromise;
+  }
+  devicePromise = (async () => {
+    const result = await getStorage('local', [DEVICE_KEY]);
+    if (typeof result[DEVICE_KEY] === 'string' && result[DEVICE_KEY].length > 0) {
+      return result[DEVICE_KEY];
+    }
+    const device = generateSnippetId().slice(0, 8);
+    await setStorage('local', { [DEVICE_KEY]: device });
+    return device;
+  })();
+  devicePromise.catch(() => {
+    devicePromise = null;
+  });
+  return devicePromise;
+}
+
+function createStamp(device) {
+  lastStampTime = Math.max(Date.now(), lastStampTime + 1);
+  return { time: lastStampTime, device };
+}
+
+function getStamp(snippet) {
+  const stamp = snippet.stamp;
+  if (!stamp || typeof stamp !== 'object' || !Number.isFinite(stamp.time)) {
+    return EMPTY_STAMP;
+  }
+  return stamp;
+}
+
+export function compareStamps(a, b) {
+  if (a.time !== b.time) {
+    return a.time - b.time;
+  }
+  return String(a.device).localeCompare(String(b.device));
+}
+
+export function getSyncQuota() {
+  const sync = chrome.storage && chrome.storage.sync;
+  if (!sync) {
+    throw new Error('chrome.storage.sync is not available.');
+  }
+  const { QUOTA_BYTES, QUOTA_BYTES_PER_ITEM, MAX_ITEMS } = sync;
+  if (![QUOTA_BYTES, QUOTA_BYTES_PER_ITEM, MAX_ITEMS].every((value) => Number.isFinite(value) && value > 0)) {
+    throw new Error('chrome.storage.sync quotas are not available.');
+  }
+  return { totalBytes: QUOTA_BYTES, itemBytes: QUOTA_BYTES_PER_ITEM, maxItems: MAX_ITEMS };
+}
+
+function measureItem(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+export function getSyncCapacity(snippets, tombstones = {}) {
+  if (!Array.isArray(snippets)) {
+    throw new Error('Snippets storage must be an array.');
+  }
+  const quota = getSyncQuota();
+  const index = { version: SYNC_INDEX_VERSION, ids: snippets.map((snippet) => snippet.id) };
+  const indexBytes = measureItem(SYNC_INDEX_KEY, index);
+  let usedBytes = indexBytes + measureItem(TOMBSTONES_KEY, tombstones);
+  let largest = null;
+  for (const snippet of snippets) {
+    const bytes = measureItem(getSyncItemKey(snippet.id), snippet);
+    usedBytes += bytes;
+    if (!largest || bytes > largest.bytes) {
+      largest = { id: snippet.id, bytes };
+    }
+  }
+  return {
+    ...quota,
+    usedBytes,
+    remainingBytes: Math.max(quota.totalBytes - usedBytes, 0),
+    indexBytes,
+    largest,
+    items: snippets.length + 2
+  };
+}
+
+export function checkSyncCapacity(snippets, tombstones = {}) {
+  const capacity = getSyncCapacity(snippets, tombstones);
+  const problems = [];
+  for (const snippet of snippets) {
+    const bytes = measureItem(getSyncItemKey(snippet.id), snippet);
+    if (bytes > capacity.itemBytes) {
+      problems.push(`A snippet needs ${formatKB(bytes)} KB but each synced snippet is limited to ${formatKB(capacity.itemBytes)} KB.`);
+    }
+  }
+  if (capacity.indexBytes > capacity.itemBytes) {
+    problems.push(`The synced snippet index would need ${formatKB(capacity.indexBytes)} KB of its ${formatKB(capacity.itemBytes)} KB limit.`);
+  }
+  if (capacity.usedBytes > capacity.totalBytes) {
+    problems.push(`Synced snippets would need ${formatKB(capacity.usedBytes)} KB of the ${formatKB(capacity.totalBytes)} KB synced storage.`);
+  }
+  if (capacity.items > capacity.maxItems) {
+    problems.push(`Synced storage holds at most ${capacity.maxItems - 2} snippets.`);
+  }
+  return problems;
+}
+
+export function assertSyncCapacity(snippets, tombstones = {}) {
+  const problems = checkSyncCapacity(snippets, tombstones);
+  if (problems.length > 0) {
+    throw new Error(`${problems.join(' ')} Keep it in Local storage or shorten it.`);
+  }
+}
+
+export function formatKB(bytes) {
+  return (bytes / 1024).toFixed(1);
+}
+
+function generateSnippetId() {
+  if (!crypto || typeof crypto.randomUUID !== 'function') {
+    throw new Error('crypto.randomUUID is required to generate snippet IDs.');
+  }
+  return crypto.randomUUID();
+}
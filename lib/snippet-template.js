@@ -0,0 +1,61 @@
+export const TEMPLATE_BUILTINS = Object.freeze(['date', 'time', 'clipboard', 'page.title', 'page.url']);
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+const BUILTIN_LABELS = Object.freeze({
+  date: 'Date',
+  time: 'Time',
+  clipboard: 'Clipboard',
+  'page.title': 'Page title',
+  'page.url': 'Page URL'
+});
+
+export function getTemplateFields(snippet) {
+  if (!snippet || typeof snippet.text !== 'string' || snippet.code) {
+    return [];
+  }
+  const fields = [];
+  const seen = new Set();
+  for (const match of snippet.text.matchAll(PLACEHOLDER_PATTERN)) {
+    const name = match[1];
+    if (seen.has(name)) {
+      continue;
+    }
+    seen.add(name);
+    const builtin = TEMPLATE_BUILTINS.includes(name);
+    fields.push({ name, label: builtin ? BUILTIN_LABELS[name] : formatFieldLabel(name), builtin });
+  }
+  return fields;
+}
+
+export function isTemplateSnippet(snippet) {
+  return getTemplateFields(snippet).length > 0;
+}
+
+export function expandTemplate(text, values, now = new Date()) {
+  if (typeof text !== 'string') {
+    throw new Error('Template text must be a string.');
+  }
+  if (!values || typeof values !== 'object') {
+    throw new Error('Template values must be an object.');
+  }
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (typeof values[name] === 'string') {
+      return values[name];
+    }
+    if (name === 'date') {
+      return now.toLocaleDateString();
+    }
+    if (name === 'time') {
+      return now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    if (TEMPLATE_BUILTINS.includes(name)) {
+      return '';
+    }
+    throw new Error(`Template value for "${name}" is missing.`);
+  });
+}
+
+function formatFieldLabel(name) {
+  const words = name.replace(/[_.-]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').trim().toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
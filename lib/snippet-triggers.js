@@ -0,0 +1,114 @@
+import { getStorage, setStorage } from './storage.js';
+import { getTemplateFields } from './snippet-template.js';
+
+export const TRIGGERS_KEY = 'snippet_triggers_v1';
+export const EXPANDER_SETTINGS_KEY = 'expander_settings_v1';
+export const DEFAULT_EXPANDER_SETTINGS = Object.freeze({
+  enabled: true,
+  siteRules: {}
+});
+
+const TRIGGER_PATTERN = /^\S{2,32}$/;
+const SITE_PATTERN = /^(?:[a-z0-9-]+\.)*[a-z0-9-]+$/;
+
+export function normalizeTrigger(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    throw new Error('Trigger must be a string.');
+  }
+  const trigger = value.trim();
+  if (trigger.length === 0) {
+    return null;
+  }
+  if (!TRIGGER_PATTERN.test(trigger)) {
+    throw new Error('Trigger must be 2 to 32 characters with no spaces.');
+  }
+  return trigger;
+}
+
+export function findTriggerOwner(snippetsByArea, trigger, exceptId) {
+  if (!trigger) {
+    return null;
+  }
+  for (const [area, list] of Object.entries(snippetsByArea)) {
+    const snippet = list.find((entry) => entry && entry.trigger === trigger && entry.id !== exceptId);
+    if (snippet) {
+      return { area, snippet };
+    }
+  }
+  return null;
+}
+
+export function buildTriggerRegistry(snippetsByArea) {
+  const entries = [];
+  const seen = new Set();
+  for (const [area, list] of Object.entries(snippetsByArea)) {
+    if (!Array.isArray(list)) {
+      throw new Error(`Snippets for ${area} must be an array.`);
+    }
+    for (const snippet of list) {
+      if (!snippet || typeof snippet.trigger !== 'string' || seen.has(snippet.trigger)) {
+        continue;
+      }
+      seen.add(snippet.trigger);
+      entries.push({
+        trigger: snippet.trigger,
+        id: snippet.id,
+        area,
+        text: snippet.text,
+        template: getTemplateFields(snippet)
+      });
+    }
+  }
+  return { version: 1, entries };
+}
+
+export function normalizeSite(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  let site = value.trim().toLowerCase();
+  if (site.length === 0) {
+    return null;
+  }
+  if (/^[a-z][a-z0-9+.-]*:\/\//.test(site)) {
+    try {
+      site = new URL(site).hostname;
+    } catch (error) {
+      return null;
+    }
+  }
+  site = site.replace(/^\*\./, '').replace(/^www\./, '').replace(/\/.*$/, '');
+  return SITE_PATTERN.test(site) ? site : null;
+}
+
+export async function loadExpanderSettings() {
+  const result = await getStorage('local', [EXPANDER_SETTINGS_KEY]);
+  const stored = result[EXPANDER_SETTINGS_KEY];
+  if (stored === undefined) {
+    return { ...DEFAULT_EXPANDER_SETTINGS, siteRules: {} };
+  }
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+    throw new Error('Text expander settings must be an object.');
+  }
+  if (typeof stored.enabled !== 'boolean') {
+    throw new Error('Text expander setting "enabled" must be true or false.');
+  }
+  const siteRules = {};
+  for (const [site, enabled] of Object.entries(stored.siteRules || {})) {
+    const normalized = normalizeSite(site);
+    if (normalized && typeof enabled === 'boolean') {
+      siteRules[normalized] = enabled;
+    }
+  }
+  return { enabled: stored.enabled, siteRules };
+}
+
+export async function saveExpanderSettings(settings) {
+  if (!settings || typeof settings.enabled !== 'boolean') {
+    throw new Error('Text expander settings are invalid.');
+  }
+  await setStorage('local', { [EXPANDER_SETTINGS_KEY]: settings });
+}
@@ -0,0 +1,62 @@
+export function getStorage(area, keys) {
+  if (!chrome.storage || !chrome.storage[area]) {
+    throw new Error(`chrome.storage.${area} is not available.`);
+  }
+  return new Promise((resolve, reject) => {
+    chrome.storage[area].get(keys, (result) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(`Storage read failed: ${chrome.runtime.lastError.message}`));
+        return;
+      }
+      resolve(result);
+    });
+  });
+}
+
+export function setStorage(area, data) {
+  if (!chrome.storage || !chrome.storage[area]) {
+    throw new Error(`chrome.storage.${area} is not available.`);
+  }
+  return new Promise((resolve, reject) => {
+    chrome.storage[area].set(data, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(`Storage write failed: ${chrome.runtime.lastError.message}`));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+export function removeStorage(area, keys) {
+  if (!chrome.storage || !chrome.storage[area]) {
+    throw new Error(`chrome.storage.${area} is not available.`);
+  }
+  return new Promise((resolve, reject) => {
+    chrome.storage[area].remove(keys, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(`Storage remove failed: ${chrome.runtime.lastError.message}`));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+export function getBytesInUse(area, keys) {
+  if (!chrome.storage || !chrome.storage[area]) {
+    throw new Error(`chrome.storage.${area} is not available.`);
+  }
+  if (typeof chrome.storage[area].getBytesInUse !== 'function') {
+    throw new Error(`chrome.storage.${area}.getBytesInUse is not available.`);
+  }
+  return new Promise((resolve, reject) => {
+    chrome.storage[area].getBytesInUse(keys, (bytes) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(`Storage bytes failed: ${chrome.runtime.lastError.message}`));
+        return;
+      }
+      resolve(bytes);
+    });
+  });
+}
@@ -0,0 +1,210 @@
+const C_STYLE = Object.freeze({ lineComments: ['//'], blockComments: [['/*', '*/']], quotes: ['"', "'"] });
+const HASH_STYLE = Object.freeze({ lineComments: ['#'], blockComments: [], quotes: ['"', "'"] });
+
+const LANGUAGE_SPECS = Object.freeze({
+  javascript: {
+    ...C_STYLE,
+    quotes: ['"', "'", '`'],
+    keywords: 'async await break case catch class const continue debugger default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield'
+  },
+  typescript: {
+    ...C_STYLE,
+    quotes: ['"', "'", '`'],
+    keywords: 'abstract any as async await boolean break case catch class const continue declare default do else enum export extends false finally for from function if implements import in interface keyof let namespace never new null number of private protected public readonly return static string super switch this throw true try type typeof undefined unknown var void while'
+  },
+  python: {
+    ...HASH_STYLE,
+    quotes: ['"""', "'''", '"', "'"],
+    keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield'
+  },
+  bash: {
+    ...HASH_STYLE,
+    keywords: 'case do done echo elif else esac exit export fi for function if in local read return set shift then unset until while'
+  },
+  json: { lineComments: [], blockComments: [], quotes: ['"'], keywords: 'true false null' },
+  css: { lineComments: [], blockComments: [['/*', '*/']], quotes: ['"', "'"], keywords: 'important inherit initial none auto' },
+  sql: {
+    lineComments: ['--'],
+    blockComments: [['/*', '*/']],
+    quotes: ["'", '"'],
+    caseInsensitive: true,
+    keywords: 'add all alter and as asc between by case create delete desc distinct drop else end exists from group having in index inner insert into is join key left like limit not null on or order outer primary references right select set table then union unique update values view when where with'
+  },
+  java: {
+    ...C_STYLE,
+    keywords: 'abstract boolean break byte case catch char class const continue default do double else enum extends false final finally float for if implements import instanceof int interface long new null package private protected public return short static super switch synchronized this throw throws true try void volatile while'
+  },
+  go: {
+    ...C_STYLE,
+    quotes: ['"', "'", '`'],
+    keywords: 'break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var'
+  },
+  rust: {
+    ...C_STYLE,
+    keywords: 'as async await break const continue crate else enum extern false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while'
+  },
+  c: {
+    ...C_STYLE,
+    keywords: 'auto break case char const continue default do double else enum extern float for goto if include int long NULL register return short signed sizeof static struct switch typedef union unsigned void volatile while'
+  },
+  cpp: {
+    ...C_STYLE,
+    keywords: 'auto bool break case catch char class const constexpr continue default delete do double else enum explicit false float for friend if include inline int long namespace new nullptr operator private protected public return short signed sizeof static struct switch template this throw true try typedef typename union unsigned using virtual void volatile while'
+  },
+  csharp: {
+    ...C_STYLE,
+    keywords: 'abstract as async await base bool break case catch class const continue decimal default do double else enum false finally float for foreach if in int interface internal is namespace new null object out override private protected public readonly return sealed static string struct switch this throw true try using var virtual void while'
+  },
+  ruby: {
+    ...HASH_STYLE,
+    keywords: 'begin break case class def do else elsif end ensure false for if in module next nil not or puts redo require rescue retry return self super then true unless until when while yield'
+  },
+  php: {
+    lineComments: ['//', '#'],
+    blockComments: [['/*', '*/']],
+    quotes: ['"', "'"],
+    keywords: 'abstract array as break case catch class const continue default do echo else elseif extends false final foreach for function if implements interface namespace new null private protected public require return static switch this throw true try use while'
+  },
+  yaml: { ...HASH_STYLE, keywords: 'true false null yes no on off' },
+  kotlin: {
+    ...C_STYLE,
+    quotes: ['"""', '"', "'"],
+    keywords: 'as break class continue data do else false for fun if import in interface is null object override package private return sealed super this throw true try val var when while'
+  },
+  swift: {
+    ...C_STYLE,
+    keywords: 'as break case catch class continue default defer do else enum extension false for func guard if import in init let nil private protocol public return self static struct switch throw throws true try var where while'
+  }
+});
+
+const MARKUP_PATTERN = /(<!--[\s\S]*?-->)|(<\/?[A-Za-z][\w:-]*)|("[^"]*"|'[^']*')|([\w:-]+)(?==)|(\/?>)/g;
+const NUMBER_PATTERN = /^(?:0[xX][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)/;
+const WORD_PATTERN = /^[A-Za-z_$][\w$]*/;
+
+export function highlightCode(element, text, language) {
+  if (!element) {
+    throw new Error('Code element is required.');
+  }
+  if (typeof text !== 'string') {
+    throw new Error('Code text is required.');
+  }
+  element.textContent = '';
+  const tokens = language === 'html' ? tokenizeMarkup(text) : tokenizeCode(text, LANGUAGE_SPECS[language]);
+  for (const token of tokens) {
+    if (!token.type) {
+      element.append(token.text);
+      continue;
+    }
+    const span = document.createElement('span');
+    span.className = `tok-${token.type}`;
+    span.textContent = token.text;
+    element.appendChild(span);
+  }
+}
+
+function tokenizeCode(text, spec) {
+  if (!spec) {
+    return [{ type: null, text }];
+  }
+  const keywords = new Set(spec.keywords.split(' ').map((word) => (spec.caseInsensitive ? word.toLowerCase() : word)));
+  const tokens = [];
+  let plain = '';
+  let index = 0;
+  const push = (type, value) => {
+    if (plain) {
+      tokens.push({ type: null, text: plain });
+      plain = '';
+    }
+    tokens.push({ type, text: value });
+    index += value.length;
+  };
+  while (index < text.length) {
+    const rest = text.slice(index, index + 3);
+    const lineComment = spec.lineComments.find((marker) => text.startsWith(marker, index));
+    if (lineComment) {
+      const end = text.indexOf('\n', index);
+      push('comment', text.slice(index, end === -1 ? text.length : end));
+      continue;
+    }
+    const blockComment = spec.blockComments.find(([open]) => text.startsWith(open, index));
+    if (blockComment) {
+      const end = text.indexOf(blockComment[1], index + blockComment[0].length);
+      push('comment', text.slice(index, end === -1 ? text.length : end + blockComment[1].length));
+      continue;
+    }
+    const quote = spec.quotes.find((marker) => rest.startsWith(marker));
+    if (quote) {
+      push('string', readString(text, index, quote));
+      continue;
+    }
+    const previous = index > 0 ? text[index - 1] : '';
+    if (!/[\w$]/.test(previous)) {
+      const number = text.slice(index).match(NUMBER_PATTERN);
+      if (number) {
+        push('number', number[0]);
+        continue;
+      }
+      const word = text.slice(index).match(WORD_PATTERN);
+      if (word) {
+        const key = spec.caseInsensitive ? word[0].toLowerCase() : word[0];
+        if (keywords.has(key)) {
+          push('keyword', word[0]);
+        } else {
+          plain += word[0];
+          index += word[0].length;
+        }
+        continue;
+      }
+    }
+    plain += text[index];
+    index += 1;
+  }
+  if (plain) {
+    tokens.push({ type: null, text: plain });
+  }
+  return tokens;
+}
+
+function readString(text, start, quote) {
+  let index = start + quote.length;
+  while (index < text.length) {
+    if (text[index] === '\\') {
+      index += 2;
+      continue;
+    }
+    if (text.startsWith(quote, index)) {
+      return text.slice(start, index + quote.length);
+    }
+    if (quote.length === 1 && quote !== '`' && text[index] === '\n') {
+      return text.slice(start, index);
+    }
+    index += 1;
+  }
+  return text.slice(start);
+}
+
+function tokenizeMarkup(text) {
+  const tokens = [];
+  let last = 0;
+  for (const match of text.matchAll(MARKUP_PATTERN)) {
+    if (match.index > last) {
+      tokens.push({ type: null, text: text.slice(last, match.index) });
+    }
+    let type = 'punctuation';
+    if (match[1]) {
+      type = 'comment';
+    } else if (match[2]) {
+      type = 'keyword';
+    } else if (match[3]) {
+      type = 'string';
+    } else if (match[4]) {
+      type = 'attribute';
+    }
+    tokens.push({ type, text: match[0] });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) {
+    tokens.push({ type: null, text: text.slice(last) });
+  }
+  return tokens;
+}
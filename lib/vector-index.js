@@ -0,0 +1,297 @@
+const MIN_TRAINING_VECTORS = 256;
+const RETRAIN_GROWTH = 2;
+const MAX_TRAINING_SAMPLE = 1024;
+const TRAINING_ITERATIONS = 6;
+const DEFAULT_PROBE_RATIO = 0.15;
+const MIN_PROBES = 4;
+
+export function createVectorIndex(dimension) {
+  if (!Number.isInteger(dimension) || dimension <= 0) {
+    throw new Error('Vector index requires a positive dimension.');
+  }
+  return {
+    dimension,
+    nodes: new Map(),
+    snippets: new Map(),
+    nextNodeId: 0,
+    centroids: [],
+    lists: [],
+    trainedCount: 0
+  };
+}
+
+export function getIndexedCount(index) {
+  return index.snippets.size;
+}
+
+export function hasSnippet(index, snippetId) {
+  return index.snippets.has(snippetId);
+}
+
+export function isIndexTrained(index) {
+  return index.centroids.length > 0;
+}
+
+export function addToIndex(index, snippetId, chunks) {
+  if (!Array.isArray(chunks) || chunks.length === 0) {
+    throw new Error(`Snippet ${snippetId} has no vectors to index.`);
+  }
+  removeFromIndex(index, snippetId);
+  const nodeIds = [];
+  for (const chunk of chunks) {
+    const nodeId = index.nextNodeId;
+    index.nextNodeId += 1;
+    const node = {
+      snippetId,
+      start: chunk.start,
+      end: chunk.end,
+      chunkCount: chunks.length,
+      vector: normalizeVector(chunk.vector, index.dimension),
+      list: -1
+    };
+    index.nodes.set(nodeId, node);
+    assignToList(index, nodeId, node, chunk.list);
+    nodeIds.push(nodeId);
+  }
+  index.snippets.set(snippetId, nodeIds);
+}
+
+export function removeFromIndex(index, snippetId) {
+  const nodeIds = index.snippets.get(snippetId);
+  if (!nodeIds) {
+    return false;
+  }
+  for (const nodeId of nodeIds) {
+    const node = index.nodes.get(nodeId);
+    if (node.list !== -1) {
+      index.lists[node.list].delete(nodeId);
+    }
+    index.nodes.delete(nodeId);
+  }
+  index.snippets.delete(snippetId);
+  return true;
+}
+
+export function restoreIndex(index, centroids, trainedCount) {
+  if (!Array.isArray(centroids) || centroids.some((centroid) => centroid.length !== index.dimension)) {
+    throw new Error(`Vector index expects ${index.dimension}-dimensional centroids.`);
+  }
+  index.centroids = centroids.map((centroid) => Float32Array.from(centroid));
+  index.lists = centroids.map(() => new Set());
+  index.trainedCount = trainedCount;
+  for (const [nodeId, node] of index.nodes) {
+    assignToList(index, nodeId, node);
+  }
+}
+
+export function getNearestLists(index, vector, count) {
+  return index.centroids
+    .map((centroid, list) => ({ list, score: getDot(vector, centroid) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+    .map((entry) => entry.list);
+}
+
+export function getSnippetMean(index, snippetId) {
+  const nodeIds = index.snippets.get(snippetId);
+  if (!nodeIds) {
+    return null;
+  }
+  const mean = new Float32Array(index.dimension);
+  for (const nodeId of nodeIds) {
+    const { vector } = index.nodes.get(nodeId);
+    for (let position = 0; position < index.dimension; position += 1) {
+      mean[position] += vector[position];
+    }
+  }
+  return normalizeVector(mean, index.dimension);
+}
+
+export function trainIndex(index) {
+  const total = index.nodes.size;
+  if (total < MIN_TRAINING_VECTORS) {
+    index.centroids = [];
+    index.lists = [];
+    index.trainedCount = 0;
+    for (const node of index.nodes.values()) {
+      node.list = -1;
+    }
+    return false;
+  }
+  if (isIndexTrained(index) && total < index.trainedCount * RETRAIN_GROWTH) {
+    return false;
+  }
+  const nodes = [...index.nodes.values()];
+  const sampleStep = Math.max(1, total / MAX_TRAINING_SAMPLE);
+  const sample = [];
+  for (let position = 0; position < total; position += sampleStep) {
+    sample.push(nodes[Math.floor(position)]);
+  }
+  const listCount = Math.round(Math.sqrt(total));
+  const step = sample.length / listCount;
+  let centroids = Array.from({ length: listCount }, (value, position) => sample[Math.floor(position * step)].vector);
+  for (let iteration = 0; iteration < TRAINING_ITERATIONS; iteration += 1) {
+    const sums = centroids.map(() => new Float32Array(index.dimension));
+    const counts = new Array(centroids.length).fill(0);
+    for (const node of sample) {
+      const list = getNearestList(centroids, node.vector);
+      counts[list] += 1;
+      const sum = sums[list];
+      for (let position = 0; position < index.dimension; position += 1) {
+        sum[position] += node.vector[position];
+      }
+    }
+    centroids = centroids.map((centroid, list) => (counts[list] > 0 ? normalizeVector(sums[list], index.dimension) : centroid));
+  }
+  index.centroids = centroids;
+  index.lists = centroids.map(() => new Set());
+  index.trainedCount = total;
+  for (const [nodeId, node] of index.nodes) {
+    assignToList(index, nodeId, node);
+  }
+  return true;
+}
+
+export function searchIndex(index, queryVector, limit, allowed = null) {
+  if (!isIndexTrained(index)) {
+    return searchExact(index, queryVector, limit, allowed);
+  }
+  const vector = normalizeVector(queryVector, index.dimension);
+  const lists = index.centroids
+    .map((centroid, list) => ({ list, score: getDot(vector, centroid) }))
+    .sort((a, b) => b.score - a.score);
+  let probes = Math.max(MIN_PROBES, Math.ceil(lists.length * DEFAULT_PROBE_RATIO));
+  let probed = 0;
+  const candidates = [];
+  while (true) {
+    for (; probed < Math.min(probes, lists.length); probed += 1) {
+      for (const nodeId of index.lists[lists[probed].list]) {
+        candidates.push({ id: nodeId, score: getDot(vector, index.nodes.get(nodeId).vector) });
+      }
+    }
+    candidates.sort((a, b) => b.score - a.score);
+    const matches = collectMatches(index, candidates, limit, allowed);
+    if (matches.length >= limit || probed >= lists.length) {
+      return matches;
+    }
+    probes *= 2;
+  }
+}
+
+export function searchExact(index, queryVector, limit, allowed = null) {
+  const vector = normalizeVector(queryVector, index.dimension);
+  const candidates = [];
+  for (const [nodeId, node] of index.nodes) {
+    candidates.push({ id: nodeId, score: getDot(vector, node.vector) });
+  }
+  candidates.sort((a, b) => b.score - a.score);
+  return collectMatches(index, candidates, limit, allowed);
+}
+
+export function scoreSnippet(index, queryVector, snippetId) {
+  const nodeIds = index.snippets.get(snippetId);
+  if (!nodeIds) {
+    return null;
+  }
+  const vector = normalizeVector(queryVector, index.dimension);
+  const candidates = nodeIds
+    .map((nodeId) => ({ id: nodeId, score: getDot(vector, index.nodes.get(nodeId).vector) }))
+    .sort((a, b) => b.score - a.score);
+  return collectMatches(index, candidates, 1, null)[0];
+}
+
+export function measureRecall(index, limit, sampleSize) {
+  const nodes = [...index.nodes.values()];
+  if (nodes.length === 0) {
+    return 1;
+  }
+  const step = Math.max(1, Math.floor(nodes.length / sampleSize));
+  let found = 0;
+  let expected = 0;
+  for (let position = 0; position < nodes.length; position += step) {
+    const query = nodes[position].vector;
+    const approximate = new Set(searchIndex(index, query, limit).map((match) => match.id));
+    for (const match of searchExact(index, query, limit)) {
+      expected += 1;
+      if (approximate.has(match.id)) {
+        found += 1;
+      }
+    }
+  }
+  return expected === 0 ? 1 : found / expected;
+}
+
+function assignToList(index, nodeId, node, storedList = -1) {
+  if (!isIndexTrained(index)) {
+    node.list = -1;
+    return;
+  }
+  node.list = Number.isInteger(storedList) && storedList >= 0 && storedList < index.lists.length
+    ? storedList
+    : getNearestList(index.centroids, node.vector);
+  index.lists[node.list].add(nodeId);
+}
+
+function collectMatches(index, candidates, limit, allowed) {
+  const matches = [];
+  const seen = new Set();
+  for (const candidate of candidates) {
+    const node = index.nodes.get(candidate.id);
+    if (seen.has(node.snippetId) || (allowed && !allowed.has(node.snippetId))) {
+      continue;
+    }
+    seen.add(node.snippetId);
+    matches.push({
+      id: node.snippetId,
+      score: candidate.score,
+      highlight: node.chunkCount > 1 ? { start: node.start, end: node.end } : null
+    });
+    if (matches.length >= limit) {
+      break;
+    }
+  }
+  return matches;
+}
+
+export function getNearestList(centroids, vector) {
+  let nearest = 0;
+  let best = -Infinity;
+  centroids.forEach((centroid, list) => {
+    const score = getDot(vector, centroid);
+    if (score > best) {
+      best = score;
+      nearest = list;
+    }
+  });
+  return nearest;
+}
+
+function normalizeVector(vector, dimension) {
+  if (!vector || vector.length !== dimension) {
+    throw new Error(`Vector index expects ${dimension}-dimensional vectors.`);
+  }
+  const normalized = Float32Array.from(vector);
+  let norm = 0;
+  for (let position = 0; position < dimension; position += 1) {
+    if (!Number.isFinite(normalized[position])) {
+      throw new Error('Vector index requires finite vector values.');
+    }
+    norm += normalized[position] * normalized[position];
+  }
+  if (norm === 0) {
+    throw new Error('Vector index requires non-zero vectors.');
+  }
+  const scale = 1 / Math.sqrt(norm);
+  for (let position = 0; position < dimension; position += 1) {
+    normalized[position] *= scale;
+  }
+  return normalized;
+}
+
+function getDot(a, b) {
+  let dot = 0;
+  for (let position = 0; position < a.length; position += 1) {
+    dot += a[position] * b[position];
+  }
+  return dot;
+}
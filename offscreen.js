@@ -1,49 +1,199 @@
 import { pipeline, env } from './vendor/transformers.js';
+import { CHUNK_MAX_TOKENS, CHUNK_OVERLAP_TOKENS, getEmbeddingOptions } from './lib/model-config.js';
+import { getModelEntry, getOnnxFile } from './lib/model-registry.js';
+import { DEFAULT_BACKEND_SETTINGS, describeBackend, getBackendCandidates, normalizeBackendSettings } from './lib/model-backend.js';
+import { getRepairCommand, verifyModelFiles } from './lib/model-integrity.js';
+import { sanitizeHtml } from './lib/rich-text.js';
 
-const MODEL_ID = 'Xenova/paraphrase-multilingual-MiniLM-L12-v2';
-const EMBEDDING_OPTIONS = Object.freeze({ pooling: 'mean', normalize: true });
-const MODEL_FILES = [
-  'config.json',
-  'tokenizer.json',
-  'tokenizer_config.json',
-  'special_tokens_map.json',
-  'unigram.json',
-  'onnx/model.onnx'
-];
+const PIPELINE_BATCH_SIZE = 16;
 
-let embedderPromise = null;
+let embedderState = null;
+let runtimeThreads = null;
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!message || message.target !== 'offscreen') {
     return;
   }
-  if (message.action === 'embedText') {
-    void handleEmbedText(message, sendResponse);
+  if (message.action === 'embedBatch') {
+    void handleEmbedBatch(message, sendResponse);
     return true;
   }
+  if (message.action === 'loadModel') {
+    void handleLoadModel(message, sendResponse);
+    return true;
+  }
+  if (message.action === 'sanitizeHtml') {
+    handleSanitizeHtml(message, sendResponse);
+  }
 });
 
-async function handleEmbedText(message, sendResponse) {
+function handleSanitizeHtml(message, sendResponse) {
   try {
-    if (typeof message.text !== 'string' || message.text.trim().length === 0) {
-      throw new Error('Embedding requires non-empty text.');
+    sendResponse({ ok: true, html: sanitizeHtml(message.html) });
+  } catch (error) {
+    const messageText = error instanceof Error ? error.message : 'HTML sanitizing failed.';
+    sendResponse({ ok: false, error: messageText });
+  }
+}
+
+async function handleLoadModel(message, sendResponse) {
+  try {
+    const model = await getModelEntry(message.modelId);
+    const { backend, verified } = await getEmbedder(model, {
+      verified: message.verified && typeof message.verified === 'object' ? message.verified : {},
+      settings: normalizeBackendSettings(message.settings || DEFAULT_BACKEND_SETTINGS),
+      candidate: Number.isInteger(message.candidate) ? message.candidate : 0,
+      failures: Array.isArray(message.failures) ? message.failures : []
+    });
+    sendResponse({ ok: true, backend, verified });
+  } catch (error) {
+    const messageText = error instanceof Error ? error.message : 'Model failed to load.';
+    sendResponse({
+      ok: false,
+      error: messageText,
+      problems: error && Array.isArray(error.problems) ? error.problems : null,
+      verified: error && error.verified ? error.verified : null,
+      next: error && error.next ? error.next : null
+    });
+  }
+}
+
+async function handleEmbedBatch(message, sendResponse) {
+  try {
+    if (!Array.isArray(message.items) || message.items.length === 0) {
+      throw new Error('Embedding batch requires items.');
+    }
+    const model = await getModelEntry(message.modelId);
+    if (!embedderState || embedderState.modelId !== model.id) {
+      sendResponse({ ok: false, notLoaded: true, error: `${model.id} is not loaded in the offscreen document.` });
+      return;
     }
-    const embedder = await getEmbedder();
-    const output = await embedder(message.text, EMBEDDING_OPTIONS);
-    const vector = toVector(output);
-    sendResponse({ ok: true, vector: Array.from(vector) });
+    const { embedder, backend } = await embedderState.promise;
+    if (typeof message.dtype === 'string' && message.dtype !== backend.dtype) {
+      throw new Error(`The model is running as ${backend.dtype}, not ${message.dtype}. Embed again with the current backend.`);
+    }
+    const options = getEmbeddingOptions(model);
+    const results = [];
+    const inputs = [];
+    for (const item of message.items) {
+      try {
+        if (!item || typeof item.text !== 'string' || item.text.trim().length === 0) {
+          throw new Error('Embedding requires non-empty text.');
+        }
+        const spans = item.kind === 'chunks'
+          ? splitIntoChunks(item.text, embedder.tokenizer)
+          : [{ start: 0, end: item.text.length }];
+        const result = { ok: true, kind: item.kind, chunks: [] };
+        results.push(result);
+        for (const span of spans) {
+          inputs.push({ result, span, text: item.text.slice(span.start, span.end) });
+        }
+      } catch (error) {
+        results.push({ ok: false, error: error instanceof Error ? error.message : 'Embedding failed.' });
+      }
+    }
+    for (let offset = 0; offset < inputs.length; offset += PIPELINE_BATCH_SIZE) {
+      const batch = inputs.slice(offset, offset + PIPELINE_BATCH_SIZE);
+      const output = await embedder(batch.map((input) => input.text), options);
+      const vectors = toVectors(output, batch.length);
+      batch.forEach((input, position) => {
+        input.result.chunks.push({ start: input.span.start, end: input.span.end, vector: Array.from(vectors[position]) });
+      });
+    }
+    sendResponse({
+      ok: true,
+      results: results.map((result) => {
+        if (!result.ok) {
+          return result;
+        }
+        return result.kind === 'query'
+          ? { ok: true, vector: result.chunks[0].vector }
+          : { ok: true, chunks: result.chunks };
+      })
+    });
   } catch (error) {
     const messageText = error instanceof Error ? error.message : 'Embedding failed.';
     sendResponse({ ok: false, error: messageText });
   }
 }
 
-async function getEmbedder() {
-  if (embedderPromise) {
-    return embedderPromise;
+function splitIntoChunks(text, tokenizer) {
+  const spans = getTokenSpans(text, tokenizer);
+  if (spans.length === 0) {
+    throw new Error('Embedding requires non-empty text.');
+  }
+  const totalTokens = spans.reduce((sum, span) => sum + span.tokens, 0);
+  if (totalTokens <= CHUNK_MAX_TOKENS) {
+    return [{ start: 0, end: text.length }];
+  }
+  const chunks = [];
+  let startIndex = 0;
+  while (startIndex < spans.length) {
+    let endIndex = startIndex;
+    let tokens = 0;
+    while (endIndex < spans.length && (endIndex === startIndex || tokens + spans[endIndex].tokens <= CHUNK_MAX_TOKENS)) {
+      tokens += spans[endIndex].tokens;
+      endIndex += 1;
+    }
+    chunks.push({ start: spans[startIndex].start, end: spans[endIndex - 1].end });
+    if (endIndex >= spans.length) {
+      break;
+    }
+    let nextIndex = endIndex;
+    let overlap = 0;
+    while (nextIndex > startIndex + 1 && overlap + spans[nextIndex - 1].tokens <= CHUNK_OVERLAP_TOKENS) {
+      nextIndex -= 1;
+      overlap += spans[nextIndex].tokens;
+    }
+    startIndex = nextIndex;
   }
+  return chunks;
+}
+
+function getTokenSpans(text, tokenizer) {
+  if (!tokenizer || typeof tokenizer.encode !== 'function') {
+    throw new Error('Embedding tokenizer is unavailable.');
+  }
+  const spans = [];
+  for (const match of text.matchAll(/\S+/g)) {
+    const start = match.index;
+    const word = match[0];
+    const tokens = countTokens(tokenizer, word);
+    if (tokens <= CHUNK_MAX_TOKENS / 2) {
+      spans.push({ start, end: start + word.length, tokens });
+      continue;
+    }
+    const pieceLength = Math.max(1, Math.floor(word.length * (CHUNK_MAX_TOKENS / 2) / tokens));
+    for (let offset = 0; offset < word.length; offset += pieceLength) {
+      const piece = word.slice(offset, offset + pieceLength);
+      spans.push({
+        start: start + offset,
+        end: start + offset + piece.length,
+        tokens: countTokens(tokenizer, piece)
+      });
+    }
+  }
+  return spans;
+}
 
-  embedderPromise = (async () => {
+function countTokens(tokenizer, text) {
+  const ids = tokenizer.encode(text, { add_special_tokens: false });
+  if (!ids || typeof ids.length !== 'number') {
+    throw new Error('Tokenizer returned invalid token IDs.');
+  }
+  return Math.max(ids.length, 1);
+}
+
+async function getEmbedder(model, { verified = {}, settings = DEFAULT_BACKEND_SETTINGS, candidate = 0, failures = [] } = {}) {
+  if (embedderState && embedderState.modelId === model.id) {
+    return embedderState.promise;
+  }
+  if (embedderState) {
+    void disposeEmbedder(embedderState.promise);
+    embedderState = null;
+  }
+
+  const promise = (async () => {
     if (!env || typeof env !== 'object') {
       throw new Error('Transformers env is unavailable.');
     }
@@ -58,25 +208,108 @@ async function getEmbedder() {
     env.allowLocalModels = true;
     env.localModelPath = chrome.runtime.getURL('models/');
     env.backends.onnx.wasm.wasmPaths = chrome.runtime.getURL('vendor/');
-    env.backends.onnx.wasm.numThreads = 1;
     env.useBrowserCache = false;
 
-    await ensureModelAssets();
-    return pipeline('feature-extraction', MODEL_ID, { dtype: 'fp32', device: 'wasm' });
+    let verifiedFiles = await ensureModelAssets(model, verified);
+    let fp32Available = false;
+    if (model.dtype !== 'fp32') {
+      const fp32Files = model.files.filter((file) => !file.endsWith('.onnx')).concat(getOnnxFile('fp32'));
+      const fp32Check = await verifyModelFiles({ ...model, dtype: 'fp32', files: fp32Files }, verifiedFiles);
+      fp32Available = fp32Check.problems.length === 0;
+      verifiedFiles = fp32Check.verified;
+    }
+    const candidates = getBackendCandidates(model, settings, {
+      webgpu: await hasWebGpuAdapter(),
+      crossOriginIsolated: self.crossOriginIsolated === true,
+      hardwareConcurrency: navigator.hardwareConcurrency,
+      fp32Available
+    });
+    const backend = candidates[candidate];
+    if (!backend) {
+      const error = new Error(`No inference backend could load ${model.id}. ${failures.join(' ')}`);
+      error.verified = verifiedFiles;
+      throw error;
+    }
+    if (runtimeThreads !== null && runtimeThreads !== backend.threads) {
+      const error = new Error(`The ONNX runtime in this document already runs with ${runtimeThreads} threads.`);
+      error.verified = verifiedFiles;
+      error.next = { candidate, failures };
+      throw error;
+    }
+    runtimeThreads = backend.threads;
+    env.backends.onnx.wasm.numThreads = backend.threads;
+    try {
+      const embedder = await pipeline('feature-extraction', model.repo, {
+        dtype: backend.dtype,
+        device: backend.device
+      });
+      return {
+        embedder,
+        backend: { ...backend, fallback: failures.length > 0 ? failures.join(' ') : null },
+        verified: verifiedFiles
+      };
+    } catch (cause) {
+      const allFailures = failures.concat(`${describeBackend(backend)} failed: ${cause instanceof Error ? cause.message : cause}.`);
+      const error = new Error(`No inference backend could load ${model.id}. ${allFailures.join(' ')}`);
+      error.verified = verifiedFiles;
+      if (candidate + 1 < candidates.length) {
+        error.next = { candidate: candidate + 1, failures: allFailures };
+      }
+      throw error;
+    }
   })();
+  embedderState = { modelId: model.id, promise };
+  promise.catch(() => {
+    if (embedderState && embedderState.promise === promise) {
+      embedderState = null;
+    }
+  });
 
-  return embedderPromise;
+  return promise;
 }
 
-async function ensureModelAssets() {
-  const basePath = `models/${MODEL_ID}/`;
-  await Promise.all(MODEL_FILES.map(async (file) => {
-    const url = chrome.runtime.getURL(`${basePath}${file}`);
-    const response = await fetch(url, { method: 'HEAD' });
-    if (!response.ok) {
-      throw new Error(`Missing local model asset: ${file}`);
-    }
-  }));
+async function hasWebGpuAdapter() {
+  if (!navigator.gpu || typeof navigator.gpu.requestAdapter !== 'function') {
+    return false;
+  }
+  try {
+    return Boolean(await navigator.gpu.requestAdapter());
+  } catch (error) {
+    return false;
+  }
+}
+
+async function disposeEmbedder(promise) {
+  let embedder;
+  try {
+    ({ embedder } = await promise);
+  } catch (error) {
+    return;
+  }
+  if (embedder && typeof embedder.dispose === 'function') {
+    await embedder.dispose();
+  }
+}
+
+async function ensureModelAssets(model, verifiedFiles) {
+  const { problems, verified } = await verifyModelFiles(model, verifiedFiles);
+  if (problems.length > 0) {
+    const files = problems.map((problem) => `${problem.file} (${problem.problem})`).join(', ');
+    const error = new Error(`Model files for ${model.id} are missing or corrupted: ${files}. Run ${getRepairCommand(model)}`);
+    error.problems = problems;
+    error.verified = verified;
+    throw error;
+  }
+  return verified;
+}
+
+function toVectors(output, count) {
+  const data = toVector(output);
+  if (data.length === 0 || data.length % count !== 0) {
+    throw new Error('Embedding output does not match the batch size.');
+  }
+  const size = data.length / count;
+  return Array.from({ length: count }, (value, position) => data.subarray(position * size, (position + 1) * size));
 }
 
 function toVector(output) {
@@ -0,0 +1,326 @@
+import { getActiveModel, getMissingModelFiles, loadModelRegistry, saveActiveModelId } from '../lib/model-registry.js';
+import { describeBackend, loadBackendSettings, normalizeBackendSettings, saveBackendSettings } from '../lib/model-backend.js';
+import { getEmbeddingIdentity } from '../lib/model-config.js';
+import { loadLifecycleSettings, saveLifecycleSettings } from '../lib/model-lifecycle.js';
+import { getEmbeddingsForIdentity, putEmbedding } from '../lib/embedding-store.js';
+import { getStorage, setStorage } from '../lib/storage.js';
+import { COLLECTIONS_KEY } from '../lib/snippet-facets.js';
+import { loadSnippets, updateSnippets } from '../lib/snippet-store.js';
+import { loadExpanderSettings, normalizeSite, saveExpanderSettings } from '../lib/snippet-triggers.js';
+import {
+  ARCHIVE_AREAS,
+  createArchive,
+  formatArchiveCsv,
+  formatArchiveMarkdown,
+  getArchivedEmbeddings,
+  mergeArchive,
+  parseArchive
+} from '../lib/snippet-archive.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+  void initialize();
+});
+
+async function initialize() {
+  setStatus('', 'idle');
+  const importFile = getRequiredElement('import-file');
+  getRequiredElement('export-json').addEventListener('click', () => {
+    void exportVault('json');
+  });
+  getRequiredElement('export-markdown').addEventListener('click', () => {
+    void exportVault('markdown');
+  });
+  getRequiredElement('export-csv').addEventListener('click', () => {
+    void exportVault('csv');
+  });
+  getRequiredElement('import-json').addEventListener('click', () => {
+    importFile.click();
+  });
+  importFile.addEventListener('change', () => {
+    const file = importFile.files && importFile.files[0];
+    importFile.value = '';
+    if (file) {
+      void importVault(file);
+    }
+  });
+  getRequiredElement('expander-save').addEventListener('click', () => {
+    void saveExpanderForm();
+  });
+  getRequiredElement('lifecycle-save').addEventListener('click', () => {
+    void saveLifecycleForm();
+  });
+  try {
+    await renderModels();
+    await renderLifecycleSettings();
+    await renderExpanderSettings();
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Failed to load settings.';
+    setStatus(message, 'error');
+    throw error;
+  }
+}
+
+function getRequiredElement(id) {
+  const element = document.getElementById(id);
+  if (!element) {
+    throw new Error(`Missing required element: ${id}`);
+  }
+  return element;
+}
+
+function setStatus(message, state) {
+  const status = getRequiredElement('settings-status');
+  status.textContent = message;
+  status.dataset.state = state;
+}
+
+async function renderExpanderSettings() {
+  const settings = await loadExpanderSettings();
+  const rules = Object.entries(settings.siteRules);
+  getRequiredElement('expander-enabled').checked = settings.enabled;
+  getRequiredElement('expander-blocked-sites').value = rules.filter(([, enabled]) => !enabled).map(([site]) => site).join('\n');
+  getRequiredElement('expander-allowed-sites').value = rules.filter(([, enabled]) => enabled).map(([site]) => site).join('\n');
+}
+
+async function saveExpanderForm() {
+  try {
+    const siteRules = {};
+    const lists = [['expander-blocked-sites', false], ['expander-allowed-sites', true]];
+    for (const [id, enabled] of lists) {
+      for (const line of getRequiredElement(id).value.split('\n')) {
+        if (line.trim().length === 0) {
+          continue;
+        }
+        const site = normalizeSite(line);
+        if (!site) {
+          throw new Error(`"${line.trim()}" is not a valid site.`);
+        }
+        siteRules[site] = enabled;
+      }
+    }
+    await saveExpanderSettings({ enabled: getRequiredElement('expander-enabled').checked, siteRules });
+    await renderExpanderSettings();
+    setStatus('Text expander settings saved.', 'idle');
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Failed to save text expander settings.';
+    setStatus(message, 'error');
+    throw error;
+  }
+}
+
+async function renderLifecycleSettings() {
+  const settings = await loadLifecycleSettings();
+  getRequiredElement('lifecycle-idle-minutes').value = String(settings.idleMinutes);
+  getRequiredElement('lifecycle-prewarm').checked = settings.prewarm;
+  const backendSettings = await loadBackendSettings();
+  getRequiredElement('backend-device').value = backendSettings.device;
+  const threads = getRequiredElement('backend-threads');
+  threads.value = String(backendSettings.threads);
+  threads.disabled = !self.crossOriginIsolated;
+  threads.title = self.crossOriginIsolated ? '' : 'Threads need cross-origin isolation, which this browser did not enable.';
+  const active = await getActiveModel();
+  getRequiredElement('backend-current').textContent = active.backend
+    ? `${active.label} last ran on ${describeBackend(active.backend)}.`
+    : `${active.label} has not been loaded yet.`;
+}
+
+async function saveLifecycleForm() {
+  try {
+    const idleValue = getRequiredElement('lifecycle-idle-minutes').value.trim();
+    const threadsValue = getRequiredElement('backend-threads').value.trim();
+    const backendSettings = normalizeBackendSettings({
+      device: getRequiredElement('backend-device').value,
+      threads: threadsValue === '' ? Number.NaN : Number(threadsValue)
+    });
+    await saveLifecycleSettings({
+      idleMinutes: idleValue === '' ? Number.NaN : Number(idleValue),
+      prewarm: getRequiredElement('lifecycle-prewarm').checked
+    });
+    await saveBackendSettings(backendSettings);
+    await renderLifecycleSettings();
+    setStatus('Model settings saved.', 'idle');
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Failed to save model settings.';
+    setStatus(message, 'error');
+    throw error;
+  }
+}
+
+async function renderModels() {
+  const registry = await loadModelRegistry();
+  const active = await getActiveModel();
+  const cards = await Promise.all(registry.models.map(async (model) => {
+    const missing = await getMissingModelFiles(model);
+    return createModelCard(model, model.id === active.id, missing);
+  }));
+  const list = getRequiredElement('model-list');
+  list.textContent = '';
+  for (const card of cards) {
+    list.appendChild(card);
+  }
+}
+
+function createModelCard(model, isActive, missing) {
+  const card = document.createElement('label');
+  card.className = 'model-card';
+  card.classList.toggle('active', isActive);
+  card.classList.toggle('unavailable', missing.length > 0);
+
+  const input = document.createElement('input');
+  input.type = 'radio';
+  input.name = 'model';
+  input.value = model.id;
+  input.checked = isActive;
+  input.disabled = missing.length > 0 && !isActive;
+  input.addEventListener('change', () => {
+    void selectModel(model);
+  });
+
+  const title = document.createElement('div');
+  title.className = 'model-title';
+  title.textContent = model.label;
+
+  const description = document.createElement('div');
+  description.className = 'model-description';
+  description.textContent = model.description || '';
+
+  const meta = document.createElement('div');
+  meta.className = 'model-meta';
+  const memory = Number.isFinite(model.approxMemoryMB) ? ` · ~${model.approxMemoryMB} MB` : '';
+  meta.textContent = `${model.id} · ${model.dimension} dims · ${model.dtype}${memory}`;
+
+  const status = document.createElement('div');
+  status.className = 'model-status';
+  if (missing.length === 0) {
+    status.textContent = 'Installed';
+  } else {
+    status.classList.add('missing');
+    status.append(`Missing ${missing.join(', ')}. Run `);
+    const command = document.createElement('code');
+    command.textContent = `./scripts/setup-models.sh ${model.id}`;
+    status.append(command, ' and reload the extension.');
+  }
+
+  card.append(input, title, description, meta, status);
+  return card;
+}
+
+async function selectModel(model) {
+  try {
+    await saveActiveModelId(model.id);
+    await renderModels();
+    setStatus(`Using ${model.label}. Existing snippets are re-embedded in the background.`, 'idle');
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Failed to switch models.';
+    setStatus(message, 'error');
+    throw error;
+  }
+}
+
+async function loadVault() {
+  const snippetsByArea = {};
+  for (const area of ARCHIVE_AREAS) {
+    snippetsByArea[area] = await loadSnippets(area);
+  }
+  const result = await getStorage('local', [COLLECTIONS_KEY]);
+  const collections = result[COLLECTIONS_KEY] || [];
+  if (!Array.isArray(collections)) {
+    throw new Error('Collections storage must be an array.');
+  }
+  return { snippetsByArea, collections };
+}
+
+async function exportVault(format) {
+  try {
+    const { snippetsByArea, collections } = await loadVault();
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'markdown') {
+      downloadFile(`snippet-vault-${stamp}.md`, 'text/markdown', formatArchiveMarkdown(snippetsByArea));
+    } else if (format === 'csv') {
+      downloadFile(`snippet-vault-${stamp}.csv`, 'text/csv', formatArchiveCsv(snippetsByArea));
+    } else if (format === 'json') {
+      let embeddings = null;
+      if (getRequiredElement('export-embeddings').checked) {
+        const identity = getEmbeddingIdentity(await getActiveModel());
+        embeddings = { identity, rows: await getEmbeddingsForIdentity(identity) };
+      }
+      const archive = createArchive({ snippetsByArea, collections, embeddings });
+      downloadFile(`snippet-vault-${stamp}.json`, 'application/json', JSON.stringify(archive, null, 2));
+    } else {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    const total = ARCHIVE_AREAS.reduce((sum, area) => sum + snippetsByArea[area].length, 0);
+    setStatus(`Exported ${total} snippet(s).`, 'idle');
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Export failed.';
+    setStatus(message, 'error');
+    throw error;
+  }
+}
+
+function downloadFile(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => {
+    URL.revokeObjectURL(url);
+  }, 0);
+}
+
+async function importVault(file) {
+  try {
+    setStatus(`Importing ${file.name}...`, 'idle');
+    const archive = parseArchive(await file.text());
+    const targetArea = getRequiredElement('import-target').value || null;
+    const current = await loadVault();
+    const merged = mergeArchive(current.snippetsByArea, archive, targetArea);
+    if (merged.added.length === 0) {
+      setStatus(`Nothing to import: all ${merged.skipped} snippet(s) are already in the vault.`, 'idle');
+      return;
+    }
+    const identity = getEmbeddingIdentity(await getActiveModel());
+    const archived = getArchivedEmbeddings(archive, identity, merged.added.map((item) => item.snippet));
+    for (const area of ['sync', 'local']) {
+      const put = merged.added.filter((item) => item.area === area).map((item) => item.snippet);
+      if (put.length > 0) {
+        await updateSnippets(area, { put });
+      }
+    }
+    const collections = [...new Set([...current.collections, ...archive.collections])]
+      .sort((a, b) => a.localeCompare(b));
+    if (collections.length !== current.collections.length) {
+      await setStorage('local', { [COLLECTIONS_KEY]: collections });
+    }
+    for (const entry of archived) {
+      await putEmbedding(identity, entry.snippetId, entry.chunks);
+    }
+    await sendRuntimeMessage({ action: 'resumeReembedJob' });
+    const pending = merged.added.length - archived.length;
+    const skippedNote = merged.skipped > 0 ? `, skipped ${merged.skipped} duplicate(s)` : '';
+    const embeddingNote = pending > 0 ? ` Embedding ${pending} snippet(s) in the background.` : '';
+    setStatus(`Imported ${merged.added.length} snippet(s)${skippedNote}.${embeddingNote}`, 'idle');
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Import failed.';
+    setStatus(message, 'error');
+    throw error;
+  }
+}
+
+function sendRuntimeMessage(payload) {
+  if (!chrome.runtime || typeof chrome.runtime.sendMessage !== 'function') {
+    throw new Error('chrome.runtime.sendMessage is not available.');
+  }
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(payload, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(`Runtime message failed: ${chrome.runtime.lastError.message}`));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
@@ -1,14 +1,88 @@
-const EMBEDDINGS_KEY = 'snippet_embeddings_v1';
+import { getStorage, setStorage, getBytesInUse } from '../lib/storage.js';
+import { deleteEmbeddings, getEmbeddingVersions, getEmbeddingsForIdentity, pruneEmbeddings } from '../lib/embedding-store.js';
+import { getEmbeddingIdentity } from '../lib/model-config.js';
+import { EMBEDDING_PROGRESS_KEY } from '../lib/embedding-queue.js';
+import { MODEL_BACKEND_KEY, MODEL_SETTINGS_KEY, getActiveModel } from '../lib/model-registry.js';
+import { MODEL_STATUS_KEY, describeModelStatus, loadModelStatus } from '../lib/model-lifecycle.js';
+import { describeFileProblem, getRepairCommand } from '../lib/model-integrity.js';
+import {
+  COLLECTIONS_KEY,
+  EMPTY_FACETS,
+  collectFacetValues,
+  getSnippetCollection,
+  getSnippetTags,
+  hasActiveFacets,
+  matchesFacets,
+  normalizeCollectionName,
+  normalizeTags
+} from '../lib/snippet-facets.js';
+import {
+  checkSyncCapacity,
+  formatKB,
+  getSyncCapacity,
+  loadSnippets,
+  updateSnippets,
+  watchSnippetStorage
+} from '../lib/snippet-store.js';
+import { renderRichText } from '../lib/rich-text.js';
+import { formatFencedMarkdown, getLanguageLabel } from '../lib/code-language.js';
+import { highlightCode } from '../lib/syntax-highlight.js';
+import { expandTemplate, getTemplateFields } from '../lib/snippet-template.js';
+import { findTriggerOwner, normalizeTrigger } from '../lib/snippet-triggers.js';
+import { clusterNearDuplicates, mergeSnippets } from '../lib/snippet-duplicates.js';
+import { clusterSnippets, findRelatedSnippets } from '../lib/snippet-clusters.js';
+import { SEARCH_RESULT_LIMIT, findDuplicateGroups, rankInSearchIndex, syncSearchIndex } from '../lib/search-index-client.js';
+import {
+  cacheQueryVector,
+  clearRecentSearches,
+  getCachedQueryVector,
+  loadRecentSearches,
+  recordRecentSearch
+} from '../lib/search-history.js';
+import {
+  DEFAULT_SEARCH_SETTINGS,
+  SEARCH_MODES,
+  SEARCH_SETTINGS_KEY,
+  loadSearchSettings,
+  rankByKeywords,
+  rankSnippetItems
+} from '../lib/snippet-search.js';
+
+const REEMBED_JOB_KEY = 'reembed_job_v1';
 const STORAGE_LABELS = Object.freeze({
   local: 'Local',
   sync: 'Synced'
 });
+const HIGHLIGHT_CONTEXT_CHARS = 60;
+const QUERY_EMBEDDING_GROUP = 'popup-search';
+const SEARCH_DEBOUNCE_MS = 250;
+const MAX_SNIPPET_REVISIONS = 5;
+const RELATED_PREVIEW_CHARS = 60;
+const GROUPED_VIEW_BUTTONS = Object.freeze({
+  topics: ['show-topics', 'Topics'],
+  duplicates: ['find-duplicates', 'Find duplicates']
+});
 
 let snippetsByArea = { local: [], sync: [] };
 let activeArea = 'local';
 let addTargetArea = 'local';
-let embeddingsIndex = {};
+let embeddedSnippets = new Map();
+let embeddings = null;
 let searchToken = 0;
+let searchSettings = { ...DEFAULT_SEARCH_SETTINGS };
+let reembedJob = null;
+let embeddingIdentity = null;
+let activeModel = null;
+let modelStatus = null;
+let facets = { ...EMPTY_FACETS };
+let knownCollections = [];
+let groupedView = null;
+let relatedTarget = null;
+let showingEmbeddingProgress = false;
+let searchDebounceTimer = null;
+let recentSearches = [];
+let embeddingBackfill = null;
+const richSnippetIds = new Set();
 
 document.addEventListener('DOMContentLoaded', () => {
   void initialize();
@@ -27,13 +101,50 @@ async function initialize() {
   const addCancel = getRequiredElement('add-cancel');
   const addAreaLocal = getRequiredElement('add-area-local');
   const addAreaSync = getRequiredElement('add-area-sync');
+  const settingsButton = getRequiredElement('open-settings');
+  const facetClear = getRequiredElement('facet-clear');
+  const searchBlend = getRequiredElement('search-blend');
+  const duplicatesButton = getRequiredElement('find-duplicates');
+  const topicsButton = getRequiredElement('show-topics');
 
+  settingsButton.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
   clearAllButton.addEventListener('click', () => {
     void clearAllSnippets();
   });
+  duplicatesButton.addEventListener('click', () => {
+    void toggleGroupedView('duplicates');
+  });
+  topicsButton.addEventListener('click', () => {
+    void toggleGroupedView('topics');
+  });
   searchInput.addEventListener('input', () => {
+    handleSearchInput();
+  });
+  searchInput.addEventListener('change', () => {
+    void rememberSearch(searchInput.value);
+  });
+  for (const mode of SEARCH_MODES) {
+    getRequiredElement(`search-mode-${mode}`).addEventListener('click', () => {
+      void setSearchMode(mode);
+    });
+  }
+  searchBlend.addEventListener('input', () => {
+    searchSettings.semanticWeight = Number(searchBlend.value) / 100;
     void filterSnippets();
   });
+  searchBlend.addEventListener('change', () => {
+    void saveSearchSettings();
+  });
+  for (const id of ['facet-tag', 'facet-collection', 'facet-domain', 'facet-from', 'facet-to']) {
+    getRequiredElement(id).addEventListener('change', () => {
+      void applyFacetControls();
+    });
+  }
+  facetClear.addEventListener('click', () => {
+    void resetFacets();
+  });
   localTab.addEventListener('click', () => {
     void setActiveArea('local');
   });
@@ -62,9 +173,182 @@ async function initialize() {
     }
   });
 
+  searchSettings = await loadSearchSettings();
+  updateSearchControls();
+  recentSearches = await loadRecentSearches();
+  renderRecentSearches();
+  activeModel = await getActiveModel();
+  embeddingIdentity = getEmbeddingIdentity(activeModel);
+  modelStatus = await loadModelStatus();
+  renderModelStatus();
+  getRequiredElement('model-toggle').addEventListener('click', () => {
+    void toggleModelLoaded();
+  });
+  getRequiredElement('model-repair-copy').addEventListener('click', () => {
+    copyText(getRepairCommand(activeModel));
+    setStatus('Repair command copied.', 'idle');
+  });
+  getRequiredElement('model-repair-retry').addEventListener('click', () => {
+    void toggleModelLoaded({ recheck: true });
+  });
+  reembedJob = await loadReembedJob();
+  renderReembedJob();
+  chrome.storage.onChanged.addListener(handleStorageChanged);
+  watchSnippetStorage(handleSnippetsChanged);
+  await sendRuntimeMessage({ action: 'resumeReembedJob' });
   await loadAndDisplaySnippets();
 }
 
+function handleStorageChanged(changes, areaName) {
+  if (areaName !== 'local') {
+    return;
+  }
+  if (changes[MODEL_SETTINGS_KEY] || changes[MODEL_BACKEND_KEY]) {
+    void handleModelChanged();
+  }
+  if (changes[EMBEDDING_PROGRESS_KEY]) {
+    renderEmbeddingProgress(changes[EMBEDDING_PROGRESS_KEY].newValue);
+  }
+  if (changes[MODEL_STATUS_KEY]) {
+    modelStatus = changes[MODEL_STATUS_KEY].newValue || null;
+    renderModelStatus();
+  }
+  if (!changes[REEMBED_JOB_KEY]) {
+    return;
+  }
+  const wasRunning = isReembedRunning();
+  reembedJob = changes[REEMBED_JOB_KEY].newValue || null;
+  renderReembedJob();
+  if (wasRunning && !isReembedRunning()) {
+    void refreshEmbeddings();
+  }
+}
+
+async function loadReembedJob() {
+  const result = await getStorage('local', [REEMBED_JOB_KEY]);
+  const stored = result[REEMBED_JOB_KEY];
+  if (stored === undefined) {
+    return null;
+  }
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+    throw new Error('Re-embedding job state must be an object.');
+  }
+  return stored;
+}
+
+function renderEmbeddingProgress(progress) {
+  if (progress && progress.status === 'running') {
+    setStatus(`Embedding snippets: ${progress.completed} of ${progress.total}...`, 'loading');
+    showingEmbeddingProgress = true;
+    return;
+  }
+  if (showingEmbeddingProgress) {
+    setStatus('', 'idle');
+  }
+}
+
+function renderModelStatus() {
+  const description = describeModelStatus(modelStatus, activeModel);
+  const panel = getRequiredElement('model-panel');
+  panel.dataset.state = description.state;
+  getRequiredElement('model-status-label').textContent = activeModel.label;
+  getRequiredElement('model-status-text').textContent = description.text;
+  const note = getRequiredElement('model-status-note');
+  note.textContent = description.note;
+  note.hidden = description.note.length === 0;
+  const toggle = getRequiredElement('model-toggle');
+  toggle.textContent = description.state === 'ready' ? 'Unload' : 'Load';
+  toggle.hidden = description.state === 'not-installed' || description.state === 'corrupted';
+  toggle.disabled = description.state === 'loading';
+  renderModelRepair(description.state);
+}
+
+function renderModelRepair(state) {
+  const panel = getRequiredElement('model-repair');
+  if (state !== 'not-installed' && state !== 'corrupted') {
+    panel.hidden = true;
+    return;
+  }
+  panel.hidden = false;
+  getRequiredElement('model-repair-lead').textContent = state === 'not-installed'
+    ? `${activeModel.label} is not installed, so search falls back to keywords. Missing files:`
+    : `Some files of ${activeModel.label} failed verification, so the model will not load and search falls back to keywords:`;
+  const list = getRequiredElement('model-repair-files');
+  list.textContent = '';
+  const problems = Array.isArray(modelStatus.problems) ? modelStatus.problems : [];
+  for (const problem of problems) {
+    const item = document.createElement('li');
+    item.textContent = describeFileProblem(problem);
+    list.appendChild(item);
+  }
+  if (problems.length === 0 && modelStatus.error) {
+    const item = document.createElement('li');
+    item.textContent = modelStatus.error;
+    list.appendChild(item);
+  }
+  getRequiredElement('model-repair-command').textContent = getRepairCommand(activeModel);
+}
+
+async function toggleModelLoaded({ recheck = false } = {}) {
+  const unloading = !recheck && describeModelStatus(modelStatus, activeModel).state === 'ready';
+  const toggle = getRequiredElement('model-toggle');
+  toggle.disabled = true;
+  getRequiredElement('model-repair-retry').disabled = true;
+  try {
+    const response = await sendRuntimeMessage(unloading ? { action: 'unloadModel' } : { action: 'loadModel', recheck });
+    if (!response || response.ok !== true) {
+      const message = response && response.error ? response.error : 'Model update failed.';
+      throw new Error(message);
+    }
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Model update failed.';
+    setStatus(message, 'error');
+    throw error;
+  } finally {
+    getRequiredElement('model-repair-retry').disabled = false;
+    renderModelStatus();
+  }
+}
+
+function isReembedRunning() {
+  return Boolean(reembedJob) && reembedJob.status === 'running';
+}
+
+function renderReembedJob() {
+  const panel = getRequiredElement('reembed-panel');
+  if (!reembedJob || reembedJob.status === 'done') {
+    panel.hidden = true;
+    return;
+  }
+  if (!Number.isInteger(reembedJob.total) || !Number.isInteger(reembedJob.completed)) {
+    throw new Error('Re-embedding job progress is invalid.');
+  }
+  panel.hidden = false;
+  panel.dataset.state = reembedJob.status;
+  getRequiredElement('reembed-count').textContent = `${reembedJob.completed} / ${reembedJob.total}`;
+  const bar = getRequiredElement('reembed-bar');
+  bar.max = Math.max(reembedJob.total, 1);
+  bar.value = reembedJob.completed;
+  getRequiredElement('reembed-note').textContent = reembedJob.status === 'error'
+    ? `Paused: ${reembedJob.error || 'Re-embedding failed.'} It resumes the next time the popup opens.`
+    : `Updating vectors for ${reembedJob.modelId}. Search covers finished snippets until this completes.`;
+}
+
+async function handleModelChanged() {
+  activeModel = await getActiveModel();
+  embeddingIdentity = getEmbeddingIdentity(activeModel);
+  embeddingBackfill = null;
+  renderModelStatus();
+  await refreshEmbeddings();
+}
+
+async function refreshEmbeddings() {
+  await reloadEmbeddedSnippets();
+  if (getRequiredElement('search-input').value.trim().length > 0) {
+    await filterSnippets();
+  }
+}
+
 function getRequiredElement(id) {
   const element = document.getElementById(id);
   if (!element) {
@@ -74,72 +358,70 @@ function getRequiredElement(id) {
 }
 
 function setStatus(message, state) {
+  showingEmbeddingProgress = false;
   const status = getRequiredElement('search-status');
   status.textContent = message;
   status.dataset.state = state;
 }
 
-function getStorage(area, keys) {
-  if (!chrome.storage || !chrome.storage[area]) {
-    throw new Error(`chrome.storage.${area} is not available.`);
-  }
-  return new Promise((resolve, reject) => {
-    chrome.storage[area].get(keys, (result) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(`Storage read failed: ${chrome.runtime.lastError.message}`));
-        return;
-      }
-      resolve(result);
-    });
-  });
+async function saveSearchSettings() {
+  await setStorage('local', { [SEARCH_SETTINGS_KEY]: searchSettings });
 }
 
-function setStorage(area, data) {
-  if (!chrome.storage || !chrome.storage[area]) {
-    throw new Error(`chrome.storage.${area} is not available.`);
-  }
-  return new Promise((resolve, reject) => {
-    chrome.storage[area].set(data, () => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(`Storage write failed: ${chrome.runtime.lastError.message}`));
-        return;
-      }
-      resolve();
-    });
-  });
+async function setSearchMode(mode) {
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Unsupported search mode: ${mode}`);
+  }
+  searchSettings.mode = mode;
+  updateSearchControls();
+  await saveSearchSettings();
+  await filterSnippets();
 }
 
-function getBytesInUse(area, keys) {
-  if (!chrome.storage || !chrome.storage[area]) {
-    throw new Error(`chrome.storage.${area} is not available.`);
-  }
-  if (typeof chrome.storage[area].getBytesInUse !== 'function') {
-    throw new Error(`chrome.storage.${area}.getBytesInUse is not available.`);
-  }
-  return new Promise((resolve, reject) => {
-    chrome.storage[area].getBytesInUse(keys, (bytes) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(`Storage bytes failed: ${chrome.runtime.lastError.message}`));
-        return;
-      }
-      resolve(bytes);
-    });
-  });
+function updateSearchControls() {
+  for (const mode of SEARCH_MODES) {
+    getRequiredElement(`search-mode-${mode}`).classList.toggle('active', mode === searchSettings.mode);
+  }
+  getRequiredElement('search-blend-row').hidden = searchSettings.mode !== 'hybrid';
+  getRequiredElement('search-blend').value = `${Math.round(searchSettings.semanticWeight * 100)}`;
+  const placeholders = {
+    hybrid: 'Search by meaning or exact words...',
+    semantic: 'Type to rank by meaning...',
+    keyword: 'Search exact words, codes or names...'
+  };
+  getRequiredElement('search-input').placeholder = placeholders[searchSettings.mode];
 }
 
 async function loadAndDisplaySnippets() {
   snippetsByArea.local = await loadSnippetsForArea('local');
   snippetsByArea.sync = await loadSnippetsForArea('sync');
-  await ensureSnippetIds('local');
-  await ensureSnippetIds('sync');
+  knownCollections = await loadCollections();
 
-  embeddingsIndex = await loadEmbeddingsIndex();
-  const pruned = pruneEmbeddingsIndex();
-  if (pruned) {
-    await saveEmbeddingsIndex();
-  }
+  await reloadEmbeddedSnippets();
+  await pruneStoredEmbeddings();
 
   await setActiveArea(activeArea);
+  void refreshSearchIndex();
+}
+
+async function refreshSearchIndex() {
+  try {
+    await syncSearchIndex(embeddingIdentity, snippetsByArea);
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+async function reloadEmbeddedSnippets() {
+  embeddedSnippets = await getEmbeddingVersions(embeddingIdentity);
+  embeddings = null;
+}
+
+async function loadEmbeddings() {
+  if (!embeddings) {
+    embeddings = await getEmbeddingsForIdentity(embeddingIdentity);
+  }
+  return embeddings;
 }
 
 function getAreaLabel(area) {
@@ -166,7 +448,9 @@ function getSortedSnippets(area) {
   if (!Array.isArray(list)) {
     throw new Error('Snippets storage must be an array.');
   }
-  return [...list].sort((a, b) => getSnippetTimestamp(b) - getSnippetTimestamp(a));
+  return list
+    .filter((snippet) => matchesFacets(snippet, facets))
+    .sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) || getSnippetTimestamp(b) - getSnippetTimestamp(a));
 }
 
 function getSnippetTimestamp(snippet) {
@@ -203,53 +487,138 @@ function getAllSnippetItems() {
   return items;
 }
 
-async function loadSnippetsForArea(area) {
-  if (!STORAGE_LABELS[area]) {
-    throw new Error(`Unsupported storage area: ${area}`);
+function getFilteredSnippetItems() {
+  return getAllSnippetItems().filter((item) => matchesFacets(item.snippet, facets));
+}
+
+async function loadCollections() {
+  const result = await getStorage('local', [COLLECTIONS_KEY]);
+  const stored = result[COLLECTIONS_KEY];
+  if (stored === undefined) {
+    return [];
   }
-  const result = await getStorage(area, ['snippets']);
-  if (result.snippets === undefined) {
-    throw new Error(`Snippets storage is missing for ${area}.`);
+  if (!Array.isArray(stored)) {
+    throw new Error('Collections storage must be an array.');
   }
-  if (!Array.isArray(result.snippets)) {
-    throw new Error('Snippets storage must be an array.');
+  return stored;
+}
+
+async function registerCollection(name) {
+  if (!name || knownCollections.includes(name)) {
+    return;
   }
-  return result.snippets;
+  knownCollections = [...knownCollections, name].sort((a, b) => a.localeCompare(b));
+  await setStorage('local', { [COLLECTIONS_KEY]: knownCollections });
 }
 
-async function saveSnippetsForArea(area, snippets) {
+function updateFacetOptions() {
+  const values = collectFacetValues(getAllSnippetItems().map((item) => item.snippet), knownCollections);
+  fillFacetSelect('facet-tag', 'All tags', values.tags, (value) => `#${value}`);
+  fillFacetSelect('facet-collection', 'All collections', values.collections, (value) => value);
+  fillFacetSelect('facet-domain', 'All sources', values.domains, (value) => value);
+  const datalist = getRequiredElement('collection-options');
+  datalist.textContent = '';
+  for (const { value } of values.collections) {
+    const option = document.createElement('option');
+    option.value = value;
+    datalist.appendChild(option);
+  }
+  getRequiredElement('facet-clear').disabled = !hasActiveFacets(facets);
+}
+
+function fillFacetSelect(id, allLabel, entries, formatLabel) {
+  const select = getRequiredElement(id);
+  const selected = select.value;
+  select.textContent = '';
+  const allOption = document.createElement('option');
+  allOption.value = '';
+  allOption.textContent = allLabel;
+  select.appendChild(allOption);
+  for (const { value, count } of entries) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = `${formatLabel(value)} (${count})`;
+    select.appendChild(option);
+  }
+  select.value = entries.some((entry) => entry.value === selected) ? selected : '';
+}
+
+function readDateInput(id, endOfDay) {
+  const value = getRequiredElement(id).value;
+  if (!value) {
+    return null;
+  }
+  const timestamp = Date.parse(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`);
+  if (!Number.isFinite(timestamp)) {
+    throw new Error('Date filter is invalid.');
+  }
+  return timestamp;
+}
+
+async function applyFacetControls() {
+  facets = {
+    tag: getRequiredElement('facet-tag').value,
+    collection: getRequiredElement('facet-collection').value,
+    domain: getRequiredElement('facet-domain').value,
+    from: readDateInput('facet-from', false),
+    to: readDateInput('facet-to', true)
+  };
+  getRequiredElement('facet-clear').disabled = !hasActiveFacets(facets);
+  await filterSnippets();
+}
+
+async function resetFacets() {
+  for (const id of ['facet-tag', 'facet-collection', 'facet-domain', 'facet-from', 'facet-to']) {
+    getRequiredElement(id).value = '';
+  }
+  await applyFacetControls();
+}
+
+async function refreshCurrentView() {
+  updateTabCounts();
+  updateFacetOptions();
+  if (groupedView || getRequiredElement('search-input').value.trim().length > 0) {
+    await filterSnippets();
+    return;
+  }
+  await updateDisplay();
+}
+
+async function loadSnippetsForArea(area) {
   if (!STORAGE_LABELS[area]) {
     throw new Error(`Unsupported storage area: ${area}`);
   }
-  if (!Array.isArray(snippets)) {
-    throw new Error('Snippets storage must be an array.');
-  }
-  await setStorage(area, { snippets });
+  return loadSnippets(area);
 }
 
-async function ensureSnippetIds(area) {
+async function applySnippetChanges(area, changes) {
   if (!STORAGE_LABELS[area]) {
     throw new Error(`Unsupported storage area: ${area}`);
   }
-  let updated = false;
-  const current = snippetsByArea[area];
-  if (!Array.isArray(current)) {
-    throw new Error('Snippets storage must be an array.');
+  snippetsByArea[area] = await updateSnippets(area, changes);
+  embeddingBackfill = null;
+}
+
+function handleSnippetsChanged(area, snippets) {
+  snippetsByArea[area] = snippets;
+  embeddingBackfill = null;
+  if (document.querySelector('.snippet-editor, .snippet-organize')) {
+    updateTabCounts();
+    return;
   }
-  const next = current.map((snippet) => {
-    if (!snippet || typeof snippet !== 'object') {
-      throw new Error('Snippet entry is invalid.');
-    }
-    if (!snippet.id) {
-      updated = true;
-      return { ...snippet, id: generateSnippetId() };
-    }
-    return snippet;
-  });
-  snippetsByArea[area] = next;
-  if (updated) {
-    await saveSnippetsForArea(area, next);
+  void refreshCurrentView();
+}
+
+function ensureRoomInArea(area, snippets) {
+  if (area !== 'sync') {
+    return;
   }
+  const problems = checkSyncCapacity(snippets);
+  if (problems.length === 0) {
+    return;
+  }
+  const capacity = getSyncCapacity(snippetsByArea.sync);
+  throw new Error(`${problems.join(' ')} Synced storage has ${formatKB(capacity.remainingBytes)} KB left overall, up to ${formatKB(capacity.itemBytes)} KB per snippet. Keep it in Local storage or shorten it.`);
 }
 
 function generateSnippetId() {
@@ -287,7 +656,6 @@ function updateAreaChrome() {
   getRequiredElement('snippets-title').textContent = `${label} snippets`;
   getRequiredElement('storage-label').textContent = `${label} storage`;
   getRequiredElement('clear-all').textContent = `Clear ${label.toLowerCase()}`;
-  getRequiredElement('search-input').placeholder = 'Search all snippets...';
 }
 
 async function setActiveArea(area) {
@@ -296,20 +664,27 @@ async function setActiveArea(area) {
   }
   activeArea = area;
   searchToken += 1;
+  setGroupedView(null);
   updateTabCounts();
   updateTabState();
   updateAreaChrome();
   if (isAddPanelOpen()) {
     setAddTargetArea(area);
   }
-  try {
-    await ensureMissingEmbeddings(area);
-  } catch (error) {
-    const message = error instanceof Error ? error.message : 'Embedding preparation failed.';
-    setStatus(message, 'error');
-    throw error;
+  let embeddingError = null;
+  if (searchSettings.mode !== 'keyword') {
+    try {
+      await ensureMissingEmbeddings(area);
+    } catch (error) {
+      embeddingError = error;
+      console.error(error);
+    }
   }
   await updateDisplay();
+  if (embeddingError) {
+    const message = embeddingError instanceof Error ? embeddingError.message : 'Embedding preparation failed.';
+    setStatus(`Keyword search only: ${message}`, 'error');
+  }
 }
 
 async function updateStorageInfo(area) {
@@ -334,6 +709,15 @@ async function updateStorageInfo(area) {
   const bar = getRequiredElement('storage-bar');
   bar.max = limitKBValue;
   bar.value = Math.min(usedKBValue, limitKBValue);
+  const detail = getRequiredElement('storage-detail');
+  if (area !== 'sync') {
+    detail.hidden = true;
+    return;
+  }
+  const capacity = getSyncCapacity(snippetsByArea.sync);
+  const largest = capacity.largest ? formatKB(capacity.largest.bytes) : '0.0';
+  detail.textContent = `${formatKB(capacity.remainingBytes)} KB free · largest snippet ${largest} of ${formatKB(capacity.itemBytes)} KB per item · ${capacity.maxItems - capacity.items} snippet slots left`;
+  detail.hidden = false;
 }
 
 function isAddPanelOpen() {
@@ -400,8 +784,20 @@ async function handleAddSnippet() {
     if (!Array.isArray(list)) {
       throw new Error('Snippets storage must be an array.');
     }
-    list.push(snippet);
-    await saveSnippetsForArea(area, list);
+    ensureRoomInArea(area, [...list, snippet]);
+    await applySnippetChanges(area, { put: [snippet] });
+    closeAddPanel();
+    await setActiveArea(area);
+    void embedAddedSnippet(snippet);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Failed to add snippet.';
+    setStatus(message, 'error');
+    throw error;
+  }
+}
+
+async function embedAddedSnippet(snippet) {
+  try {
     const response = await sendRuntimeMessage({
       action: 'ensureEmbeddings',
       items: [{ id: snippet.id, text: snippet.text }]
@@ -410,13 +806,11 @@ async function handleAddSnippet() {
       const message = response && response.error ? response.error : 'Embedding preparation failed.';
       throw new Error(message);
     }
-    embeddingsIndex = await loadEmbeddingsIndex();
-    closeAddPanel();
-    await setActiveArea(area);
+    await reloadEmbeddedSnippets();
   } catch (error) {
-    const message = error instanceof Error ? error.message : 'Failed to add snippet.';
-    setStatus(message, 'error');
-    throw error;
+    console.error(error);
+    const message = error instanceof Error ? error.message : 'Embedding preparation failed.';
+    setStatus(`Snippet saved; the re-embedding job will embed it later. Embedding failed: ${message}`, 'error');
   }
 }
 
@@ -424,40 +818,94 @@ function displaySnippets(items) {
   const list = getRequiredElement('snippets-list');
   list.innerHTML = '';
   if (items.length === 0) {
+    if (hasActiveFacets(facets)) {
+      renderEmptyState('No snippets match the current filters.');
+      return;
+    }
     const areaLabel = getAreaLabel(activeArea).toLowerCase();
     renderEmptyState(`No ${areaLabel} snippets yet. Save a selection to start building your vault.`);
     return;
   }
   items.forEach((item, displayIndex) => {
-    const { snippet, score, area } = item;
+    const { snippet, area } = item;
     if (!STORAGE_LABELS[area]) {
       throw new Error(`Unsupported storage area: ${area}`);
     }
-    const scoreMarkup = Number.isFinite(score)
-      ? `<div class="snippet-score">Similarity: ${score.toFixed(3)}</div>`
-      : '';
+    if (item.group) {
+      list.appendChild(createGroupHeader(item.group));
+    }
+    const scoreMarkup = formatScoreMarkup(item);
     const areaLabel = getAreaLabel(area);
     const targetArea = area === 'local' ? 'sync' : 'local';
     const moveLabel = area === 'local' ? 'Move to Synced' : 'Move to Local';
+    const sourceUrl = getSourceJumpUrl(snippet);
+    const formatMarkup = snippet.html && !snippet.code
+      ? `<button type="button" id="format-${displayIndex}" class="btn btn-ghost"></button>`
+      : '';
+    const markdownMarkup = snippet.code
+      ? `<button type="button" id="copy-markdown-${displayIndex}" class="btn btn-ghost">Copy as Markdown</button>`
+      : '';
+    const jumpMarkup = sourceUrl
+      ? `<button type="button" id="jump-${displayIndex}" class="btn btn-ghost">Jump to source</button>`
+      : '';
     const div = document.createElement('div');
     div.className = 'snippet';
     div.style.setProperty('--delay', `${displayIndex * 45}ms`);
     div.innerHTML = `
       <div class="snippet-meta">
         <span class="snippet-badge snippet-badge--${area}">${areaLabel}</span>
+        <span class="snippet-labels"></span>
       </div>
-      <div class="snippet-text">${snippet.text}</div>
+      <div class="snippet-text"></div>
+      <div class="snippet-source"></div>
       ${scoreMarkup}
       <div class="snippet-actions">
         <button type="button" id="copy-${displayIndex}" class="btn btn-primary">Copy</button>
+        ${markdownMarkup}
+        ${formatMarkup}
+        ${jumpMarkup}
+        <button type="button" id="pin-${displayIndex}" class="btn btn-ghost" aria-pressed="${snippet.pinned ? 'true' : 'false'}">${snippet.pinned ? 'Unpin' : 'Pin'}</button>
+        <button type="button" id="related-${displayIndex}" class="btn btn-ghost">Show related</button>
+        <button type="button" id="edit-${displayIndex}" class="btn btn-ghost">Edit</button>
+        <button type="button" id="organize-${displayIndex}" class="btn btn-ghost">Organize</button>
         <button type="button" id="move-${displayIndex}" class="btn btn-move">${moveLabel}</button>
         <button type="button" id="delete-${displayIndex}" class="btn btn-danger">Delete</button>
       </div>
     `;
+    renderSnippetBody(div, snippet, item.highlight, displayIndex);
+    renderSnippetSource(div.querySelector('.snippet-source'), snippet);
+    renderSnippetLabels(div.querySelector('.snippet-labels'), snippet);
     list.appendChild(div);
+    getRequiredElement(`pin-${displayIndex}`).addEventListener('click', () => {
+      void toggleSnippetPin(area, snippet.id);
+    });
+    getRequiredElement(`related-${displayIndex}`).addEventListener('click', () => {
+      void showRelated(area, snippet.id);
+    });
+    getRequiredElement(`edit-${displayIndex}`).addEventListener('click', () => {
+      toggleSnippetEditor(div, area, snippet);
+    });
+    getRequiredElement(`organize-${displayIndex}`).addEventListener('click', () => {
+      toggleOrganizeEditor(div, area, snippet);
+    });
+    if (snippet.html && !snippet.code) {
+      getRequiredElement(`format-${displayIndex}`).addEventListener('click', () => {
+        toggleRichSnippet(div, snippet, item.highlight, displayIndex);
+      });
+    }
     getRequiredElement(`copy-${displayIndex}`).addEventListener('click', () => {
-      void copySnippet(area, snippet.id);
+      void copySnippet(div, area, snippet.id);
     });
+    if (snippet.code) {
+      getRequiredElement(`copy-markdown-${displayIndex}`).addEventListener('click', () => {
+        copySnippetMarkdown(area, snippet.id);
+      });
+    }
+    if (sourceUrl) {
+      getRequiredElement(`jump-${displayIndex}`).addEventListener('click', () => {
+        void openSource(sourceUrl);
+      });
+    }
     getRequiredElement(`move-${displayIndex}`).addEventListener('click', () => {
       void moveSnippet(area, snippet.id, targetArea);
     });
@@ -467,6 +915,448 @@ function displaySnippets(items) {
   });
 }
 
+function renderSnippetLabels(element, snippet) {
+  if (!element) {
+    throw new Error('Snippet labels element is required.');
+  }
+  if (snippet.pinned) {
+    const pinned = document.createElement('span');
+    pinned.className = 'snippet-pinned';
+    pinned.textContent = 'Pinned';
+    element.appendChild(pinned);
+  }
+  if (snippet.trigger) {
+    const trigger = document.createElement('span');
+    trigger.className = 'snippet-trigger';
+    trigger.textContent = snippet.trigger;
+    trigger.title = 'Type this in any text field to insert the snippet';
+    element.appendChild(trigger);
+  }
+  if (getTemplateFields(snippet).length > 0) {
+    const template = document.createElement('span');
+    template.className = 'snippet-template';
+    template.textContent = 'Template';
+    element.appendChild(template);
+  }
+  if (snippet.code) {
+    const language = document.createElement('span');
+    language.className = 'snippet-language';
+    language.textContent = getLanguageLabel(snippet.code.language);
+    element.appendChild(language);
+  }
+  const collection = getSnippetCollection(snippet);
+  if (collection) {
+    const badge = document.createElement('span');
+    badge.className = 'snippet-collection';
+    badge.textContent = collection;
+    element.appendChild(badge);
+  }
+  for (const tag of getSnippetTags(snippet)) {
+    const chip = document.createElement('span');
+    chip.className = 'snippet-tag';
+    chip.textContent = `#${tag}`;
+    element.appendChild(chip);
+  }
+  if (snippet.updated) {
+    const edited = document.createElement('span');
+    edited.className = 'snippet-edited';
+    edited.textContent = 'Edited';
+    edited.title = new Date(snippet.updated).toLocaleString();
+    element.appendChild(edited);
+  }
+}
+
+function toggleSnippetEditor(card, area, snippet) {
+  const textElement = card.querySelector('.snippet-text');
+  const existing = card.querySelector('.snippet-editor');
+  if (existing) {
+    existing.remove();
+    textElement.hidden = false;
+    return;
+  }
+  const form = document.createElement('form');
+  form.className = 'snippet-editor';
+  const textarea = document.createElement('textarea');
+  textarea.value = snippet.text;
+  textarea.classList.toggle('snippet-editor-code', Boolean(snippet.code));
+  textarea.spellcheck = !snippet.code;
+  textarea.rows = Math.min(10, Math.max(3, snippet.text.split('\n').length));
+  textarea.setAttribute('aria-label', 'Snippet text');
+  const actions = document.createElement('div');
+  actions.className = 'snippet-organize-actions';
+  const save = document.createElement('button');
+  save.type = 'submit';
+  save.className = 'btn btn-primary';
+  save.textContent = 'Save';
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'btn btn-ghost';
+  cancel.textContent = 'Cancel';
+  const close = () => {
+    form.remove();
+    textElement.hidden = false;
+  };
+  cancel.addEventListener('click', close);
+  actions.append(save, cancel);
+  form.append(textarea, actions);
+  const revisions = getSnippetRevisions(snippet);
+  if (revisions.length > 0) {
+    form.appendChild(createRevisionList(revisions, textarea));
+  }
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    void saveSnippetEdit(area, snippet.id, textarea.value);
+  });
+  textarea.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      close();
+    } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      form.requestSubmit();
+    }
+  });
+  textElement.hidden = true;
+  textElement.after(form);
+  textarea.focus();
+}
+
+function createRevisionList(revisions, textarea) {
+  const details = document.createElement('details');
+  details.className = 'snippet-revisions';
+  const summary = document.createElement('summary');
+  summary.textContent = `Earlier versions (${revisions.length})`;
+  details.appendChild(summary);
+  for (const revision of revisions) {
+    const row = document.createElement('div');
+    row.className = 'snippet-revision';
+    const label = document.createElement('div');
+    label.className = 'snippet-revision-date';
+    label.textContent = new Date(revision.date).toLocaleString();
+    const text = document.createElement('div');
+    text.className = 'snippet-revision-text';
+    text.textContent = revision.text;
+    const restore = document.createElement('button');
+    restore.type = 'button';
+    restore.className = 'btn btn-ghost';
+    restore.textContent = 'Use this version';
+    restore.addEventListener('click', () => {
+      textarea.value = revision.text;
+      textarea.focus();
+    });
+    row.append(label, text, restore);
+    details.appendChild(row);
+  }
+  return details;
+}
+
+function getSnippetRevisions(snippet) {
+  if (snippet.revisions === undefined) {
+    return [];
+  }
+  if (!Array.isArray(snippet.revisions)) {
+    throw new Error('Snippet revisions must be an array.');
+  }
+  return snippet.revisions;
+}
+
+async function saveSnippetEdit(area, id, text) {
+  try {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      throw new Error('Snippet text cannot be empty.');
+    }
+    const index = getSnippetIndex(area, id);
+    const list = snippetsByArea[area];
+    const current = list[index];
+    if (current.text === text) {
+      await refreshCurrentView();
+      return;
+    }
+    const revision = { text: current.text, date: current.updated || current.date };
+    const revisions = [revision, ...getSnippetRevisions(current)].slice(0, MAX_SNIPPET_REVISIONS);
+    const edited = { ...current, text, updated: new Date().toISOString(), revisions };
+    delete edited.html;
+    ensureRoomInArea(area, list.map((snippet, position) => (position === index ? edited : snippet)));
+    await applySnippetChanges(area, { put: [edited] });
+    await deleteEmbeddings(id);
+    await reloadEmbeddedSnippets();
+    await refreshCurrentView();
+    if (!embeddedSnippets.has(id)) {
+      await refreshSnippetEmbedding(id, text);
+    }
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Failed to edit snippet.';
+    setStatus(message, 'error');
+    throw error;
+  }
+}
+
+async function refreshSnippetEmbedding(id, text) {
+  setStatus('Updating embedding...', 'loading');
+  const response = await sendRuntimeMessage({ action: 'refreshSnippetEmbedding', id, text });
+  if (!response || response.ok !== true) {
+    const message = response && response.error ? response.error : 'Embedding refresh failed.';
+    throw new Error(`Snippet saved, but its embedding was not updated: ${message}`);
+  }
+  await reloadEmbeddedSnippets();
+  setStatus('', 'idle');
+  if (getRequiredElement('search-input').value.trim().length > 0) {
+    await filterSnippets();
+  }
+}
+
+function toggleOrganizeEditor(card, area, snippet) {
+  const existing = card.querySelector('.snippet-organize');
+  if (existing) {
+    existing.remove();
+    return;
+  }
+  const form = document.createElement('form');
+  form.className = 'snippet-organize';
+  const tagsInput = document.createElement('input');
+  tagsInput.type = 'text';
+  tagsInput.placeholder = 'Tags, comma separated';
+  tagsInput.setAttribute('aria-label', 'Tags');
+  tagsInput.value = getSnippetTags(snippet).join(', ');
+  const collectionInput = document.createElement('input');
+  collectionInput.type = 'text';
+  collectionInput.placeholder = 'Collection';
+  collectionInput.setAttribute('aria-label', 'Collection');
+  collectionInput.setAttribute('list', 'collection-options');
+  collectionInput.value = getSnippetCollection(snippet) || '';
+  const triggerInput = document.createElement('input');
+  triggerInput.type = 'text';
+  triggerInput.placeholder = 'Trigger, e.g. ;sig';
+  triggerInput.setAttribute('aria-label', 'Text expander trigger');
+  triggerInput.spellcheck = false;
+  triggerInput.value = snippet.trigger || '';
+  const actions = document.createElement('div');
+  actions.className = 'snippet-organize-actions';
+  const save = document.createElement('button');
+  save.type = 'submit';
+  save.className = 'btn btn-primary';
+  save.textContent = 'Save';
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'btn btn-ghost';
+  cancel.textContent = 'Cancel';
+  cancel.addEventListener('click', () => {
+    form.remove();
+  });
+  actions.append(save, cancel);
+  form.append(tagsInput, collectionInput, triggerInput, actions);
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    void saveSnippetOrganization(area, snippet.id, tagsInput.value, collectionInput.value, triggerInput.value);
+  });
+  card.querySelector('.snippet-actions').before(form);
+  tagsInput.focus();
+}
+
+async function saveSnippetOrganization(area, id, tagsText, collectionText, triggerText) {
+  try {
+    const tags = normalizeTags(tagsText);
+    const collection = normalizeCollectionName(collectionText);
+    const trigger = normalizeTrigger(triggerText);
+    if (findTriggerOwner(snippetsByArea, trigger, id)) {
+      throw new Error(`Trigger "${trigger}" is already used by another snippet.`);
+    }
+    const index = getSnippetIndex(area, id);
+    const list = snippetsByArea[area];
+    const updated = { ...list[index], tags };
+    if (collection) {
+      updated.collection = collection;
+    } else {
+      delete updated.collection;
+    }
+    if (trigger) {
+      updated.trigger = trigger;
+    } else {
+      delete updated.trigger;
+    }
+    if (tags.length === 0) {
+      delete updated.tags;
+    }
+    ensureRoomInArea(area, list.map((snippet, position) => (position === index ? updated : snippet)));
+    await applySnippetChanges(area, { put: [updated] });
+    await registerCollection(collection);
+    await refreshCurrentView();
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Failed to organize snippet.';
+    setStatus(message, 'error');
+    throw error;
+  }
+}
+
+async function toggleSnippetPin(area, id) {
+  try {
+    const index = getSnippetIndex(area, id);
+    const list = snippetsByArea[area];
+    const updated = { ...list[index] };
+    if (updated.pinned) {
+      delete updated.pinned;
+    } else {
+      updated.pinned = true;
+    }
+    ensureRoomInArea(area, list.map((snippet, position) => (position === index ? updated : snippet)));
+    await applySnippetChanges(area, { put: [updated] });
+    await refreshCurrentView();
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Failed to pin snippet.';
+    setStatus(message, 'error');
+    throw error;
+  }
+}
+
+function renderSnippetSource(element, snippet) {
+  if (!element) {
+    throw new Error('Snippet source element is required.');
+  }
+  const source = snippet.source && typeof snippet.source === 'object' ? snippet.source : null;
+  const pageUrl = source && source.canonicalUrl ? source.canonicalUrl : snippet.url;
+  const hostname = getHostname(pageUrl);
+  if (!source && !hostname) {
+    element.remove();
+    return;
+  }
+  const title = document.createElement('div');
+  title.className = 'snippet-source-title';
+  const titleText = source && source.title ? source.title : hostname;
+  title.textContent = hostname && titleText !== hostname ? `${titleText} · ${hostname}` : titleText;
+  title.title = pageUrl;
+  element.appendChild(title);
+  if (source && source.heading) {
+    const heading = document.createElement('div');
+    heading.className = 'snippet-source-heading';
+    heading.textContent = `§ ${source.heading}`;
+    element.appendChild(heading);
+  }
+  if (source && source.excerpt) {
+    const excerpt = document.createElement('div');
+    excerpt.className = 'snippet-source-excerpt';
+    excerpt.textContent = source.excerpt;
+    element.appendChild(excerpt);
+  }
+  const extraSources = Array.isArray(snippet.sources) ? snippet.sources : [];
+  if (extraSources.length > 0) {
+    const also = document.createElement('div');
+    also.className = 'snippet-source-also';
+    also.append('Also saved from ');
+    extraSources.forEach((entry, index) => {
+      if (index > 0) {
+        also.append(', ');
+      }
+      const link = document.createElement('a');
+      link.href = entry.fragmentUrl || entry.url;
+      link.textContent = entry.title || getHostname(entry.url);
+      link.title = entry.url;
+      link.addEventListener('click', (event) => {
+        event.preventDefault();
+        void openSource(link.href);
+      });
+      also.appendChild(link);
+    });
+    element.appendChild(also);
+  }
+}
+
+function getHostname(url) {
+  if (typeof url !== 'string' || !/^https?:/.test(url)) {
+    return '';
+  }
+  return new URL(url).hostname;
+}
+
+function getSourceJumpUrl(snippet) {
+  if (snippet.source && typeof snippet.source.fragmentUrl === 'string' && /^https?:/.test(snippet.source.fragmentUrl)) {
+    return snippet.source.fragmentUrl;
+  }
+  if (typeof snippet.url === 'string' && /^https?:/.test(snippet.url)) {
+    return snippet.url;
+  }
+  return null;
+}
+
+async function openSource(url) {
+  if (!chrome.tabs || typeof chrome.tabs.create !== 'function') {
+    throw new Error('chrome.tabs.create is not available.');
+  }
+  await chrome.tabs.create({ url });
+}
+
+function renderSnippetBody(card, snippet, highlight, displayIndex) {
+  const element = card.querySelector('.snippet-text');
+  const rich = Boolean(snippet.html) && !snippet.code && richSnippetIds.has(snippet.id);
+  element.classList.toggle('snippet-text--rich', rich);
+  element.classList.toggle('snippet-text--code', Boolean(snippet.code));
+  element.classList.remove('snippet-text--excerpt');
+  if (rich) {
+    renderRichText(element, snippet.html);
+  } else if (snippet.code && !highlight) {
+    highlightCode(element, snippet.text, snippet.code.language);
+  } else {
+    renderSnippetText(element, snippet.text, highlight);
+  }
+  if (snippet.html && !snippet.code) {
+    const button = card.querySelector(`#format-${displayIndex}`);
+    button.textContent = rich ? 'Plain text' : 'Formatted';
+    button.setAttribute('aria-pressed', rich ? 'true' : 'false');
+  }
+}
+
+function toggleRichSnippet(card, snippet, highlight, displayIndex) {
+  if (richSnippetIds.has(snippet.id)) {
+    richSnippetIds.delete(snippet.id);
+  } else {
+    richSnippetIds.add(snippet.id);
+  }
+  renderSnippetBody(card, snippet, highlight, displayIndex);
+}
+
+function renderSnippetText(element, text, highlight) {
+  if (!element) {
+    throw new Error('Snippet text element is required.');
+  }
+  if (typeof text !== 'string') {
+    throw new Error('Snippet text is required.');
+  }
+  element.textContent = '';
+  if (!highlight) {
+    element.textContent = text;
+    return;
+  }
+  if (!Number.isInteger(highlight.start) || !Number.isInteger(highlight.end) || highlight.end > text.length) {
+    throw new Error('Snippet highlight range is invalid.');
+  }
+  element.classList.add('snippet-text--excerpt');
+  let prefix = text.slice(0, highlight.start);
+  if (prefix.length > HIGHLIGHT_CONTEXT_CHARS) {
+    const cut = prefix.slice(-HIGHLIGHT_CONTEXT_CHARS);
+    const boundary = cut.search(/\s/);
+    prefix = `…${boundary === -1 ? cut : cut.slice(boundary + 1)}`;
+  }
+  const mark = document.createElement('mark');
+  mark.className = 'snippet-chunk';
+  mark.textContent = text.slice(highlight.start, highlight.end);
+  element.append(prefix, mark, text.slice(highlight.end));
+}
+
+function formatScoreMarkup(item) {
+  if (!Number.isFinite(item.score)) {
+    return '';
+  }
+  const hasSemantic = Number.isFinite(item.semanticScore);
+  const hasLexical = Number.isFinite(item.lexicalScore);
+  if (hasSemantic && hasLexical) {
+    const details = `meaning ${item.semanticScore.toFixed(3)} · keywords ${item.lexicalScore.toFixed(3)}`;
+    return `<div class="snippet-score">Match: ${item.score.toFixed(3)} · ${details}</div>`;
+  }
+  if (hasLexical) {
+    return `<div class="snippet-score">Keywords: ${item.score.toFixed(3)}</div>`;
+  }
+  return `<div class="snippet-score">Similarity: ${item.score.toFixed(3)}</div>`;
+}
+
 function renderEmptyState(message) {
   if (typeof message !== 'string' || message.trim().length === 0) {
     throw new Error('Empty state message is required.');
@@ -479,8 +1369,84 @@ function renderEmptyState(message) {
   list.appendChild(empty);
 }
 
+function handleSearchInput() {
+  clearTimeout(searchDebounceTimer);
+  renderRecentSearches();
+  const query = getRequiredElement('search-input').value.trim();
+  if (query.length === 0 || searchSettings.mode === 'keyword') {
+    void filterSnippets();
+    return;
+  }
+  searchToken += 1;
+  setGroupedView(null);
+  const lexical = rankByKeywords(getFilteredSnippetItems(), query);
+  if (lexical.length > 0) {
+    displaySearchResults(lexical);
+  } else {
+    getRequiredElement('snippets-title').textContent = 'Search results';
+    renderEmptyState('No keyword matches yet.');
+  }
+  setStatus('Ranking by meaning...', 'loading');
+  searchDebounceTimer = setTimeout(() => {
+    void filterSnippets();
+  }, SEARCH_DEBOUNCE_MS);
+}
+
+async function rememberSearch(query) {
+  try {
+    recentSearches = await recordRecentSearch(query);
+    renderRecentSearches();
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+function renderRecentSearches() {
+  const container = getRequiredElement('recent-searches');
+  container.innerHTML = '';
+  const searchInput = getRequiredElement('search-input');
+  container.hidden = recentSearches.length === 0 || searchInput.value.trim().length > 0;
+  if (container.hidden) {
+    return;
+  }
+  for (const query of recentSearches) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'recent-search';
+    button.textContent = query;
+    button.addEventListener('click', () => {
+      searchInput.value = query;
+      clearTimeout(searchDebounceTimer);
+      renderRecentSearches();
+      void rememberSearch(query);
+      void filterSnippets();
+    });
+    container.appendChild(button);
+  }
+  const clear = document.createElement('button');
+  clear.type = 'button';
+  clear.className = 'recent-search recent-search--clear';
+  clear.textContent = 'Clear';
+  clear.setAttribute('aria-label', 'Clear recent searches');
+  clear.addEventListener('click', () => {
+    void clearRecentSearches().then(() => {
+      recentSearches = [];
+      renderRecentSearches();
+    });
+  });
+  container.appendChild(clear);
+}
+
 async function filterSnippets() {
+  clearTimeout(searchDebounceTimer);
   const query = getRequiredElement('search-input').value.trim();
+  if (query.length > 0) {
+    setGroupedView(null);
+  }
+  if (query.length === 0 && groupedView) {
+    await showGroupedView();
+    return;
+  }
   if (query.length === 0) {
     setStatus('', 'idle');
     const activeSnippets = getSortedSnippets(activeArea);
@@ -490,105 +1456,273 @@ async function filterSnippets() {
   }
 
   const requestId = ++searchToken;
-  setStatus('Preparing embeddings...', 'loading');
+  if (searchSettings.mode === 'keyword') {
+    setStatus('', 'idle');
+    displaySearchResults(rankByKeywords(getFilteredSnippetItems(), query));
+    return;
+  }
 
+  setStatus('Preparing embeddings...', 'loading');
+  let ranked;
   try {
-    await ensureMissingEmbeddings('local');
-    await ensureMissingEmbeddings('sync');
+    await ensureEmbeddingsBackfilled();
     if (requestId !== searchToken) {
       return;
     }
     setStatus('Searching...', 'loading');
-    const ranked = await rankSnippets(query);
-    if (requestId !== searchToken) {
-      return;
-    }
-    setStatus('', 'idle');
-    getRequiredElement('snippets-title').textContent = 'Search results';
-    if (ranked.length === 0) {
-      renderEmptyState('No matches in local or synced snippets.');
-      return;
-    }
-    displaySnippets(ranked);
+    ranked = await rankSnippets(query);
   } catch (error) {
     if (requestId !== searchToken) {
       return;
     }
-    const message = error instanceof Error ? error.message : 'Search failed.';
-    setStatus(message, 'error');
     console.error(error);
-    throw error;
+    const message = error instanceof Error ? error.message : 'Search failed.';
+    displaySearchResults(rankByKeywords(getFilteredSnippetItems(), query));
+    setStatus(`Keyword results only: ${message}`, 'error');
+    return;
+  }
+  if (requestId !== searchToken) {
+    return;
+  }
+  if (isReembedRunning()) {
+    setStatus('Re-embedding in progress: unfinished snippets rank by keywords only.', 'loading');
+  } else {
+    setStatus('', 'idle');
   }
+  displaySearchResults(ranked);
 }
 
-async function rankSnippets(query) {
-  const allSnippets = getAllSnippetItems();
-  if (allSnippets.length === 0) {
-    return [];
+function setGroupedView(view) {
+  groupedView = view;
+  for (const [name, [id, label]] of Object.entries(GROUPED_VIEW_BUTTONS)) {
+    const button = getRequiredElement(id);
+    button.textContent = view === name ? 'Show all' : label;
+    button.setAttribute('aria-pressed', view === name ? 'true' : 'false');
   }
-  const queryVector = await embedQuery(query);
-  const scored = [];
+}
 
-  for (const item of allSnippets) {
-    const vector = getSnippetVector(item.snippet);
-    const score = getCosineSimilarity(queryVector, vector);
-    scored.push({ snippet: item.snippet, area: item.area, score });
+async function toggleGroupedView(view) {
+  if (groupedView === view) {
+    setGroupedView(null);
+    await updateDisplay();
+    return;
   }
+  setGroupedView(view);
+  getRequiredElement('search-input').value = '';
+  renderRecentSearches();
+  await showGroupedView();
+}
 
-  scored.sort((a, b) => b.score - a.score);
-  return scored;
+async function showRelated(area, id) {
+  relatedTarget = { area, id };
+  setGroupedView('related');
+  getRequiredElement('search-input').value = '';
+  renderRecentSearches();
+  await showGroupedView();
 }
 
-function getSnippetVector(snippet) {
-  if (!snippet || typeof snippet !== 'object') {
-    throw new Error('Snippet is invalid.');
+async function showGroupedView() {
+  const view = groupedView;
+  const requestId = ++searchToken;
+  setStatus('Preparing embeddings...', 'loading');
+  let embeddingError = null;
+  try {
+    await ensureEmbeddingsBackfilled();
+  } catch (error) {
+    console.error(error);
+    embeddingError = error;
   }
-  if (typeof snippet.text !== 'string' || snippet.text.trim().length === 0) {
-    throw new Error('Snippet text is required for embeddings.');
+  if (requestId !== searchToken || groupedView !== view) {
+    return;
   }
-  if (!snippet.id) {
-    throw new Error('Snippet ID is required for embeddings.');
+  const message = embeddingError instanceof Error ? embeddingError.message : 'Embedding preparation failed.';
+  if (view === 'duplicates') {
+    const { groups, notice } = await findDuplicates(embeddingError ? `Identical text only for snippets without embeddings: ${message}` : '');
+    if (requestId === searchToken && groupedView === view) {
+      showDuplicates(groups, notice);
+    }
+    return;
+  }
+  const vectors = await loadEmbeddings();
+  if (requestId !== searchToken || groupedView !== view) {
+    return;
   }
-  const cached = embeddingsIndex[snippet.id];
-  if (!cached) {
-    throw new Error(`Missing embedding for snippet ${snippet.id}.`);
+  if (view === 'topics') {
+    showTopics(vectors, embeddingError ? `Snippets without embeddings are listed separately: ${message}` : '');
+  } else if (view === 'related') {
+    showRelatedSnippets(vectors, embeddingError ? message : '');
   }
-  return toVector(cached);
 }
 
-function toVector(output) {
-  if (output && output.data instanceof Float32Array) {
-    return output.data;
+async function findDuplicates(notice) {
+  const items = getFilteredSnippetItems();
+  try {
+    await syncSearchIndex(embeddingIdentity, snippetsByArea);
+    return { groups: await findDuplicateGroups(items), notice };
+  } catch (error) {
+    console.error(error);
+    const message = error instanceof Error ? error.message : 'Search worker failed.';
+    return { groups: clusterNearDuplicates(items, () => null), notice: `Identical text only: ${message}` };
   }
-  if (output && output.data) {
-    return Float32Array.from(output.data);
+}
+
+function showDuplicates(groups, notice) {
+  getRequiredElement('snippets-title').textContent = 'Possible duplicates';
+  setStatus(notice, notice ? 'error' : 'idle');
+  if (groups.length === 0) {
+    renderEmptyState('No near-duplicate snippets found.');
+    return;
   }
-  if (output instanceof Float32Array) {
-    return output;
+  displaySnippets(groups.flatMap((group) => group.map((item, position) => (position === 0
+    ? {
+      ...item,
+      group: {
+        label: `${group.length} similar snippets`,
+        actionLabel: 'Merge into newest',
+        onAction: () => mergeDuplicateGroup(group)
+      }
+    }
+    : item))));
+}
+
+function showTopics(vectors, notice) {
+  const { clusters, unclustered } = clusterSnippets(getFilteredSnippetItems(), vectors);
+  getRequiredElement('snippets-title').textContent = 'Topics';
+  setStatus(notice, notice ? 'error' : 'idle');
+  if (clusters.length === 0 && unclustered.length === 0) {
+    renderEmptyState('No snippets to group yet.');
+    return;
   }
-  if (Array.isArray(output)) {
-    return Float32Array.from(output);
+  const groups = clusters.map((cluster) => ({ label: `${cluster.label} (${cluster.items.length})`, items: cluster.items }));
+  if (unclustered.length > 0) {
+    groups.push({ label: `Not embedded yet (${unclustered.length})`, items: unclustered });
   }
-  throw new Error('Embedding output is missing vector data.');
+  displaySnippets(groups.flatMap((group) => group.items.map((item, position) => (position === 0
+    ? { ...item, group: { label: group.label } }
+    : item))));
 }
 
-async function loadEmbeddingsIndex() {
-  const result = await getStorage('local', [EMBEDDINGS_KEY]);
-  const stored = result[EMBEDDINGS_KEY];
-  if (stored === undefined) {
-    return {};
+function showRelatedSnippets(vectors, notice) {
+  const list = relatedTarget ? snippetsByArea[relatedTarget.area] : null;
+  const snippet = list ? list.find((entry) => entry && entry.id === relatedTarget.id) : null;
+  if (!snippet) {
+    void toggleGroupedView('related');
+    return;
   }
-  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
-    throw new Error('Embeddings storage must be an object.');
+  getRequiredElement('snippets-title').textContent = 'Related snippets';
+  if (!vectors.has(snippet.id)) {
+    setStatus(`Related snippets need embeddings: ${notice || 'This snippet has no embedding yet.'}`, 'error');
+    renderEmptyState('Related snippets are unavailable until this snippet is embedded.');
+    return;
   }
-  return stored;
+  setStatus(notice ? `Snippets without embeddings are left out: ${notice}` : '', notice ? 'error' : 'idle');
+  const related = findRelatedSnippets(snippet, getFilteredSnippetItems(), vectors);
+  if (related.length === 0) {
+    renderEmptyState('No other embedded snippets to compare with.');
+    return;
+  }
+  const text = snippet.text.replace(/\s+/g, ' ').trim();
+  const preview = text.length > RELATED_PREVIEW_CHARS ? `${text.slice(0, RELATED_PREVIEW_CHARS).trim()}…` : text;
+  const group = {
+    label: `Related to “${preview}”`,
+    actionLabel: 'Show all',
+    onAction: () => toggleGroupedView('related')
+  };
+  displaySnippets(related.map((item, position) => (position === 0 ? { ...item, group } : item)));
+}
+
+function createGroupHeader(group) {
+  const header = document.createElement('div');
+  header.className = 'snippet-group';
+  const label = document.createElement('span');
+  label.className = 'snippet-group-label';
+  label.textContent = group.label;
+  header.appendChild(label);
+  if (group.actionLabel) {
+    const action = document.createElement('button');
+    action.type = 'button';
+    action.className = 'btn btn-ghost';
+    action.textContent = group.actionLabel;
+    action.addEventListener('click', () => {
+      action.disabled = true;
+      void group.onAction().finally(() => {
+        action.disabled = false;
+      });
+    });
+    header.appendChild(action);
+  }
+  return header;
+}
+
+async function mergeDuplicateGroup(group) {
+  try {
+    const [primary, ...others] = group;
+    const merged = mergeSnippets(primary.snippet, others.map((item) => item.snippet));
+    const list = snippetsByArea[primary.area];
+    const index = getSnippetIndex(primary.area, merged.id);
+    ensureRoomInArea(primary.area, list.map((snippet, position) => (position === index ? merged : snippet)));
+    await applySnippetChanges(primary.area, { put: [merged] });
+    for (const area of Object.keys(STORAGE_LABELS)) {
+      const ids = others.filter((item) => item.area === area).map((item) => item.snippet.id);
+      if (ids.length > 0) {
+        await applySnippetChanges(area, { remove: ids });
+      }
+    }
+    await pruneStoredEmbeddings();
+    if (merged.text !== primary.snippet.text) {
+      await deleteEmbeddings(merged.id);
+      await reloadEmbeddedSnippets();
+    }
+    await refreshCurrentView();
+    if (!embeddedSnippets.has(merged.id)) {
+      await refreshSnippetEmbedding(merged.id, merged.text);
+    }
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Failed to merge snippets.';
+    setStatus(message, 'error');
+    throw error;
+  }
+}
+
+function displaySearchResults(ranked) {
+  if (!Array.isArray(ranked)) {
+    throw new Error('Search results must be an array.');
+  }
+  getRequiredElement('snippets-title').textContent = 'Search results';
+  if (ranked.length === 0) {
+    renderEmptyState('No matches in local or synced snippets.');
+    return;
+  }
+  displaySnippets(ranked);
 }
 
-async function saveEmbeddingsIndex() {
-  await setStorage('local', { [EMBEDDINGS_KEY]: embeddingsIndex });
+async function rankSnippets(query) {
+  const items = getFilteredSnippetItems();
+  if (items.length === 0) {
+    return [];
+  }
+  const queryVector = await embedQuery(query);
+  try {
+    await syncSearchIndex(embeddingIdentity, snippetsByArea);
+    return await rankInSearchIndex(items, {
+      query,
+      queryVector,
+      settings: searchSettings,
+      allowMissing: isReembedRunning()
+    });
+  } catch (error) {
+    console.error(error);
+  }
+  return rankSnippetItems(items, {
+    query,
+    queryVector,
+    embeddings: await loadEmbeddings(),
+    settings: searchSettings,
+    allowMissing: isReembedRunning()
+  }).slice(0, SEARCH_RESULT_LIMIT);
 }
 
-function pruneEmbeddingsIndex() {
+async function pruneStoredEmbeddings() {
   const ids = new Set();
   for (const area of Object.keys(snippetsByArea)) {
     const list = snippetsByArea[area];
@@ -602,17 +1736,38 @@ function pruneEmbeddingsIndex() {
       ids.add(snippet.id);
     }
   }
-  let changed = false;
-  for (const id of Object.keys(embeddingsIndex)) {
+  for (const id of embeddedSnippets.keys()) {
     if (!ids.has(id)) {
-      delete embeddingsIndex[id];
-      changed = true;
+      embeddedSnippets.delete(id);
+      embeddings = null;
     }
   }
-  return changed;
+  await pruneEmbeddings(ids);
+}
+
+function ensureEmbeddingsBackfilled() {
+  if (isReembedRunning()) {
+    return Promise.resolve();
+  }
+  if (!embeddingBackfill) {
+    const backfill = (async () => {
+      await ensureMissingEmbeddings('local');
+      await ensureMissingEmbeddings('sync');
+    })();
+    embeddingBackfill = backfill;
+    backfill.catch(() => {
+      if (embeddingBackfill === backfill) {
+        embeddingBackfill = null;
+      }
+    });
+  }
+  return embeddingBackfill;
 }
 
 async function ensureMissingEmbeddings(area) {
+  if (isReembedRunning()) {
+    return;
+  }
   const snippets = snippetsByArea[area];
   if (!Array.isArray(snippets)) {
     throw new Error('Snippets storage must be an array.');
@@ -631,7 +1786,7 @@ async function ensureMissingEmbeddings(area) {
     if (typeof snippet.text !== 'string' || snippet.text.trim().length === 0) {
       throw new Error('Snippet text is required for embeddings.');
     }
-    if (!embeddingsIndex[snippet.id]) {
+    if (!embeddedSnippets.has(snippet.id)) {
       missing.push({ id: snippet.id, text: snippet.text });
     }
   }
@@ -644,8 +1799,8 @@ async function ensureMissingEmbeddings(area) {
     const message = response && response.error ? response.error : 'Embedding preparation failed.';
     throw new Error(message);
   }
-  embeddingsIndex = await loadEmbeddingsIndex();
-  const stillMissing = missing.filter((item) => !embeddingsIndex[item.id]);
+  await reloadEmbeddedSnippets();
+  const stillMissing = missing.filter((item) => !embeddedSnippets.has(item.id));
   if (stillMissing.length > 0) {
     throw new Error(`Missing embeddings for ${stillMissing.length} snippet(s).`);
   }
@@ -656,12 +1811,30 @@ async function embedQuery(text) {
   if (typeof text !== 'string' || text.trim().length === 0) {
     throw new Error('Query text is required.');
   }
-  const response = await sendRuntimeMessage({ action: 'embedQuery', text });
+  const signature = embeddingIdentity.signature;
+  try {
+    const cached = await getCachedQueryVector(signature, text);
+    if (cached) {
+      return cached;
+    }
+  } catch (error) {
+    console.error(error);
+  }
+  const response = await sendRuntimeMessage({
+    action: 'embedQuery',
+    text,
+    modelId: embeddingIdentity.modelId,
+    group: QUERY_EMBEDDING_GROUP
+  });
   if (!response || response.ok !== true || !Array.isArray(response.vector)) {
     const message = response && response.error ? response.error : 'Query embedding failed.';
     throw new Error(message);
   }
-  return Float32Array.from(response.vector);
+  const vector = Float32Array.from(response.vector);
+  cacheQueryVector(signature, text, vector).catch((error) => {
+    console.error(error);
+  });
+  return vector;
 }
 
 function sendRuntimeMessage(payload) {
@@ -679,32 +1852,6 @@ function sendRuntimeMessage(payload) {
   });
 }
 
-function getCosineSimilarity(a, b) {
-  if (!a || !b || typeof a.length !== 'number' || typeof b.length !== 'number') {
-    throw new Error('Cosine similarity requires vectors.');
-  }
-  if (a.length !== b.length) {
-    throw new Error('Cosine similarity requires vectors of equal length.');
-  }
-  let dot = 0;
-  let normA = 0;
-  let normB = 0;
-  for (let i = 0; i < a.length; i += 1) {
-    const ai = a[i];
-    const bi = b[i];
-    if (!Number.isFinite(ai) || !Number.isFinite(bi)) {
-      throw new Error('Cosine similarity requires finite vector values.');
-    }
-    dot += ai * bi;
-    normA += ai * ai;
-    normB += bi * bi;
-  }
-  if (normA === 0 || normB === 0) {
-    throw new Error('Cosine similarity requires non-zero vectors.');
-  }
-  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
-}
-
 function getSnippetIndex(area, id) {
   if (!STORAGE_LABELS[area]) {
     throw new Error(`Unsupported storage area: ${area}`);
@@ -723,30 +1870,125 @@ function getSnippetIndex(area, id) {
   return index;
 }
 
-function copySnippet(area, id) {
+function getSnippet(area, id) {
   const index = getSnippetIndex(area, id);
   const snippet = snippetsByArea[area][index];
   if (!snippet || typeof snippet.text !== 'string') {
     throw new Error('Snippet text is missing.');
   }
+  return snippet;
+}
+
+async function copySnippet(card, area, id) {
+  try {
+    const snippet = getSnippet(area, id);
+    const fields = getTemplateFields(snippet);
+    if (fields.length === 0) {
+      copyText(snippet.text);
+      alert('Snippet copied!');
+      return;
+    }
+    const existing = card.querySelector('.snippet-template-form');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+    const values = await getTemplateValues(fields);
+    const prompts = fields.filter((field) => !field.builtin || (field.name === 'clipboard' && values.clipboard === undefined));
+    if (prompts.length === 0) {
+      copyText(expandTemplate(snippet.text, values));
+      alert('Snippet copied!');
+      return;
+    }
+    showTemplateForm(card, prompts, (filled) => {
+      copyText(expandTemplate(snippet.text, { ...values, ...filled }));
+      alert('Snippet copied!');
+    });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Failed to copy snippet.';
+    setStatus(message, 'error');
+    throw error;
+  }
+}
+
+async function getTemplateValues(fields) {
+  const values = {};
+  const names = new Set(fields.map((field) => field.name));
+  if (names.has('page.title') || names.has('page.url')) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    values['page.title'] = tab && typeof tab.title === 'string' ? tab.title : '';
+    values['page.url'] = tab && typeof tab.url === 'string' ? tab.url : '';
+  }
+  if (names.has('clipboard')) {
+    try {
+      values.clipboard = await navigator.clipboard.readText();
+    } catch (error) {
+      console.log('Clipboard unavailable:', error instanceof Error ? error.message : error);
+    }
+  }
+  return values;
+}
+
+function showTemplateForm(card, prompts, onSubmit) {
+  const form = document.createElement('form');
+  form.className = 'snippet-organize snippet-template-form';
+  const inputs = prompts.map((prompt) => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.name = prompt.name;
+    input.placeholder = prompt.label;
+    input.setAttribute('aria-label', prompt.label);
+    return input;
+  });
+  const actions = document.createElement('div');
+  actions.className = 'snippet-organize-actions';
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.className = 'btn btn-primary';
+  submit.textContent = 'Copy filled';
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'btn btn-ghost';
+  cancel.textContent = 'Cancel';
+  cancel.addEventListener('click', () => {
+    form.remove();
+  });
+  actions.append(submit, cancel);
+  form.append(...inputs, actions);
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    try {
+      onSubmit(Object.fromEntries(inputs.map((input) => [input.name, input.value])));
+      form.remove();
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Failed to fill template.';
+      setStatus(message, 'error');
+      throw error;
+    }
+  });
+  card.querySelector('.snippet-actions').before(form);
+  inputs[0].focus();
+}
+
+function copySnippetMarkdown(area, id) {
+  const snippet = getSnippet(area, id);
+  const language = snippet.code ? snippet.code.language : null;
+  copyText(formatFencedMarkdown(snippet.text, language));
+  alert('Snippet copied as Markdown!');
+}
+
+function copyText(text) {
   const textArea = document.createElement('textarea');
-  textArea.value = snippet.text;
+  textArea.value = text;
   document.body.appendChild(textArea);
   textArea.select();
   document.execCommand('copy');
   document.body.removeChild(textArea);
-  alert('Snippet copied!');
 }
 
 async function deleteSnippet(area, id) {
-  const index = getSnippetIndex(area, id);
-  const list = snippetsByArea[area];
-  list.splice(index, 1);
-  await saveSnippetsForArea(area, list);
-  const pruned = pruneEmbeddingsIndex();
-  if (pruned) {
-    await saveEmbeddingsIndex();
-  }
+  await applySnippetChanges(area, { remove: [id] });
+  await pruneStoredEmbeddings();
   await updateDisplay();
 }
 
@@ -755,27 +1997,36 @@ async function clearAllSnippets() {
   if (!confirm(`Are you sure you want to delete all ${label} snippets?`)) {
     return;
   }
-  snippetsByArea[activeArea] = [];
-  await saveSnippetsForArea(activeArea, []);
-  const pruned = pruneEmbeddingsIndex();
-  if (pruned) {
-    await saveEmbeddingsIndex();
-  }
+  await applySnippetChanges(activeArea, { remove: snippetsByArea[activeArea].map((snippet) => snippet.id) });
+  await pruneStoredEmbeddings();
   await updateDisplay();
 }
 
 async function updateDisplay() {
+  setGroupedView(null);
   updateTabCounts();
+  updateFacetOptions();
   updateTabState();
   updateAreaChrome();
   await updateStorageInfo(activeArea);
   const activeSnippets = getSortedSnippets(activeArea);
   displaySnippets(activeSnippets.map((snippet) => ({ snippet, area: activeArea })));
   getRequiredElement('search-input').value = '';
+  renderRecentSearches();
   setStatus('', 'idle');
 }
 
 async function moveSnippet(area, id, targetArea) {
+  try {
+    await moveSnippetToArea(area, id, targetArea);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Failed to move snippet.';
+    setStatus(message, 'error');
+    throw error;
+  }
+}
+
+async function moveSnippetToArea(area, id, targetArea) {
   if (!STORAGE_LABELS[area]) {
     throw new Error(`Unsupported storage area: ${area}`);
   }
@@ -798,10 +2049,9 @@ async function moveSnippet(area, id, targetArea) {
   if (destinationSnippets.some((item) => item && item.id === snippet.id)) {
     throw new Error('Snippet already exists in target storage.');
   }
-  sourceSnippets.splice(index, 1);
-  destinationSnippets.push(snippet);
-  await saveSnippetsForArea(area, sourceSnippets);
-  await saveSnippetsForArea(targetArea, destinationSnippets);
+  ensureRoomInArea(targetArea, [...destinationSnippets, snippet]);
+  await applySnippetChanges(targetArea, { put: [snippet] });
+  await applySnippetChanges(area, { remove: [snippet.id] });
   updateTabCounts();
   await updateDisplay();
 }
@@ -1,32 +1,320 @@
 #!/usr/bin/env bash
 set -euo pipefail
 
-MODEL_ID="Xenova/paraphrase-multilingual-MiniLM-L12-v2"
-BASE_URL="https://huggingface.co/${MODEL_ID}/resolve/main"
-DEST_DIR="models/${MODEL_ID}"
-FILES=(
-  "config.json"
-  "tokenizer.json"
-  "tokenizer_config.json"
-  "special_tokens_map.json"
-  "unigram.json"
-  "onnx/model.onnx"
-)
+ROOT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
+REGISTRY="${ROOT_DIR}/model-registry.json"
+CHECKSUMS="${ROOT_DIR}/model-checksums.json"
+
+usage() {
+  cat <<USAGE
+Usage: $0 [--all | --list | MODEL_ID...]
+       $0 --verify [--all | MODEL_ID...]
+       $0 --pin [--all | MODEL_ID...]
+
+Downloads model assets listed in model-registry.json into models/.
+With no arguments, downloads the registry's default model.
+
+Every file is checked against its size and SHA-256 in model-checksums.json.
+Files that are missing or do not match are downloaded again. Files without
+a checksum there are checked against the size and hash Hugging Face
+publishes for them, but the extension refuses to load them until they are
+pinned. Only --pin changes model-checksums.json.
+
+  --verify  Check installed files without downloading anything.
+  --pin     Record checksums of installed files in model-checksums.json after
+            checking them against Hugging Face (for maintainers; commit the
+            result).
+USAGE
+}
+
+registry_query() {
+  python3 - "${REGISTRY}" "$@" <<'PY'
+import json
+import sys
+
+registry_path, command = sys.argv[1], sys.argv[2]
+with open(registry_path, encoding="utf-8") as handle:
+    registry = json.load(handle)
+models = {model["id"]: model for model in registry["models"]}
+
+if command == "default":
+    print(registry["defaultModel"])
+elif command == "ids":
+    for model_id in models:
+        print(model_id)
+elif command == "list":
+    for model in registry["models"]:
+        print(f'{model["id"]}\t{model["label"]} ({model["dtype"]}, {model["dimension"]} dims)')
+elif command in ("repo", "files"):
+    model_id = sys.argv[3]
+    if model_id not in models:
+        sys.exit(f"Error: unknown model '{model_id}'. Use --list to see available models.")
+    if command == "repo":
+        print(models[model_id]["repo"])
+    else:
+        for file in models[model_id]["files"]:
+            print(file)
+else:
+    sys.exit(f"Error: unknown registry query '{command}'.")
+PY
+}
+
+checksum_tool() {
+  python3 - "${CHECKSUMS}" "${ROOT_DIR}/models" "$@" <<'PY'
+import hashlib
+import json
+import os
+import sys
+import urllib.error
+import urllib.parse
+import urllib.request
+
+checksums_path, models_dir, command, repo, file = sys.argv[1:6]
+key = f"{repo}/{file}"
+path = os.path.join(models_dir, repo, file)
+
+with open(checksums_path, encoding="utf-8") as handle:
+    manifest = json.load(handle)
+if manifest.get("version") != 1 or not isinstance(manifest.get("files"), dict):
+    sys.exit(f"Error: {checksums_path} must be a version 1 manifest with a files object.")
+
+
+def digest(target):
+    size = os.path.getsize(target)
+    sha256 = hashlib.sha256()
+    git_sha1 = hashlib.sha1(f"blob {size}\0".encode())
+    with open(target, "rb") as handle:
+        for block in iter(lambda: handle.read(1024 * 1024), b""):
+            sha256.update(block)
+            git_sha1.update(block)
+    return size, sha256.hexdigest(), git_sha1.hexdigest()
+
+
+def upstream_entry():
+    directory = os.path.dirname(file)
+    url = f"https://huggingface.co/api/models/{repo}/tree/main"
+    if directory:
+        url += "/" + urllib.parse.quote(directory)
+    with urllib.request.urlopen(url, timeout=30) as response:
+        entries = json.load(response)
+    for entry in entries:
+        if entry.get("path") == file:
+            return entry
+    raise LookupError(f"{file} is not listed in {repo} on Hugging Face.")
+
+
+if not os.path.isfile(path):
+    print("missing")
+    sys.exit(3)
+
+if command == "verify":
+    pin = manifest["files"].get(key)
+    if pin is None:
+        print("no checksum recorded")
+        sys.exit(4)
+    size, sha256, _ = digest(path)
+    if size != pin["size"]:
+        print(f"{size} bytes, expected {pin['size']}")
+        sys.exit(2)
+    if sha256 != pin["sha256"]:
+        print("SHA-256 does not match")
+        sys.exit(2)
+    print("ok")
+elif command in ("upstream", "pin"):
+    try:
+        entry = upstream_entry()
+    except (urllib.error.URLError, OSError, LookupError, ValueError) as error:
+        print(f"could not read upstream checksums: {error}")
+        sys.exit(5)
+    size, sha256, git_sha1 = digest(path)
+    lfs = entry.get("lfs")
+    expected_size = lfs["size"] if lfs else entry.get("size")
+    if size != expected_size:
+        print(f"{size} bytes, Hugging Face lists {expected_size}")
+        sys.exit(2)
+    if (lfs and sha256 != lfs.get("oid")) or (not lfs and git_sha1 != entry.get("oid")):
+        print("hash does not match the one Hugging Face lists")
+        sys.exit(2)
+    if command == "pin":
+        manifest["files"][key] = {"size": size, "sha256": sha256}
+        manifest["files"] = dict(sorted(manifest["files"].items()))
+        with open(checksums_path, "w", encoding="utf-8") as handle:
+            json.dump(manifest, handle, indent=2)
+            handle.write("\n")
+        print(f"pinned {size} bytes, sha256 {sha256}")
+    else:
+        print(f"matches Hugging Face ({size} bytes)")
+else:
+    sys.exit(f"Error: unknown checksum command '{command}'.")
+PY
+}
+
+verify_model() {
+  local model_id="$1"
+  local repo
+  repo="$(registry_query repo "${model_id}")"
+  local failed=0
+  local result status
+  echo "Model: ${model_id}"
+  while IFS= read -r file; do
+    status=0
+    result="$(checksum_tool verify "${repo}" "${file}")" || status=$?
+    if [[ "${status}" -eq 0 ]]; then
+      echo "OK:        ${file}"
+    else
+      echo "Problem:   ${file} (${result})"
+      failed=1
+    fi
+  done < <(registry_query files "${model_id}")
+  return "${failed}"
+}
+
+pin_model() {
+  local model_id="$1"
+  local repo
+  repo="$(registry_query repo "${model_id}")"
+  local failed=0
+  local result status
+  echo "Model: ${model_id}"
+  while IFS= read -r file; do
+    status=0
+    result="$(checksum_tool pin "${repo}" "${file}")" || status=$?
+    if [[ "${status}" -eq 0 ]]; then
+      echo "Pinned:    ${file} (${result})"
+    else
+      echo "Not pinned: ${file} (${result})"
+      failed=1
+    fi
+  done < <(registry_query files "${model_id}")
+  return "${failed}"
+}
+
+download_model() {
+  local model_id="$1"
+  local repo
+  repo="$(registry_query repo "${model_id}")"
+  local base_url="https://huggingface.co/${repo}/resolve/main"
+  local dest_dir="${ROOT_DIR}/models/${repo}"
+  local files=()
+  while IFS= read -r file; do
+    files+=("${file}")
+  done < <(registry_query files "${model_id}")
+
+  local failed=0
+  local result status
+  echo "Model: ${model_id}"
+  for file in "${files[@]}"; do
+    url="${base_url}/${file}"
+    dest="${dest_dir}/${file}"
+    mkdir -p "$(dirname "${dest}")"
+    if [[ -e "${dest}" ]]; then
+      status=0
+      result="$(checksum_tool verify "${repo}" "${file}")" || status=$?
+      if [[ "${status}" -eq 0 ]]; then
+        echo "Verified: ${dest}"
+        continue
+      fi
+      if [[ "${status}" -eq 4 ]]; then
+        status=0
+        result="$(checksum_tool upstream "${repo}" "${file}")" || status=$?
+        if [[ "${status}" -eq 0 ]]; then
+          echo "Warning: ${dest} matches Hugging Face but has no checksum in model-checksums.json; the extension will not load it until it is pinned with --pin." >&2
+          failed=1
+          continue
+        fi
+        if [[ "${status}" -eq 5 ]]; then
+          echo "Warning: ${dest} is unverified (${result})." >&2
+          failed=1
+          continue
+        fi
+      fi
+      echo "Corrupted: ${dest} (${result}). Downloading it again."
+      rm -f "${dest}"
+    fi
+    echo "Downloading ${url}"
+    rm -f "${dest}.part"
+    if ! curl -fL --retry 3 --retry-delay 1 -o "${dest}.part" "${url}"; then
+      echo "Error: could not download ${url}." >&2
+      rm -f "${dest}.part"
+      failed=1
+      continue
+    fi
+    mv "${dest}.part" "${dest}"
+    status=0
+    result="$(checksum_tool verify "${repo}" "${file}")" || status=$?
+    if [[ "${status}" -eq 4 ]]; then
+      status=0
+      result="$(checksum_tool upstream "${repo}" "${file}")" || status=$?
+      if [[ "${status}" -eq 0 ]]; then
+        echo "Warning: ${dest} matches Hugging Face but has no checksum in model-checksums.json; the extension will not load it until it is pinned with --pin." >&2
+        failed=1
+        continue
+      fi
+    fi
+    if [[ "${status}" -ne 0 ]]; then
+      echo "Error: downloaded ${file} failed verification (${result}); removed it." >&2
+      rm -f "${dest}"
+      failed=1
+    fi
+  done
+  return "${failed}"
+}
 
 if ! command -v curl >/dev/null 2>&1; then
   echo "Error: curl is required to download model assets." >&2
   exit 1
 fi
 
-mkdir -p "${DEST_DIR}/onnx"
-
-for file in "${FILES[@]}"; do
-  url="${BASE_URL}/${file}"
-  dest="${DEST_DIR}/${file}"
-  if [[ -s "${dest}" ]]; then
-    echo "Already present: ${dest}"
-    continue
-  fi
-  echo "Downloading ${url}"
-  curl -fL --retry 3 --retry-delay 1 -o "${dest}" "${url}"
+if ! command -v python3 >/dev/null 2>&1; then
+  echo "Error: python3 is required to read model-registry.json." >&2
+  exit 1
+fi
+
+ACTION="download"
+case "${1:-}" in
+  --verify)
+    ACTION="verify"
+    shift
+    ;;
+  --pin)
+    ACTION="pin"
+    shift
+    ;;
+esac
+
+MODEL_IDS=()
+case "${1:-}" in
+  -h|--help)
+    usage
+    exit 0
+    ;;
+  --list)
+    if [[ "${ACTION}" != "download" ]]; then
+      usage >&2
+      exit 1
+    fi
+    registry_query list
+    exit 0
+    ;;
+  --all)
+    while IFS= read -r model_id; do
+      MODEL_IDS+=("${model_id}")
+    done < <(registry_query ids)
+    ;;
+  "")
+    MODEL_IDS+=("$(registry_query default)")
+    ;;
+  *)
+    MODEL_IDS=("$@")
+    ;;
+esac
+
+FAILED=0
+for model_id in "${MODEL_IDS[@]}"; do
+  "${ACTION}_model" "${model_id}" || FAILED=1
 done
+
+if [[ "${FAILED}" -ne 0 ]]; then
+  echo "Some model files are missing, corrupted or unverified. See the messages above." >&2
+  exit 1
+fi
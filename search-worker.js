@@ -0,0 +1,187 @@
+import { rankWithVectorIndex } from './lib/snippet-search.js';
+import { clusterNearDuplicates } from './lib/snippet-duplicates.js';
+import { getEmbeddingVersions, getEmbeddingsByIds, loadVectorIndex, saveVectorIndex } from './lib/embedding-store.js';
+import {
+  addToIndex,
+  createVectorIndex,
+  getNearestLists,
+  getSnippetMean,
+  isIndexTrained,
+  measureRecall,
+  removeFromIndex,
+  restoreIndex,
+  trainIndex
+} from './lib/vector-index.js';
+
+const RECALL_TARGET = 0.9;
+const RECALL_LIMIT = 10;
+const RECALL_SAMPLE = 32;
+const DUPLICATE_PROBES = 2;
+
+let identity = null;
+let index = null;
+let listVersion = null;
+let versions = new Map();
+let documents = new Map();
+let approximate = false;
+let trainingTimer = null;
+let queue = Promise.resolve();
+
+self.addEventListener('message', (event) => {
+  const message = event.data;
+  if (!message || typeof message.requestId !== 'number') {
+    return;
+  }
+  queue = queue.then(async () => {
+    try {
+      self.postMessage({ requestId: message.requestId, ok: true, ...(await handleMessage(message)) });
+    } catch (error) {
+      const messageText = error instanceof Error ? error.message : 'Search worker failed.';
+      self.postMessage({ requestId: message.requestId, ok: false, error: messageText });
+    }
+  });
+});
+
+async function handleMessage(message) {
+  if (message.action === 'sync') {
+    return handleSync(message);
+  }
+  if (message.action === 'rank') {
+    return handleRank(message);
+  }
+  if (message.action === 'duplicates') {
+    return handleDuplicates(message);
+  }
+  throw new Error(`Unsupported search worker action: ${message.action}`);
+}
+
+async function handleSync(message) {
+  const next = message.identity;
+  if (!next || typeof next.signature !== 'string' || !Number.isInteger(next.dimension)) {
+    throw new Error('Search index requires an embedding identity.');
+  }
+  if (!identity || identity.signature !== next.signature) {
+    await openIndex(next);
+  }
+  const current = await getEmbeddingVersions(identity);
+  let changed = false;
+  for (const [id, updated] of versions) {
+    if (current.get(id) !== updated) {
+      removeFromIndex(index, id);
+      versions.delete(id);
+      changed = true;
+    }
+  }
+  const missing = [...current.keys()].filter((id) => !versions.has(id));
+  if (missing.length > 0) {
+    for (const [id, row] of await getEmbeddingsByIds(identity, missing)) {
+      const chunks = row.listVersion === listVersion ? row.chunks : row.chunks.map((chunk) => ({ ...chunk, list: -1 }));
+      addToIndex(index, id, chunks);
+      versions.set(id, row.updated);
+      changed = true;
+    }
+  }
+  if (Array.isArray(message.documents)) {
+    documents = new Map(message.documents.map((document) => [
+      `${document.area}:${document.id}`,
+      { snippet: { id: document.id, text: document.text, date: document.date, updated: document.updated }, area: document.area }
+    ]));
+  }
+  if (changed) {
+    scheduleTraining();
+  }
+  return {};
+}
+
+async function openIndex(next) {
+  identity = { modelId: next.modelId, signature: next.signature, dimension: next.dimension };
+  index = createVectorIndex(identity.dimension);
+  versions = new Map();
+  listVersion = null;
+  approximate = false;
+  const stored = await loadVectorIndex(identity);
+  if (stored) {
+    restoreIndex(index, stored.centroids, stored.trainedCount);
+    listVersion = stored.version;
+    approximate = stored.approximate;
+  }
+}
+
+function handleRank(message) {
+  const currentIndex = getIndex();
+  const items = getDocuments(message.keys);
+  const ranked = rankWithVectorIndex(items, {
+    query: message.query,
+    queryVector: Float32Array.from(message.queryVector),
+    index: currentIndex,
+    settings: message.settings,
+    allowMissing: message.allowMissing,
+    limit: message.limit,
+    exact: message.exact || !approximate
+  });
+  return {
+    exact: message.exact || !approximate,
+    results: ranked.map((item) => ({
+      key: `${item.area}:${item.snippet.id}`,
+      score: item.score,
+      semanticScore: item.semanticScore,
+      lexicalScore: item.lexicalScore,
+      highlight: item.highlight
+    }))
+  };
+}
+
+function handleDuplicates(message) {
+  const currentIndex = getIndex();
+  const groups = clusterNearDuplicates(getDocuments(message.keys), (item) => getSnippetMean(currentIndex, item.snippet.id), {
+    getBuckets: isIndexTrained(currentIndex) ? (vector) => getNearestLists(currentIndex, vector, DUPLICATE_PROBES) : undefined
+  });
+  return { groups: groups.map((group) => group.map((item) => `${item.area}:${item.snippet.id}`)) };
+}
+
+function getDocuments(keys) {
+  return keys.map((key) => {
+    const item = documents.get(key);
+    if (!item) {
+      throw new Error(`Search index has no snippet for ${key}.`);
+    }
+    return item;
+  });
+}
+
+function getIndex() {
+  if (!index) {
+    throw new Error('Search index is not initialized.');
+  }
+  return index;
+}
+
+function scheduleTraining() {
+  clearTimeout(trainingTimer);
+  trainingTimer = setTimeout(() => {
+    queue = queue.then(trainAndSave).catch((error) => {
+      console.error(error);
+    });
+  }, 0);
+}
+
+async function trainAndSave() {
+  if (!index) {
+    return;
+  }
+  const trained = trainIndex(index);
+  if (!isIndexTrained(index)) {
+    approximate = false;
+    return;
+  }
+  if (!trained) {
+    return;
+  }
+  approximate = measureRecall(index, RECALL_LIMIT, RECALL_SAMPLE) >= RECALL_TARGET;
+  const saved = await saveVectorIndex(identity, {
+    centroids: index.centroids,
+    trainedCount: index.trainedCount,
+    approximate
+  });
+  listVersion = saved.version;
+}
@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import test from 'node:test';
+import { getLegacyRows } from '../lib/embedding-store.js';
+import { getEmbeddingIdentity } from '../lib/model-config.js';
+
+const registry = JSON.parse(await readFile(new URL('../model-registry.json', import.meta.url), 'utf8'));
+
+function getModel(id) {
+  return registry.models.find((model) => model.id === id);
+}
+
+test('migrates a v1 vector into a single-chunk row for the default model', () => {
+  const identity = getEmbeddingIdentity(getModel(registry.defaultModel));
+  const vector = Array.from({ length: identity.dimension }, (value, position) => position / identity.dimension);
+  const rows = getLegacyRows(identity, { a: vector, orphan: vector }, new Map([['a', 'Saved text']]));
+  assert.equal(rows.length, 1);
+  const [row] = rows;
+  assert.equal(row.snippetId, 'a');
+  assert.equal(row.modelId, identity.modelId);
+  assert.equal(row.signature, identity.signature);
+  assert.equal(row.chunks.length, 1);
+  assert.equal(row.chunks[0].start, 0);
+  assert.equal(row.chunks[0].end, 'Saved text'.length);
+  assert.deepEqual(Array.from(new Float32Array(row.chunks[0].vector)), Array.from(Float32Array.from(vector)));
+});
+
+test('skips v1 vectors that do not match the identity', () => {
+  const identity = getEmbeddingIdentity(getModel(registry.defaultModel));
+  const texts = new Map([['a', 'Saved text']]);
+  assert.deepEqual(getLegacyRows(identity, { a: [0.1, 0.2] }, texts), []);
+  assert.deepEqual(getLegacyRows(getEmbeddingIdentity(getModel('Xenova/all-MiniLM-L6-v2')), { a: new Array(384).fill(0.1) }, texts), []);
+});